@@ -0,0 +1,125 @@
+/**
+ * SkinTwin Cognitive Complexity Analysis
+ * Shared by the browser cognitive layer and the RegimAI Gateway server
+ *
+ * Scores how much medical knowledge, clinical reasoning, uncertainty
+ * handling and temporal modelling a request needs, and recommends the
+ * model tier that should serve it:
+ * basic_skincare_model → general_medical_model →
+ * advanced_dermatology_model → clinical_specialist_model
+ */
+
+class CognitiveComplexityAnalyzer {
+    analyze(text) {
+        const analysis = {
+            medical_terminology: this.countMedicalTerms(text),
+            reasoning_complexity: this.assessReasoningComplexity(text),
+            uncertainty_level: this.assessUncertainty(text),
+            temporal_aspects: this.hasTemporalAspects(text),
+            domain_specificity: this.assessDomainSpecificity(text)
+        };
+
+        const complexityScore = this.calculateComplexityScore(analysis);
+
+        const routingRecommendation = {
+            complexity_score: complexityScore,
+            recommended_endpoint: this.recommendEndpoint(complexityScore),
+            cognitive_requirements: this.identifyCognitiveRequirements(analysis),
+            processing_priority: complexityScore > 0.7 ? 'high' : complexityScore > 0.4 ? 'medium' : 'low'
+        };
+
+        return { analysis, routing: routingRecommendation };
+    }
+
+    calculateComplexityScore(analysis) {
+        return (
+            analysis.medical_terminology * 0.3 +
+            analysis.reasoning_complexity * 0.4 +
+            analysis.uncertainty_level * 0.2 +
+            analysis.temporal_aspects * 0.1
+        );
+    }
+
+    recommendEndpoint(complexityScore) {
+        if (complexityScore > 0.8) return 'clinical_specialist_model';
+        if (complexityScore > 0.6) return 'advanced_dermatology_model';
+        if (complexityScore > 0.4) return 'general_medical_model';
+        return 'basic_skincare_model';
+    }
+
+    identifyCognitiveRequirements(analysis) {
+        const requirements = [];
+
+        if (analysis.medical_terminology > 0.5) requirements.push('medical_knowledge');
+        if (analysis.reasoning_complexity > 0.6) requirements.push('clinical_reasoning');
+        if (analysis.uncertainty_level > 0.4) requirements.push('uncertainty_handling');
+        if (analysis.temporal_aspects > 0.3) requirements.push('temporal_modeling');
+
+        return requirements;
+    }
+
+    // Helper methods for analysis
+    countMedicalTerms(text) {
+        const medicalTerms = [
+            'diagnosis', 'treatment', 'symptoms', 'condition', 'therapy', 'medication',
+            'clinical', 'pathology', 'etiology', 'prognosis', 'contraindication',
+            'dermatitis', 'psoriasis', 'eczema', 'acne', 'melanoma', 'carcinoma',
+            'inflammation', 'lesion', 'biopsy', 'histology', 'dermatoscopy'
+        ];
+
+        const lowerText = text.toLowerCase();
+        const matches = medicalTerms.filter(term => lowerText.includes(term));
+        return matches.length / medicalTerms.length;
+    }
+
+    assessReasoningComplexity(text) {
+        const reasoningIndicators = [
+            'why', 'because', 'cause', 'reason', 'explain', 'analyze',
+            'diagnose', 'recommend', 'suggest', 'compare', 'evaluate',
+            'differential', 'rule out', 'consider', 'assess', 'determine'
+        ];
+
+        const lowerText = text.toLowerCase();
+        const matches = reasoningIndicators.filter(indicator => lowerText.includes(indicator));
+        return matches.length / reasoningIndicators.length;
+    }
+
+    assessUncertainty(text) {
+        const uncertaintyIndicators = [
+            'maybe', 'possibly', 'might', 'could', 'uncertain', 'unclear',
+            'probably', 'likely', 'suspect', 'potential', 'appears', 'seems'
+        ];
+
+        const lowerText = text.toLowerCase();
+        const matches = uncertaintyIndicators.filter(indicator => lowerText.includes(indicator));
+        return matches.length / uncertaintyIndicators.length;
+    }
+
+    hasTemporalAspects(text) {
+        const temporalIndicators = [
+            'progression', 'over time', 'getting worse', 'improving', 'chronic',
+            'acute', 'history', 'duration', 'recent', 'long-term', 'follow-up'
+        ];
+
+        const lowerText = text.toLowerCase();
+        return temporalIndicators.some(indicator => lowerText.includes(indicator)) ? 1.0 : 0.0;
+    }
+
+    assessDomainSpecificity(text) {
+        const dermatologyTerms = [
+            'dermatology', 'skin', 'skincare', 'dermatologist', 'cosmetic',
+            'aesthetic', 'topical', 'cutaneous', 'epidermal', 'dermal'
+        ];
+
+        const lowerText = text.toLowerCase();
+        const matches = dermatologyTerms.filter(term => lowerText.includes(term));
+        return matches.length / dermatologyTerms.length;
+    }
+}
+
+// Export for the gateway server and the browser cognitive layer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CognitiveComplexityAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.CognitiveComplexityAnalyzer = CognitiveComplexityAnalyzer;
+}
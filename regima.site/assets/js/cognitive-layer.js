@@ -19,6 +19,7 @@ class SkinTwinCognitive {
         this.mosesEngine = new MOSESPatternMiner();
         this.esnPredictor = new ESNTemporalPredictor();
         this.ecanManager = new ECANAttentionManager();
+        this.complexityAnalyzer = new CognitiveComplexityAnalyzer();
         
         this.metrics = {
             atomCount: 0,
@@ -417,111 +418,9 @@ class SkinTwinCognitive {
         return attentionUpdate;
     }
 
-    // Cognitive analysis for gateway routing
+    // Cognitive analysis for gateway routing (shared with the gateway server)
     async analyzeCognitiveComplexity(request) {
-        const analysis = {
-            medical_terminology: this.countMedicalTerms(request),
-            reasoning_complexity: this.assessReasoningComplexity(request),
-            uncertainty_level: this.assessUncertainty(request),
-            temporal_aspects: this.hasTemporalAspects(request),
-            domain_specificity: this.assessDomainSpecificity(request)
-        };
-
-        const complexityScore = this.calculateComplexityScore(analysis);
-        
-        const routingRecommendation = {
-            complexity_score: complexityScore,
-            recommended_endpoint: this.recommendEndpoint(complexityScore),
-            cognitive_requirements: this.identifyCognitiveRequirements(analysis),
-            processing_priority: complexityScore > 0.7 ? 'high' : complexityScore > 0.4 ? 'medium' : 'low'
-        };
-
-        return { analysis, routing: routingRecommendation };
-    }
-
-    calculateComplexityScore(analysis) {
-        return (
-            analysis.medical_terminology * 0.3 +
-            analysis.reasoning_complexity * 0.4 +
-            analysis.uncertainty_level * 0.2 +
-            analysis.temporal_aspects * 0.1
-        );
-    }
-
-    recommendEndpoint(complexityScore) {
-        if (complexityScore > 0.8) return 'clinical_specialist_model';
-        if (complexityScore > 0.6) return 'advanced_dermatology_model';
-        if (complexityScore > 0.4) return 'general_medical_model';
-        return 'basic_skincare_model';
-    }
-
-    identifyCognitiveRequirements(analysis) {
-        const requirements = [];
-        
-        if (analysis.medical_terminology > 0.5) requirements.push('medical_knowledge');
-        if (analysis.reasoning_complexity > 0.6) requirements.push('clinical_reasoning');
-        if (analysis.uncertainty_level > 0.4) requirements.push('uncertainty_handling');
-        if (analysis.temporal_aspects > 0.3) requirements.push('temporal_modeling');
-        
-        return requirements;
-    }
-
-    // Helper methods for analysis
-    countMedicalTerms(text) {
-        const medicalTerms = [
-            'diagnosis', 'treatment', 'symptoms', 'condition', 'therapy', 'medication',
-            'clinical', 'pathology', 'etiology', 'prognosis', 'contraindication',
-            'dermatitis', 'psoriasis', 'eczema', 'acne', 'melanoma', 'carcinoma',
-            'inflammation', 'lesion', 'biopsy', 'histology', 'dermatoscopy'
-        ];
-        
-        const lowerText = text.toLowerCase();
-        const matches = medicalTerms.filter(term => lowerText.includes(term));
-        return matches.length / medicalTerms.length;
-    }
-
-    assessReasoningComplexity(text) {
-        const reasoningIndicators = [
-            'why', 'because', 'cause', 'reason', 'explain', 'analyze',
-            'diagnose', 'recommend', 'suggest', 'compare', 'evaluate',
-            'differential', 'rule out', 'consider', 'assess', 'determine'
-        ];
-        
-        const lowerText = text.toLowerCase();
-        const matches = reasoningIndicators.filter(indicator => lowerText.includes(indicator));
-        return matches.length / reasoningIndicators.length;
-    }
-
-    assessUncertainty(text) {
-        const uncertaintyIndicators = [
-            'maybe', 'possibly', 'might', 'could', 'uncertain', 'unclear',
-            'probably', 'likely', 'suspect', 'potential', 'appears', 'seems'
-        ];
-        
-        const lowerText = text.toLowerCase();
-        const matches = uncertaintyIndicators.filter(indicator => lowerText.includes(indicator));
-        return matches.length / uncertaintyIndicators.length;
-    }
-
-    hasTemporalAspects(text) {
-        const temporalIndicators = [
-            'progression', 'over time', 'getting worse', 'improving', 'chronic',
-            'acute', 'history', 'duration', 'recent', 'long-term', 'follow-up'
-        ];
-        
-        const lowerText = text.toLowerCase();
-        return temporalIndicators.some(indicator => lowerText.includes(indicator)) ? 1.0 : 0.0;
-    }
-
-    assessDomainSpecificity(text) {
-        const dermatologyTerms = [
-            'dermatology', 'skin', 'skincare', 'dermatologist', 'cosmetic',
-            'aesthetic', 'topical', 'cutaneous', 'epidermal', 'dermal'
-        ];
-        
-        const lowerText = text.toLowerCase();
-        const matches = dermatologyTerms.filter(term => lowerText.includes(term));
-        return matches.length / dermatologyTerms.length;
+        return this.complexityAnalyzer.analyze(request);
     }
 
     // Public API methods
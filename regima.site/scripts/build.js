@@ -3,6 +3,21 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { marked } = require('marked');
+const { loadGatewayConfig, ConfigValidationError, SCHEMA_PATH } = require('./gateway/config-validator');
+const { resolveAllRoutes } = require('./gateway/service-routes');
+const { buildOpenApiDocument, listOperations } = require('./gateway/openapi');
+
+// Headings of the API docs sections, by OpenAPI tag
+const API_SECTION_HEADINGS = {
+    'ai-models': '🤖 AI Models',
+    'ai-agents': '👥 AI Agents',
+    'data-services': '💾 Data Services',
+    tools: '🔧 Tools',
+    discovery: '🗂️ Service Discovery',
+    cognitive: '🧠 Cognitive Services',
+    gateway: '🚀 Gateway',
+    admin: '🔑 Administration'
+};
 
 /**
  * RegimAI Gateway Site Builder
@@ -48,6 +63,7 @@ class RegimAIGatewaySiteBuilder {
             await this.generateGatewayDocumentation();
             await this.generateAPIDocumentation();
             await this.generateServiceCatalog();
+            await this.publishConfigSchema();
             
             // Generate sitemap
             await this.generateSitemap();
@@ -60,7 +76,7 @@ class RegimAIGatewaySiteBuilder {
             
             console.log('✅ RegimAI Gateway build completed successfully!');
         } catch (error) {
-            console.error('❌ Build failed:', error);
+            console.error('❌ Build failed:', error instanceof ConfigValidationError ? error.message : error);
             process.exit(1);
         }
     }
@@ -68,7 +84,12 @@ class RegimAIGatewaySiteBuilder {
     async loadGatewayConfig() {
         console.log('📋 Loading gateway configuration...');
         const configPath = path.join(this.configDir, 'gateway.json');
-        this.gatewayConfig = await fs.readJson(configPath);
+        this.gatewayConfig = await loadGatewayConfig(configPath);
+    }
+
+    async publishConfigSchema() {
+        console.log('📐 Publishing gateway configuration schema...');
+        await fs.copy(SCHEMA_PATH, path.join(this.publicDir, 'schemas', 'gateway.schema.json'));
     }
 
     async copyAssets() {
@@ -539,6 +560,22 @@ Disallow: /*.temp$`;
         const gatewayDir = path.join(this.publicDir, 'gateway');
         await fs.ensureDir(gatewayDir);
         
+        // Rendered from the same OpenAPI document the gateway serves
+        const document = buildOpenApiDocument(this.gatewayConfig, resolveAllRoutes(this.gatewayConfig), {
+            serverUrl: this.siteConfig.baseUrl
+        });
+        await fs.writeJson(path.join(gatewayDir, 'openapi.json'), document, { spaces: 2 });
+        
+        const operations = listOperations(document);
+        const sections = document.tags
+            .map(tag => ({ tag, operations: operations.filter(({ operation }) => operation.tags.includes(tag.name)) }))
+            .filter(section => section.operations.length > 0)
+            .map(({ tag, operations }) => `
+        <h2>${API_SECTION_HEADINGS[tag.name] || this.escapeHtml(tag.name)}</h2>
+        <p>${this.escapeHtml(tag.description)}</p>
+        ${operations.map(operation => this.renderApiOperation(operation, document)).join('')}`)
+            .join('');
+        
         const apiDoc = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -549,149 +586,110 @@ Disallow: /*.temp$`;
 </head>
 <body>
     <div class="content-section">
-        <h1>📖 RegimAI Gateway API</h1>
-        <p>Complete API reference for the RegimAI Gateway services.</p>
+        <h1>📖 ${this.escapeHtml(document.info.title)} API</h1>
+        <p>Complete API reference for the RegimAI Gateway services, version ${this.escapeHtml(document.info.version)}.
+        It is generated from the <a href="/gateway/openapi.json">OpenAPI ${document.openapi} document</a>,
+        which a running gateway also serves at <code>/openapi.json</code>.</p>
         
         <h2>🔐 Authentication</h2>
-        <p>All API requests require authentication using an API key:</p>
-        <pre><code>X-API-Key: regima_your_api_key_here</code></pre>
-        
-        <h2>🤖 AI Models</h2>
-        
-        <h3>OpenAI Chat Completions</h3>
-        <pre><code>POST /v1/openai/chat/completions
-Content-Type: application/json
-X-API-Key: regima_your_api_key
-
-{
-  "model": "gpt-3.5-turbo",
-  "messages": [
-    {"role": "user", "content": "What's the best skincare routine for oily skin?"}
-  ],
-  "max_tokens": 150
-}</code></pre>
-        
-        <h3>Azure OpenAI Chat Completions</h3>
-        <pre><code>POST /v1/azure-openai/chat/completions
-Content-Type: application/json
-X-API-Key: regima_your_api_key
-
-{
-  "model": "gpt-4",
-  "messages": [
-    {"role": "user", "content": "Analyze this skincare routine for effectiveness"}
-  ]
-}</code></pre>
+        <p>Protected endpoints accept any of these credentials:</p>
+        <ul>
+            ${Object.values(document.components.securitySchemes).map(scheme => `<li>${this.renderSecurityScheme(scheme)}</li>`).join('\n            ')}
+        </ul>
+        ${sections}
         
-        <h2>👥 AI Agents</h2>
+        <h2>⚠️ Error Handling</h2>
+        <p>Errors have an HTTP status and a stable code clients can branch on:</p>
+        <pre><code>${this.escapeHtml(JSON.stringify(document.components.schemas.Error.example, null, 2))}</code></pre>
+        <ul>
+            ${Object.entries(document.components.responses).map(([name, response]) => `<li><strong>${name}:</strong> ${this.escapeHtml(response.description)}</li>`).join('\n            ')}
+        </ul>
+    </div>
+</body>
+</html>`;
         
-        <h3>Skincare Consultant</h3>
-        <pre><code>POST /agents/skincare-consultant
-Content-Type: application/json
-X-API-Key: regima_your_api_key
+        await fs.writeFile(path.join(gatewayDir, 'api-docs.html'), apiDoc);
+    }
 
-{
-  "skinType": "combination",
-  "concerns": ["acne", "dark-spots"],
-  "routine": "basic",
-  "goals": ["clear-skin", "even-tone"]
-}</code></pre>
-        
-        <h3>Product Advisor</h3>
-        <pre><code>POST /agents/product-advisor
-Content-Type: application/json
-X-API-Key: regima_your_api_key
+    renderSecurityScheme(scheme) {
+        const where = scheme.type === 'http'
+            ? `<code>Authorization: Bearer &lt;token&gt;</code>`
+            : `<code>${scheme.in === 'header' ? `${scheme.name}: regima_your_api_key` : `?${scheme.name}=regima_your_api_key`}</code>`;
+        return `${where} - ${this.escapeHtml(scheme.description)}`;
+    }
 
-{
-  "skinType": "sensitive",
-  "budget": "moderate",
-  "preferences": ["fragrance-free", "cruelty-free"]
-}</code></pre>
+    renderApiOperation({ method, path: endpoint, operation }, document) {
+        const body = operation.requestBody?.content['application/json'];
+        const queryExample = (operation.parameters || [])
+            .filter(parameter => parameter.in === 'query' && parameter.example !== undefined)
+            .map(parameter => [parameter.name, parameter.example]);
+        const query = queryExample.length > 0 ? `?${new URLSearchParams(queryExample)}` : '';
         
-        <h2>🔧 Tools</h2>
+        const request = [`${method.toUpperCase()} ${endpoint}${query}`];
+        if (body) {
+            request.push('Content-Type: application/json');
+        }
+        if (operation.security) {
+            request.push('X-API-Key: regima_your_api_key');
+        }
+        if (body?.example) {
+            request.push('', JSON.stringify(body.example, null, 2));
+        }
         
-        <h3>Image Analysis</h3>
-        <pre><code>POST /tools/image-analysis
-Content-Type: application/json
-X-API-Key: regima_your_api_key
-
-{
-  "imageData": "base64_encoded_image_data",
-  "analysisType": "skin-assessment"
-}</code></pre>
+        const parameters = (operation.parameters || []).map(parameter => ({
+            name: parameter.name,
+            location: parameter.in,
+            required: parameter.required,
+            schema: parameter.schema,
+            description: parameter.description
+        }));
+        const bodySchema = this.resolveSchema(body?.schema, document);
+        for (const [name, property] of Object.entries(bodySchema?.properties || {})) {
+            parameters.push({
+                name,
+                location: 'body',
+                required: (bodySchema.required || []).includes(name),
+                schema: property,
+                description: property.description
+            });
+        }
         
-        <h3>Routine Generator</h3>
-        <pre><code>POST /tools/routine-generator
-Content-Type: application/json
-X-API-Key: regima_your_api_key
+        return `
+        <h3>${this.escapeHtml(operation.summary)}</h3>
+        ${operation.description ? `<p>${this.escapeHtml(operation.description)}</p>` : ''}
+        <pre><code>${this.escapeHtml(request.join('\n'))}</code></pre>
+        ${parameters.length > 0 ? `
+        <table>
+            <tr><th>Field</th><th>In</th><th>Type</th><th>Required</th><th>Description</th></tr>
+            ${parameters.map(parameter => `<tr><td><code>${this.escapeHtml(parameter.name)}</code></td><td>${parameter.location}</td><td>${this.escapeHtml(this.describeSchemaType(parameter.schema, document))}</td><td>${parameter.required ? 'yes' : 'no'}</td><td>${this.escapeHtml(parameter.description || '')}</td></tr>`).join('\n            ')}
+        </table>` : ''}
+        <p><strong>Responses:</strong> ${Object.keys(operation.responses).join(', ')}${operation.security ? '' : ' (no authentication)'}</p>`;
+    }
 
-{
-  "skinType": "dry",
-  "concerns": ["aging", "hydration"],
-  "timeAvailable": "moderate",
-  "products": ["cleanser", "serum", "moisturizer"]
-}</code></pre>
-        
-        <h2>💾 Data Services</h2>
-        
-        <h3>Vector Search</h3>
-        <pre><code>GET /data/vectors/search?query=retinol%20benefits&limit=10
-X-API-Key: regima_your_api_key</code></pre>
-        
-        <h3>Knowledge Query</h3>
-        <pre><code>POST /data/knowledge/query
-Content-Type: application/json
-X-API-Key: regima_your_api_key
+    resolveSchema(schema, document) {
+        if (schema?.$ref) {
+            return document.components.schemas[schema.$ref.split('/').pop()];
+        }
+        return schema;
+    }
 
-{
-  "query": "ingredients for anti-aging",
-  "context": "evidence-based",
-  "limit": 5
-}</code></pre>
-        
-        <h2>🧠 Cognitive Services</h2>
-        
-        <h3>AtomSpace Query</h3>
-        <pre><code>GET /cognitive/atomspace?concept=hyaluronic-acid
-X-API-Key: regima_your_api_key</code></pre>
-        
-        <h3>PLN Reasoning</h3>
-        <pre><code>POST /cognitive/reasoning
-Content-Type: application/json
-X-API-Key: regima_your_api_key
+    describeSchemaType(schema, document) {
+        schema = this.resolveSchema(schema, document) || {};
+        if (schema.enum) {
+            return schema.enum.join(' | ');
+        }
+        if (schema.type === 'array') {
+            return `${this.describeSchemaType(schema.items, document)}[]`;
+        }
+        return [].concat(schema.type || 'any').join(' | ');
+    }
 
-{
-  "premises": ["dry skin", "winter climate"],
-  "goal": "optimal moisturizer"
-}</code></pre>
-        
-        <h2>📊 Response Format</h2>
-        <p>All API responses follow a consistent format:</p>
-        <pre><code>{
-  "success": true,
-  "data": { /* response data */ },
-  "metadata": {
-    "timestamp": "2024-01-01T00:00:00Z",
-    "requestId": "req_123456",
-    "processingTime": "150ms"
-  }
-}</code></pre>
-        
-        <h2>⚠️ Error Handling</h2>
-        <p>Error responses include detailed information:</p>
-        <pre><code>{
-  "success": false,
-  "error": {
-    "code": "INVALID_API_KEY",
-    "message": "The provided API key is not valid",
-    "details": "Please check your API key and try again"
-  }
-}</code></pre>
-    </div>
-</body>
-</html>`;
-        
-        await fs.writeFile(path.join(gatewayDir, 'api-docs.html'), apiDoc);
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     async generateServiceCatalog() {
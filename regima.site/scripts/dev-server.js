@@ -3,6 +3,7 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs-extra');
+const { loadGatewayConfig, ConfigValidationError } = require('./gateway/config-validator');
 
 class DevServer {
     constructor() {
@@ -221,7 +222,16 @@ class DevServer {
         };
     }
 
-    start() {
+    async start() {
+        // The site documents gateway.json, so refuse to serve it for a config
+        // the gateway itself would reject
+        try {
+            await loadGatewayConfig(path.join(__dirname, '..', 'config', 'gateway.json'));
+        } catch (error) {
+            console.error('❌ Failed to start development server:', error instanceof ConfigValidationError ? error.message : error);
+            process.exit(1);
+        }
+        
         this.app.listen(this.port, () => {
             console.log(`🚀 RegimA Development Server running at http://localhost:${this.port}`);
             console.log(`🧠 Cognitive API available at http://localhost:${this.port}/cognitive/api/`);
@@ -3,6 +3,38 @@ const fs = require('fs-extra');
 const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
+const UpstreamClient = require('./gateway/upstream-client');
+const AzureOpenAIClient = require('./gateway/azure-openai-client');
+const RateLimiter = require('./gateway/rate-limiter');
+const CircuitBreaker = require('./gateway/circuit-breaker');
+const BackendPool = require('./gateway/backend-pool');
+const PolicyEngine = require('./gateway/policy-engine');
+const AuditTrail = require('./gateway/audit-trail');
+const ApiKeyStore = require('./gateway/key-store');
+const AccessControl = require('./gateway/access-control');
+const TokenVerifier = require('./gateway/token-verifier');
+const RequestValidator = require('./gateway/request-validator');
+const GatewayMetrics = require('./gateway/gateway-metrics');
+const HealthChecker = require('./gateway/health-checker');
+const { MetricsRegistry } = require('./gateway/metrics');
+const { createBuiltinRules } = require('./gateway/policies');
+const { withRetry } = require('./gateway/retry');
+const { GatewayError, RateLimitError, PolicyViolationError, UpstreamError } = require('./gateway/errors');
+const { openEventStream, writeEvent } = require('./gateway/sse');
+const { logger, setLogLevel, requestIdFor, maskBody } = require('./gateway/logger');
+const { tracer, SPAN_KIND, STATUS_CODE } = require('./gateway/tracing');
+const { createTraceProcessor } = require('./gateway/trace-exporters');
+const { loadGatewayConfig, ConfigValidationError } = require('./gateway/config-validator');
+const { resolveAllRoutes, RESERVED_PATHS } = require('./gateway/service-routes');
+const { buildOpenApiDocument, listOperations } = require('./gateway/openapi');
+const { estimateTokens, parseDuration, redactSecrets, fingerprint } = require('./gateway/utils');
+const CognitiveComplexityAnalyzer = require('../assets/js/cognitive-complexity');
+
+// Upstream client implementations by `upstream.type` in gateway.json
+const UPSTREAM_CLIENTS = {
+    openai: UpstreamClient,
+    'azure-openai': AzureOpenAIClient
+};
 
 /**
  * RegimAI Gateway Server
@@ -12,45 +44,329 @@ const helmet = require('helmet');
  * specific to the RegimA domain.
  */
 class RegimAIGateway {
-    constructor() {
+    constructor({ configPath } = {}) {
         this.app = express();
         this.port = process.env.PORT || 8080;
-        this.configPath = path.join(__dirname, '..', 'config', 'gateway.json');
+        this.configPath = configPath || path.join(__dirname, '..', 'config', 'gateway.json');
         this.config = null;
+        this.backendPools = {};
+        this.circuitBreakers = {};
+        this.breakerOptions = null;
+        this.retryOptions = {};
+        this.rateLimiter = null;
+        this.policyEngine = null;
+        this.auditTrail = null;
+        this.keyStore = null;
+        this.accessControl = null;
+        this.tokenVerifier = null;
+        this.allowQueryApiKeys = true;
+        this.serviceRoutes = [];
+        this.serviceRouter = null;
+        this.configStatus = {};
+        this.configReload = Promise.resolve();
+        this.requestValidator = new RequestValidator();
+        this.complexityAnalyzer = new CognitiveComplexityAnalyzer();
+        this.metrics = new GatewayMetrics(this);
+        this.healthChecker = new HealthChecker();
+        this.tracingOptions = null;
         
-        // Request tracking
-        this.requestStats = {
-            total: 0,
-            byService: {},
-            errors: 0
-        };
-        
-        this.initializeGateway();
+        this.ready = this.initializeGateway();
     }
 
     async initializeGateway() {
         try {
             // Load gateway configuration
-            this.config = await fs.readJson(this.configPath);
-            console.log(`🚀 Initializing ${this.config.gateway.name} v${this.config.gateway.version}`);
+            const config = await this.loadConfig();
+            setLogLevel(config.monitoring.logging.level);
+            logger.info('Initializing gateway', { name: config.gateway.name, version: config.gateway.version });
             
+            await this.setupAuditTrail(config);
+            await this.setupKeyStore();
+            this.applyRuntime(await this.buildRuntime(config));
             this.setupMiddleware();
             this.setupGatewayRoutes();
+            this.setupAdminRoutes();
             this.setupServiceRoutes();
-            this.setupAgentRoutes();
-            this.setupDataServiceRoutes();
-            this.setupToolRoutes();
+            this.setupDiscoveryRoutes();
             this.setupCognitiveIntegration();
             this.setupMonitoring();
             this.setupDocumentation();
+            this.watchConfig();
+            this.healthChecker.start();
             
-            console.log('✅ RegimAI Gateway initialized successfully');
+            logger.info('Gateway initialized');
         } catch (error) {
-            console.error('❌ Failed to initialize gateway:', error);
+            logger.error('Failed to initialize gateway', error instanceof ConfigValidationError
+                ? { errors: error.errors }
+                : { error });
             process.exit(1);
         }
     }
 
+    loadConfig() {
+        return loadGatewayConfig(this.configPath);
+    }
+
+    /**
+     * Build everything that depends on gateway.json without touching the
+     * running gateway, so a config that fails part-way changes nothing.
+     */
+    async buildRuntime(config) {
+        const runtime = { config, ...this.createResilienceOptions(config) };
+        Object.assign(runtime, this.createBackendPools(config, runtime.breakerOptions));
+        runtime.rateLimiter = new RateLimiter(config.routing['rate-limiting']).carryOver(this.rateLimiter);
+        runtime.policyEngine = this.createPolicyEngine(config);
+        runtime.accessControl = this.createAccessControl(config);
+        Object.assign(runtime, await this.createTokenVerifier(config));
+        runtime.serviceRoutes = resolveAllRoutes(config);
+        runtime.serviceRouter = this.createServiceRouter(runtime.serviceRoutes);
+        // Last, since an exporter starts its export timer once built
+        runtime.tracing = this.createTracing(config);
+        return runtime;
+    }
+
+    /**
+     * Swap a built runtime in, in one synchronous step. Requests in flight
+     * keep the backend pool and policy engine they started with.
+     */
+    applyRuntime(runtime) {
+        const previousVerifier = this.tokenVerifier;
+        const { tracing, ...state } = runtime;
+        Object.assign(this, state);
+        setLogLevel(runtime.config.monitoring.logging.level);
+        this.auditTrail.enabled = runtime.config.monitoring.logging['audit-trail'];
+        this.applyTracing(tracing);
+        this.healthChecker.configure(runtime.config, runtime.backendPools);
+        this.tokenVerifier.watch();
+        previousVerifier?.unwatch();
+        
+        this.configStatus = {
+            ...this.configStatus,
+            loadedAt: new Date().toISOString(),
+            fingerprint: fingerprint(JSON.stringify(runtime.config))
+        };
+    }
+
+    /**
+     * Span export for `monitoring.tracing` as { options, processor,
+     * sampleRatio }. A new exporter is built only when those settings
+     * change; otherwise there is no processor and the running one stays.
+     */
+    createTracing(config) {
+        const tracing = config.monitoring.tracing || {};
+        const options = JSON.stringify({ ...tracing, version: config.gateway.version });
+        if (options === this.tracingOptions) {
+            return { options };
+        }
+        return {
+            options,
+            processor: createTraceProcessor(tracing, { config, baseDir: path.join(__dirname, '..') }),
+            sampleRatio: tracing['sample-ratio'] ?? 1
+        };
+    }
+
+    /**
+     * Switch span export to what createTracing built, flushing the old
+     * exporter.
+     */
+    applyTracing({ options, processor, sampleRatio }) {
+        if (options === this.tracingOptions) {
+            return;
+        }
+        
+        tracer.configure({ processor, sampleRatio });
+        this.tracingOptions = options;
+        if (processor) {
+            logger.info('Exporting traces', processor.exporter.describe());
+        }
+    }
+
+    watchConfig() {
+        fs.watchFile(this.configPath, { interval: 2000 }, () => {
+            // Failures are logged and kept for /health by reloadConfig
+            this.reloadConfig('file-change').catch(() => {});
+        }).unref();
+    }
+
+    /**
+     * Re-read gateway.json and swap it in. An invalid config is rejected,
+     * the previous one stays active and the errors are reported in /health.
+     * Reloads run one at a time.
+     */
+    reloadConfig(trigger, details = {}) {
+        const reload = this.configReload.then(async () => {
+            const at = new Date().toISOString();
+            try {
+                this.applyRuntime(await this.buildRuntime(await this.loadConfig()));
+                this.configStatus.lastReload = { at, trigger, result: 'applied' };
+                this.metrics.configReloads.inc({ trigger, result: 'applied' });
+                logger.info('Reloaded gateway configuration', { trigger, fingerprint: this.configStatus.fingerprint });
+                this.auditTrail.record('config-reloaded', { trigger, fingerprint: this.configStatus.fingerprint, ...details });
+                return this.getConfigStatus();
+            } catch (error) {
+                const errors = error.errors || [{ path: '$', message: error.message }];
+                this.configStatus.lastReload = { at, trigger, result: 'rejected', errors };
+                this.metrics.configReloads.inc({ trigger, result: 'rejected' });
+                logger.error('Config reload rejected, keeping the previous configuration', { trigger, errors });
+                this.auditTrail.record('config-reload-rejected', { trigger, errors: errors.length, ...details });
+                throw new GatewayError(422, 'CONFIG_INVALID', 'gateway.json was rejected; the previous configuration is still active', { errors });
+            }
+        });
+        this.configReload = reload.catch(() => {});
+        return reload;
+    }
+
+    createResilienceOptions(config) {
+        const breakerConfig = config.routing['circuit-breaker'] || {};
+        const retryConfig = config.routing.retry || {};
+        
+        return {
+            breakerOptions: breakerConfig.enabled ? {
+                failureThreshold: breakerConfig['failure-threshold'],
+                recoveryTimeoutMs: parseDuration(breakerConfig['recovery-timeout'], 30000)
+            } : null,
+            retryOptions: {
+                maxAttempts: retryConfig['max-attempts'],
+                baseDelayMs: parseDuration(retryConfig['base-delay'], undefined),
+                maxDelayMs: parseDuration(retryConfig['max-delay'], undefined),
+                retryOn: retryConfig['retry-on']
+            }
+        };
+    }
+
+    createBackendPools(config, breakerOptions) {
+        const backendPools = {};
+        const circuitBreakers = {};
+        
+        // Build a backend pool for every model service that declares upstreams
+        const models = config.services['ai-models'] || {};
+        for (const [name, service] of Object.entries(models)) {
+            if (!service.upstream && !service.backends) {
+                continue;
+            }
+            
+            // Backends inherit the service-level upstream settings; a service
+            // without a backends list has a single backend of its own name
+            const backends = (service.backends || [{ name }]).map(backend =>
+                this.createBackend({ ...service.upstream, ...backend }, breakerOptions, circuitBreakers));
+            const loadBalancing = service.loadBalancing || {};
+            
+            backendPools[name] = new BackendPool(name, backends, {
+                strategy: loadBalancing.strategy,
+                cooldownMs: parseDuration(loadBalancing.cooldown, undefined)
+            });
+            logger.info('Upstream configured', {
+                service: name,
+                backends: backends.map(backend => ({ name: backend.name, baseUrl: backend.client.baseUrl }))
+            });
+        }
+        return { backendPools, circuitBreakers };
+    }
+
+    createBackend(backendConfig, breakerOptions, circuitBreakers) {
+        const Client = UPSTREAM_CLIENTS[backendConfig.type || 'openai'];
+        if (!Client) {
+            throw new Error(`Unknown upstream type "${backendConfig.type}" for ${backendConfig.name}`);
+        }
+        
+        let breaker = null;
+        if (breakerOptions) {
+            // A reload keeps a backend's breaker, and its state, unless the
+            // breaker settings changed
+            const sameOptions = JSON.stringify(breakerOptions) === JSON.stringify(this.breakerOptions);
+            breaker = sameOptions && this.circuitBreakers[backendConfig.name];
+            if (!breaker) {
+                breaker = new CircuitBreaker(backendConfig.name, breakerOptions);
+                breaker.on('state-change', (from, to) => {
+                    logger.warn('Circuit breaker state changed', { backend: backendConfig.name, from, to });
+                });
+            }
+            circuitBreakers[backendConfig.name] = breaker;
+        }
+        
+        return {
+            name: backendConfig.name,
+            priority: backendConfig.priority,
+            weight: backendConfig.weight,
+            client: Client.fromConfig(backendConfig.name, backendConfig),
+            breaker
+        };
+    }
+
+    /**
+     * One router for every service route in gateway.json, rebuilt on each
+     * reload so added and removed services take effect without a restart.
+     * It matches paths exactly, as findServiceRoute does, so the middleware
+     * that checks a request and the route that serves it agree on the service.
+     */
+    createServiceRouter(routes) {
+        const router = express.Router({ caseSensitive: true, strict: true });
+        for (const route of routes) {
+            router[route.method](route.path, (req, res) => tracer.trace(`handler ${route.action}`, {
+                parent: req.span,
+                attributes: { 'regimai.service': route.serviceName, 'regimai.handler': route.action }
+            }, () => this[route.action](req, res, route)));
+        }
+        return router;
+    }
+
+    async setupAuditTrail(config) {
+        this.auditTrail = new AuditTrail(process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'logs', 'audit.jsonl'), {
+            enabled: config.monitoring.logging['audit-trail']
+        });
+        await this.auditTrail.load();
+    }
+
+    createPolicyEngine(config) {
+        const engine = new PolicyEngine(config.policies).registerAll(createBuiltinRules(this));
+        if (this.policyEngine) {
+            engine.stats = this.policyEngine.stats;
+        }
+        return engine;
+    }
+
+    async setupKeyStore() {
+        this.keyStore = new ApiKeyStore(process.env.API_KEY_STORE || path.join(__dirname, '..', 'data', 'api-keys.json'));
+        await this.keyStore.load();
+        this.keyStore.watch();
+        
+        const active = this.keyStore.list().length;
+        logger.info('API keys loaded', { active, file: this.keyStore.filePath });
+        if (active === 0) {
+            logger.warn('No API keys yet; create one with: npm run keys -- create --owner <name> --role admin');
+        }
+    }
+
+    async createTokenVerifier(config) {
+        const tokenVerifier = new TokenVerifier(config.authentication?.jwt || {}, { baseDir: path.join(__dirname, '..') });
+        await tokenVerifier.load();
+        
+        if (tokenVerifier.skipped.length > 0) {
+            logger.warn('Bearer tokens not accepted from some issuers', { issuers: tokenVerifier.skipped });
+        }
+        if (tokenVerifier.enabled) {
+            logger.info('Accepting bearer tokens', { issuers: [...tokenVerifier.issuers.values()].map(issuer => issuer.name) });
+        }
+        
+        // Keys in URLs end up in proxy and access logs, so environments can
+        // turn them off with ALLOW_QUERY_API_KEYS=false
+        const fromEnvironment = process.env.ALLOW_QUERY_API_KEYS;
+        const allowQueryApiKeys = fromEnvironment !== undefined
+            ? fromEnvironment === 'true'
+            : config.authentication?.['api-keys']?.['query-parameter'] !== false;
+        
+        return { tokenVerifier, allowQueryApiKeys };
+    }
+
+    createAccessControl(config) {
+        const roles = config['access-control']?.roles || {};
+        const undefinedRoles = ApiKeyStore.ROLES.filter(role => !roles[role]);
+        if (undefinedRoles.length > 0) {
+            logger.warn('Roles without access-control grants', { roles: undefinedRoles });
+        }
+        return new AccessControl(roles);
+    }
+
     setupMiddleware() {
         // Security middleware
         this.app.use(helmet({
@@ -66,68 +382,492 @@ class RegimAIGateway {
         
         this.app.use(cors({
             origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
-            credentials: true
+            credentials: true,
+            exposedHeaders: ['X-Request-Id', 'Retry-After']
         }));
         
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+        // Request ID, propagated from the caller or generated, and a logger
+        // that tags every entry for this request with it
+        this.app.use((req, res, next) => {
+            req.id = requestIdFor(req);
+            req.log = logger.child({ requestId: req.id });
+            res.set('X-Request-Id', req.id);
+            next();
+        });
+        
+        // A server span for the request, continuing the caller's trace
+        this.app.use(this.traceRequests.bind(this));
+        
+        this.app.use(this.traced('json', express.json({ limit: '10mb' })));
+        this.app.use(this.traced('urlencoded', express.urlencoded({ extended: true, limit: '10mb' })));
         
         // Request logging and statistics
-        this.app.use((req, res, next) => {
-            const startTime = Date.now();
-            
-            this.requestStats.total++;
-            console.log(`📥 ${req.method} ${req.path} - ${req.ip}`);
+        this.app.use(this.logRequests.bind(this));
+        
+        // Authentication middleware for protected routes
+        const authenticate = this.traced('authenticate', this.authenticateRequest.bind(this));
+        this.app.use('/v1/*', authenticate);
+        this.app.use('/agents/*', authenticate);
+        this.app.use('/data/*', authenticate);
+        this.app.use('/tools/*', authenticate);
+        
+        // Role-based access to services and capabilities
+        this.app.use(['/v1/*', '/agents/*', '/data/*', '/tools/*'], this.traced('authorize', this.authorizeRequest.bind(this)));
+        
+        // Rate limiting for authenticated routes
+        this.app.use(['/v1/*', '/agents/*', '/data/*', '/tools/*'], this.traced('rate-limit', this.enforceRateLimits.bind(this)));
+        
+        // Requests must match their API schema before policies see them
+        this.app.use(this.traced('validate', this.validateServiceRequest.bind(this)));
+        
+        // Each service runs the policies it lists in gateway.json
+        this.app.use(this.traced('policies', this.enforcePolicies.bind(this)));
+    }
+
+    traceRequests(req, res, next) {
+        req.span = tracer.startSpan(req.method, {
+            parent: tracer.extract(req.headers),
+            kind: SPAN_KIND.SERVER,
+            attributes: {
+                'http.request.method': req.method,
+                'url.path': req.path,
+                'user_agent.original': req.headers['user-agent'],
+                'regimai.request_id': req.id
+            }
+        });
+        req.log = req.log.child({ traceId: req.span.traceId });
+        
+        let done = false;
+        const end = () => {
+            if (done) {
+                return;
+            }
+            done = true;
             
-            res.on('finish', () => {
-                const duration = Date.now() - startTime;
-                console.log(`📤 ${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`);
-                
+            const route = this.routeLabel(req);
+            req.span
+                .updateName(`${req.method} ${route}`)
+                .setAttributes({
+                    'http.route': route,
+                    'http.response.status_code': res.statusCode,
+                    'regimai.service': this.serviceNameOf(req),
+                    'enduser.id': req.user?.id
+                });
+            if (res.statusCode >= 500) {
+                req.span.setStatus({ code: STATUS_CODE.ERROR });
+            }
+            if (!res.writableFinished) {
+                req.span.addEvent('aborted');
+            }
+            req.span.end();
+        };
+        res.on('finish', end);
+        res.on('close', end);
+        
+        tracer.withSpan(req.span, next);
+    }
+
+    /**
+     * Run a middleware stage in a span of its own, a child of the request
+     * span. The span ends when the stage hands on to the next one or
+     * answers the request itself.
+     */
+    traced(name, middleware) {
+        return (req, res, next) => {
+            const span = tracer.startSpan(`middleware ${name}`, { parent: req.span });
+            const answered = () => {
+                span.setAttribute('http.response.status_code', res.statusCode);
                 if (res.statusCode >= 400) {
-                    this.requestStats.errors++;
+                    span.setStatus({ code: STATUS_CODE.ERROR });
                 }
-            });
+                span.end();
+            };
+            res.on('close', answered);
             
-            next();
-        });
+            tracer.withSpan(span, () => middleware(req, res, error => {
+                res.off('close', answered);
+                if (error) {
+                    span.recordException(error);
+                    span.setStatus({ code: STATUS_CODE.ERROR, message: error.message });
+                }
+                span.end();
+                tracer.withSpan(req.span, () => next(error));
+            }));
+        };
+    }
+
+    /**
+     * Log and measure each request and its outcome. Bodies are logged,
+     * masked, only when monitoring.logging asks for them.
+     */
+    logRequests(req, res, next) {
+        const startTime = process.hrtime.bigint();
+        const logging = this.config.monitoring.logging;
         
-        // Authentication middleware for protected routes
-        this.app.use('/v1/*', this.authenticateRequest.bind(this));
-        this.app.use('/agents/*', this.authenticateRequest.bind(this));
-        this.app.use('/data/*', this.authenticateRequest.bind(this));
-        this.app.use('/tools/*', this.authenticateRequest.bind(this));
+        this.metrics.inFlight.inc();
+        req.log.http('Request received', { method: req.method, path: req.path, ip: req.ip });
+        
+        // Taken before policies rewrite the body
+        const requestBody = logging['include-request-body'] && req.body && Object.keys(req.body).length > 0
+            ? maskBody(req.body)
+            : undefined;
+        let responseBody;
+        if (logging['include-response-body']) {
+            const json = res.json.bind(res);
+            res.json = payload => {
+                responseBody = payload;
+                return json(payload);
+            };
+        }
+        
+        // A response the client abandons closes without finishing
+        let done = false;
+        const complete = () => {
+            if (done) {
+                return;
+            }
+            done = true;
+            
+            const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+            const status = res.statusCode;
+            this.metrics.inFlight.dec();
+            this.metrics.recordRequest({
+                method: req.method,
+                route: this.routeLabel(req),
+                service: this.serviceNameOf(req) || '',
+                status: String(status),
+                model: res.locals.model || '',
+                caller: GatewayMetrics.callerOf(req.user)
+            }, seconds);
+            
+            const entry = {
+                method: req.method,
+                path: req.path,
+                status,
+                durationMs: Math.round(seconds * 1000),
+                ...(res.writableFinished ? {} : { aborted: true }),
+                ...(req.user ? { user: req.user.id, role: req.user.role } : {}),
+                ...(requestBody !== undefined ? { requestBody } : {}),
+                ...(responseBody !== undefined ? { responseBody: maskBody(responseBody) } : {})
+            };
+            req.log.log(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'Request completed', entry);
+        };
+        res.on('finish', complete);
+        res.on('close', complete);
+        
+        next();
+    }
+
+    /**
+     * The route pattern a request matched, for metric labels: never the raw
+     * URL, so IDs in paths do not create new series.
+     */
+    routeLabel(req) {
+        if (req.route) {
+            return `${req.baseUrl}${req.route.path}`;
+        }
+        // Middleware mounted on a path rewrites req.path, so use the original
+        return this.findServiceRoute(req.method, req.originalUrl.split('?')[0])?.path || 'unmatched';
+    }
+
+    findServiceRoute(method, requestPath) {
+        // Express answers HEAD with the GET route
+        const routeMethod = method === 'HEAD' ? 'get' : method.toLowerCase();
+        return this.serviceRoutes.find(candidate =>
+            candidate.method === routeMethod && candidate.path === requestPath);
+    }
+
+    /**
+     * The service route that will serve a request, if any. Middleware
+     * mounted on a path rewrites req.path, so use the original.
+     */
+    serviceRouteOf(req) {
+        return this.findServiceRoute(req.method, req.originalUrl.split('?')[0]);
+    }
+
+    serviceNameOf(req) {
+        return this.serviceRouteOf(req)?.serviceName ?? null;
+    }
+
+    /**
+     * A 404 for a request under a service prefix that no service route or
+     * listing endpoint serves, so the checks fail closed instead of passing
+     * it on; null for any other request.
+     */
+    unroutedServiceRequest(req) {
+        const requestPath = req.originalUrl.split('?')[0];
+        if (!/^\/(v1|agents|data|tools)\//i.test(requestPath)
+            || RESERVED_PATHS.includes(requestPath.toLowerCase().replace(/\/$/, ''))) {
+            return null;
+        }
+        return new GatewayError(404, 'ROUTE_NOT_FOUND', `No service serves ${req.method} ${requestPath}`);
     }
 
     authenticateRequest(req, res, next) {
-        const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        let user;
+        try {
+            user = bearer ? this.authenticateToken(bearer[1]) : this.authenticateApiKey(req);
+        } catch (error) {
+            if (bearer && error.status === 401) {
+                res.set('WWW-Authenticate', TokenVerifier.challenge(error));
+            }
+            return this.sendError(res, error);
+        }
+        
+        // Callers limited to some services cannot reach the others
+        const serviceName = this.serviceNameOf(req);
+        if (serviceName && !user.services.includes('*') && !user.services.includes(serviceName)) {
+            return this.sendError(res, new GatewayError(403, 'SERVICE_NOT_ALLOWED', `This ${bearer ? 'token' : 'API key'} may not call ${serviceName}`, {
+                service: serviceName
+            }));
+        }
         
+        req.user = user;
+        next();
+    }
+
+    authenticateApiKey(req) {
+        const queryKey = req.query.apiKey;
+        delete req.query.apiKey;
+        if (queryKey && !this.allowQueryApiKeys) {
+            throw new GatewayError(401, 'QUERY_API_KEY_DISABLED',
+                'API keys are not accepted in the query string here; send the X-API-Key header instead');
+        }
+        
+        const apiKey = req.headers['x-api-key'] || queryKey;
         if (!apiKey) {
-            return res.status(401).json({
-                error: 'Authentication required',
-                message: 'API key must be provided in X-API-Key header or apiKey query parameter'
-            });
+            throw new GatewayError(401, 'AUTHENTICATION_REQUIRED', this.allowQueryApiKeys
+                ? 'Provide an API key in the X-API-Key header or apiKey query parameter, or a bearer token'
+                : 'Provide an API key in the X-API-Key header or a bearer token');
+        }
+        
+        const { record, reason } = this.keyStore.authenticate(apiKey);
+        if (!record) {
+            const messages = {
+                unknown: 'The provided API key is not valid',
+                revoked: 'The provided API key has been revoked',
+                expired: 'The provided API key has expired'
+            };
+            throw new GatewayError(403, reason === 'unknown' ? 'INVALID_API_KEY' : `API_KEY_${reason.toUpperCase()}`, messages[reason]);
+        }
+        
+        return {
+            id: record.id,
+            owner: record.owner,
+            role: record.role,
+            tenant: null,
+            services: record.services,
+            quotas: record.quotas,
+            scopes: [],
+            method: 'api-key'
+        };
+    }
+
+    authenticateToken(token) {
+        if (!this.tokenVerifier.enabled) {
+            throw new GatewayError(401, 'INVALID_TOKEN', 'Bearer tokens are not accepted by this gateway');
         }
         
-        // Simple API key validation (in production, use proper auth service)
-        if (!this.validateApiKey(apiKey)) {
-            return res.status(403).json({
-                error: 'Invalid API key',
-                message: 'The provided API key is not valid'
+        const { claims, issuer } = this.tokenVerifier.verify(token);
+        const claimNames = { role: 'role', tenant: 'tenant', services: 'services', scope: 'scope', ...this.config.authentication.jwt.claims };
+        
+        // Identity providers may send one role or several; the first one the
+        // gateway knows wins
+        const claimedRoles = [].concat(claims[claimNames.role] ?? []);
+        const role = claimedRoles.length > 0
+            ? claimedRoles.find(candidate => this.accessControl.roles[candidate])
+            : issuer.defaultRole;
+        if (!role) {
+            throw new GatewayError(403, 'ROLE_NOT_RECOGNIZED', claimedRoles.length > 0
+                ? `None of the token's roles (${claimedRoles.join(', ')}) is known to the gateway`
+                : 'The token carries no role claim', { claim: claimNames.role });
+        }
+        
+        const services = claims[claimNames.services];
+        const scopes = claims[claimNames.scope];
+        return {
+            id: `${issuer.name}:${claims.sub}`,
+            owner: claims.name || claims.sub,
+            role,
+            tenant: claims[claimNames.tenant] ?? null,
+            services: Array.isArray(services) ? services : typeof services === 'string' ? services.split(' ') : ['*'],
+            quotas: {},
+            scopes: Array.isArray(scopes) ? scopes : typeof scopes === 'string' ? scopes.split(' ') : [],
+            method: 'jwt'
+        };
+    }
+
+    authorizeRequest(req, res, next) {
+        const serviceName = this.serviceNameOf(req);
+        if (!serviceName) {
+            const notFound = this.unroutedServiceRequest(req);
+            return notFound ? this.sendError(res, notFound) : next();
+        }
+        
+        try {
+            this.accessControl.authorize(req.user, serviceName, this.getService(serviceName), this.requestedCapability(req));
+        } catch (error) {
+            this.auditTrail.record('access-denied', {
+                requestId: req.id,
+                caller: req.user.id,
+                role: req.user.role,
+                service: serviceName,
+                capability: this.requestedCapability(req) ?? null,
+                error: error.code
             });
+            return this.sendError(res, error);
+        }
+        next();
+    }
+
+    requestedCapability(req) {
+        return req.body?.capability ?? req.query.capability;
+    }
+
+    /**
+     * Admin scope: an admin role, or a bearer token granted the configured
+     * admin scope (`authentication.admin`).
+     */
+    requireAdmin(req, res, next) {
+        const admin = { roles: ['admin'], ...this.config.authentication?.admin };
+        const isAdmin = admin.roles.includes(req.user?.role) || (admin.scope && req.user?.scopes.includes(admin.scope));
+        if (!isAdmin) {
+            return this.sendError(res, new GatewayError(403, 'ADMIN_REQUIRED', 'This endpoint requires admin access', {
+                roles: admin.roles,
+                scope: admin.scope
+            }));
+        }
+        next();
+    }
+
+    get adminOnly() {
+        return [this.authenticateRequest.bind(this), this.requireAdmin.bind(this)];
+    }
+
+    enforceRateLimits(req, res, next) {
+        const result = this.rateLimiter.consumeRequest(this.getRateLimitSubject(req));
+        
+        if (result.limit !== undefined) {
+            res.set('X-RateLimit-Limit-Requests', String(result.limit));
+            res.set('X-RateLimit-Remaining-Requests', String(result.remaining));
         }
         
-        req.user = { apiKey, role: 'user' }; // In production, extract from auth service
+        if (!result.allowed) {
+            return this.sendError(res, new RateLimitError('RATE_LIMIT_EXCEEDED', `Request rate limit exceeded (${result.scope})`, result));
+        }
         next();
     }
 
-    validateApiKey(apiKey) {
-        // In production, validate against auth service
-        return apiKey.startsWith('regima_') && apiKey.length > 20;
+    enforceTokenQuota(req, res, chatRequest) {
+        const estimate = this.estimateUsage(chatRequest.messages, '').prompt_tokens;
+        const result = this.rateLimiter.checkTokens(this.getRateLimitSubject(req), estimate);
+        
+        if (result.limit !== undefined) {
+            res.set('X-RateLimit-Limit-Tokens', String(result.limit));
+            res.set('X-RateLimit-Remaining-Tokens', String(result.remaining));
+        }
+        
+        if (!result.allowed) {
+            throw new RateLimitError('TOKEN_QUOTA_EXCEEDED', `Token quota exceeded (${result.scope})`, result);
+        }
+    }
+
+    validateServiceRequest(req, res, next) {
+        const route = this.serviceRouteOf(req);
+        if (!route) {
+            const notFound = this.unroutedServiceRequest(req);
+            return notFound ? this.sendError(res, notFound) : next();
+        }
+        
+        try {
+            const input = this.requestValidator.validateRequest(route, req);
+            if (route.method === 'get' && input) {
+                req.query = input;
+            }
+        } catch (error) {
+            return this.sendError(res, error);
+        }
+        
+        // A response that drifts from its documented schema is logged, not blocked
+        const send = res.json.bind(res);
+        res.json = payload => {
+            const problems = res.statusCode < 400 ? this.requestValidator.checkResponse(route, payload) : [];
+            if (problems.length > 0) {
+                req.log.warn('Response does not match its schema', { method: route.method.toUpperCase(), path: route.path, problems });
+            }
+            return send(payload);
+        };
+        next();
+    }
+
+    async enforcePolicies(req, res, next) {
+        const serviceName = this.serviceNameOf(req);
+        if (!serviceName) {
+            const notFound = this.unroutedServiceRequest(req);
+            return notFound ? this.sendError(res, notFound) : next();
+        }
+        
+        // The whole request uses the engine and service definition it started
+        // with, even if the config is reloaded meanwhile
+        const service = this.getService(serviceName);
+        const engine = this.policyEngine;
+        const context = engine.createContext({ serviceName, service, req, res });
+        req.policyContext = context;
+        req.policyEngine = engine;
+        
+        // JSON responses pass through the outbound stage, error responses
+        // (including policy rejections) through on-error
+        const send = res.json.bind(res);
+        res.json = payload => {
+            const stage = res.statusCode >= 400 ? 'on-error' : 'outbound';
+            if (stage === 'on-error') {
+                context.error = payload.error;
+            }
+            context.response = payload;
+            
+            engine.run(stage, service.policies, context)
+                .then(() => send(context.response))
+                .catch(error => {
+                    if (stage === 'on-error') {
+                        req.log.error('on-error policies failed', { service: serviceName, error: error.message });
+                        send(payload);
+                        return;
+                    }
+                    this.sendError(res, error);
+                });
+            return res;
+        };
+        
+        try {
+            await engine.run('inbound', service.policies, context);
+            req.body = context.body;
+            next();
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    getRateLimitSubject(req) {
+        return {
+            user: req.user?.id,
+            service: this.serviceNameOf(req),
+            quotas: req.user?.quotas
+        };
+    }
+
+    getService(serviceName) {
+        for (const category of Object.values(this.config.services)) {
+            if (category[serviceName]) {
+                return category[serviceName];
+            }
+        }
+        return null;
     }
 
     setupGatewayRoutes() {
         // Gateway information
-        this.app.get('/gateway/info', (req, res) => {
+        this.app.get('/gateway/info', this.adminOnly, (req, res) => {
             res.json({
                 gateway: this.config.gateway,
                 services: Object.keys(this.config.services).map(category => ({
@@ -137,103 +877,218 @@ class RegimAIGateway {
                 policies: Object.keys(this.config.policies),
                 status: 'operational',
                 uptime: process.uptime(),
-                stats: this.requestStats
+                stats: this.metrics.summary()
             });
         });
 
         // Health check
         this.app.get('/health', (req, res) => {
+            const checks = this.healthChecker.report();
+            const services = {};
+            for (const [category, { status }] of Object.entries(checks)) {
+                services[category] = status;
+            }
+            
             res.json({
-                status: 'healthy',
+                status: HealthChecker.overall(checks),
                 timestamp: new Date().toISOString(),
-                services: this.getServiceHealth()
+                services,
+                circuitBreakers: this.getCircuitBreakerStatus(),
+                backendPools: this.getBackendPoolStatus(),
+                config: this.getConfigStatus()
             });
         });
 
-        // Gateway configuration (admin only)
-        this.app.get('/gateway/config', (req, res) => {
-            res.json(this.config);
+        // Liveness: the process answers. Dependencies are left out, since
+        // restarting the gateway would not fix them
+        this.app.get('/health/live', (req, res) => {
+            const config = this.getConfigStatus();
+            const stale = config.status === 'stale';
+            
+            res.json({
+                status: stale ? 'degraded' : 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                checks: {
+                    config: {
+                        status: stale ? 'degraded' : 'healthy',
+                        reason: stale ? `gateway.json was rejected; still running the configuration loaded at ${config.loadedAt}` : null,
+                        lastCheck: config.lastReload?.at || config.loadedAt
+                    }
+                }
+            });
+        });
+        
+        // Readiness: whether the dependencies can serve traffic, from the
+        // active health checks and circuit breakers; 503 when unhealthy
+        this.app.get('/health/ready', (req, res) => {
+            const checks = this.healthChecker.report();
+            const reasons = [];
+            for (const category of Object.values(checks)) {
+                for (const [name, service] of Object.entries(category.services)) {
+                    if (service.status === 'degraded' || service.status === 'unhealthy') {
+                        reasons.push(`${name} is ${service.status}: ${service.reason}`);
+                    }
+                }
+            }
+            
+            let status = HealthChecker.overall(checks);
+            if (!this.healthChecker.checkedOnce) {
+                status = 'unhealthy';
+                reasons.unshift('the first health checks have not finished');
+            }
+            
+            res.status(status === 'unhealthy' ? 503 : 200).json({
+                status,
+                timestamp: new Date().toISOString(),
+                reasons,
+                checks
+            });
+        });
+
+        // Gateway configuration, without credentials even for admins
+        this.app.get('/gateway/config', this.adminOnly, (req, res) => {
+            res.json(redactSecrets(this.config));
         });
     }
 
-    setupServiceRoutes() {
-        // AI Models routing
-        this.app.post('/v1/openai/chat/completions', this.handleOpenAIChat.bind(this));
-        this.app.post('/v1/azure-openai/chat/completions', this.handleAzureOpenAIChat.bind(this));
-        this.app.post('/v1/cognitive/analyze', this.handleCognitiveAnalysis.bind(this));
+    /**
+     * Filters for GET /admin/audit: key, service, type, from, to (ISO 8601)
+     * and limit (1-1000, default 100).
+     */
+    parseAuditQuery(query) {
+        const errors = [];
+        for (const name of ['from', 'to']) {
+            if (query[name] !== undefined && isNaN(Date.parse(query[name]))) {
+                errors.push({ path: `query.${name}`, message: 'must be an ISO 8601 date or time' });
+            }
+        }
+        const limit = query.limit === undefined ? 100 : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            errors.push({ path: 'query.limit', message: 'must be an integer from 1 to 1000' });
+        }
+        if (errors.length > 0) {
+            throw new GatewayError(400, 'INVALID_REQUEST', 'The audit query is invalid', { errors });
+        }
+        
+        return {
+            caller: query.key,
+            service: query.service,
+            type: query.type,
+            from: query.from,
+            to: query.to,
+            limit
+        };
+    }
+
+    setupAdminRoutes() {
+        const admin = express.Router();
+        admin.use(this.adminOnly);
+        
+        // API key management
+        admin.get('/keys', (req, res) => {
+            res.json({ keys: this.keyStore.list({ includeRevoked: req.query.includeRevoked === 'true' }) });
+        });
+        
+        admin.post('/keys', async (req, res) => {
+            try {
+                const { key, record } = await this.keyStore.create(req.body);
+                this.auditTrail.record('api-key-created', { key: record.id, owner: record.owner, role: record.role, by: req.user.id });
+                res.status(201).json({ key, record });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+        
+        admin.post('/keys/:id/rotate', async (req, res) => {
+            try {
+                const { key, record } = await this.keyStore.rotate(req.params.id, req.body);
+                this.auditTrail.record('api-key-rotated', { key: req.params.id, replacement: record.id, by: req.user.id });
+                res.status(201).json({ key, record });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
         
+        admin.delete('/keys/:id', async (req, res) => {
+            try {
+                const record = await this.keyStore.revoke(req.params.id);
+                this.auditTrail.record('api-key-revoked', { key: record.id, by: req.user.id });
+                res.json({ record });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+        
+        // Audit trail
+        admin.get('/audit', async (req, res) => {
+            try {
+                res.json(await this.auditTrail.query(this.parseAuditQuery(req.query)));
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+        
+        // Configuration
+        admin.post('/config/reload', async (req, res) => {
+            try {
+                res.json({ reloaded: true, config: await this.reloadConfig('admin', { by: req.user.id }) });
+            } catch (error) {
+                this.sendError(res, error);
+            }
+        });
+        
+        this.app.use('/admin', admin);
+    }
+
+    setupServiceRoutes() {
+        // Routes generated from the services in gateway.json; the router is
+        // looked up per request so a reload swaps it
+        this.app.use((req, res, next) => this.serviceRouter(req, res, next));
+    }
+
+    setupDiscoveryRoutes() {
         // Service discovery
         this.app.get('/v1/services', (req, res) => {
+            const services = {};
+            for (const [category, entries] of Object.entries(this.config.services)) {
+                services[category] = {};
+                for (const [name, service] of Object.entries(entries)) {
+                    if (this.accessControl.canAccess(req.user, name)) {
+                        services[category][name] = service.capabilities
+                            ? { ...service, capabilities: this.accessControl.allowedCapabilities(req.user.role, service) }
+                            : service;
+                    }
+                }
+            }
+            
             res.json({
-                services: this.config.services,
-                availableEndpoints: this.getAvailableEndpoints()
+                services,
+                availableEndpoints: this.getAvailableEndpoints(req.user)
             });
         });
-    }
-
-    setupAgentRoutes() {
-        // AI Agents
-        this.app.post('/agents/skincare-consultant', this.handleSkincareConsultant.bind(this));
-        this.app.post('/agents/dermatology-assistant', this.handleDermatologyAssistant.bind(this));
-        this.app.post('/agents/product-advisor', this.handleProductAdvisor.bind(this));
         
         // Agent capabilities
         this.app.get('/agents/capabilities', (req, res) => {
-            const agents = this.config.services['ai-agents'];
-            res.json({
-                agents: Object.keys(agents).map(name => ({
-                    name,
-                    endpoint: agents[name].endpoint,
-                    description: agents[name].description,
-                    capabilities: agents[name].capabilities
-                }))
-            });
+            res.json({ agents: this.listAllowedServices(this.config.services['ai-agents'], req.user) });
         });
-    }
-
-    setupDataServiceRoutes() {
-        // Data services
-        this.app.get('/data/vectors/search', this.handleVectorSearch.bind(this));
-        this.app.post('/data/knowledge/query', this.handleKnowledgeQuery.bind(this));
         
         // Data service info
         this.app.get('/data/services', (req, res) => {
-            const dataServices = this.config.services['data-services'];
-            res.json({
-                services: Object.keys(dataServices).map(name => ({
-                    name,
-                    endpoint: dataServices[name].endpoint,
-                    description: dataServices[name].description,
-                    capabilities: dataServices[name].capabilities
-                }))
-            });
+            res.json({ services: this.listAllowedServices(this.config.services['data-services'], req.user) });
         });
-    }
-
-    setupToolRoutes() {
-        // Tools
-        this.app.post('/tools/image-analysis', this.handleImageAnalysis.bind(this));
-        this.app.post('/tools/routine-generator', this.handleRoutineGenerator.bind(this));
         
         // Tool information
         this.app.get('/tools/available', (req, res) => {
-            const tools = this.config.services.tools;
-            res.json({
-                tools: Object.keys(tools).map(name => ({
-                    name,
-                    endpoint: tools[name].endpoint,
-                    description: tools[name].description,
-                    capabilities: tools[name].capabilities
-                }))
-            });
+            res.json({ tools: this.listAllowedServices(this.config.services.tools, req.user) });
         });
     }
 
     setupCognitiveIntegration() {
         // SkinTwin cognitive integration
-        this.app.get('/cognitive/atomspace', this.handleAtomSpaceQuery.bind(this));
-        this.app.post('/cognitive/reasoning', this.handlePLNReasoning.bind(this));
-        this.app.get('/cognitive/patterns', this.handlePatternMining.bind(this));
+        this.app.get('/cognitive/atomspace', this.tracedComponent('atomspace', this.handleAtomSpaceQuery));
+        this.app.post('/cognitive/reasoning', this.tracedComponent('pln', this.handlePLNReasoning));
+        this.app.get('/cognitive/patterns', this.tracedComponent('pattern-mining', this.handlePatternMining));
         
         // Cognitive status
         this.app.get('/cognitive/status', (req, res) => {
@@ -242,102 +1097,234 @@ class RegimAIGateway {
                     enabled: this.config.integration.skintwin.enabled,
                     components: ['atomspace', 'pln', 'moses', 'esn'],
                     status: 'active'
-                },
-                knowledgeGraph: {
-                    nodes: 15420,
-                    relationships: 42380,
-                    lastUpdate: new Date().toISOString()
                 }
             });
         });
     }
 
+    /**
+     * A cognitive component's handler, traced as `cognitive <component>`.
+     */
+    tracedComponent(component, handler) {
+        return (req, res) => tracer.trace(`cognitive ${component}`, {
+            parent: req.span,
+            attributes: { 'regimai.cognitive.component': component }
+        }, () => handler.call(this, req, res));
+    }
+
     setupMonitoring() {
-        // Metrics endpoint
-        this.app.get('/metrics', (req, res) => {
-            res.json({
-                gateway: this.config.gateway.name,
-                timestamp: new Date().toISOString(),
-                requests: this.requestStats,
-                services: this.getServiceMetrics(),
-                cognitive: this.getCognitiveMetrics()
-            });
+        // Prometheus text format, or JSON for clients that ask for it
+        this.app.get('/metrics', this.adminOnly, (req, res) => {
+            if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+                res.json({
+                    gateway: this.config.gateway.name,
+                    timestamp: new Date().toISOString(),
+                    metrics: this.metrics.registry.toJSON()
+                });
+                return;
+            }
+            res.type(MetricsRegistry.CONTENT_TYPE).send(this.metrics.registry.toPrometheus());
         });
         
         // Policies endpoint
-        this.app.get('/policies', (req, res) => {
+        this.app.get('/policies', this.adminOnly, (req, res) => {
+            const rules = this.getActivePolicyRules();
             res.json({
-                policies: this.config.policies,
-                routing: this.config.routing,
-                activeRules: this.getActivePolicyRules()
+                policies: redactSecrets(this.config.policies),
+                routing: redactSecrets(this.config.routing),
+                activeRules: rules.active,
+                inactiveRules: rules.inactive,
+                statistics: this.policyEngine.stats
             });
         });
     }
 
     setupDocumentation() {
-        // API documentation
+        // OpenAPI description of the routes currently served
+        this.app.get('/openapi.json', (req, res) => {
+            res.json(this.getOpenApiDocument(req));
+        });
+        
+        // API documentation summary
         this.app.get('/docs', (req, res) => {
+            const document = this.getOpenApiDocument(req);
             res.json({
                 title: 'RegimAI Gateway API Documentation',
-                version: this.config.gateway.version,
-                description: this.config.gateway.description,
-                endpoints: this.generateEndpointDocumentation(),
-                authentication: {
-                    type: 'API Key',
-                    header: 'X-API-Key',
-                    description: 'Provide your RegimA API key in the X-API-Key header'
-                },
-                examples: this.generateAPIExamples()
+                version: document.info.version,
+                description: document.info.description,
+                openapi: '/openapi.json',
+                endpoints: listOperations(document).map(({ method, path, operation }) => ({
+                    endpoint: path,
+                    method: method.toUpperCase(),
+                    summary: operation.summary,
+                    description: operation.description,
+                    authentication: operation.security ? 'required' : 'none'
+                })),
+                authentication: document.components.securitySchemes
             });
         });
     }
 
-    // Handler implementations
-    async handleOpenAIChat(req, res) {
+    // Handler implementations, called by the service routes as (req, res, route)
+    async proxyChatCompletion(req, res, { serviceName }) {
         try {
-            // Apply content safety and domain policies
-            const filteredRequest = this.applyPolicies(req.body, ['content-safety', 'dermatology-domain']);
+            const service = req.policyContext.service;
+            if (!this.backendPools[serviceName]) {
+                throw new GatewayError(503, 'SERVICE_NOT_CONFIGURED', `No upstream is configured for ${serviceName}`);
+            }
             
-            // Mock OpenAI response for demonstration
-            const response = {
-                id: `chatcmpl-${Date.now()}`,
-                object: 'chat.completion',
-                created: Math.floor(Date.now() / 1000),
-                model: req.body.model || 'gpt-3.5-turbo',
-                choices: [{
-                    index: 0,
-                    message: {
-                        role: 'assistant',
-                        content: 'I\'m a specialized dermatology AI assistant. How can I help you with your skincare concerns today?'
-                    },
-                    finish_reason: 'stop'
-                }],
-                usage: {
-                    prompt_tokens: 20,
-                    completion_tokens: 25,
-                    total_tokens: 45
+            const routing = this.routeByComplexity(req.body, res);
+            const chatRequest = this.buildChatRequest(routing ? { ...req.body, model: routing.model } : req.body, service);
+            req.routing = routing;
+            this.enforceTokenQuota(req, res, chatRequest);
+            
+            if (chatRequest.stream) {
+                await this.relayChatStream(serviceName, service, chatRequest, req, res);
+                return;
+            }
+            
+            const completion = await this.callUpstream(serviceName, req, res, client =>
+                client.chatCompletion(chatRequest, { headers: { 'X-Request-Id': req.id } }));
+            
+            res.locals.model = completion.model || chatRequest.model;
+            this.recordTokenUsage(serviceName, completion.usage, req, res.locals.model);
+            res.json(completion);
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    async relayChatStream(serviceName, service, chatRequest, req, res) {
+        // Stop the upstream generation when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        req.policyContext.streamed = true;
+        
+        const chunks = await this.callUpstream(serviceName, req, res, client =>
+            client.streamChatCompletion(chatRequest, { signal: controller.signal, headers: { 'X-Request-Id': req.id } }));
+        res.locals.model = chatRequest.model;
+        openEventStream(res);
+        
+        const policies = req.policyContext.service.policies;
+        let usage = null;
+        let lastChunk = null;
+        let completion;
+        let usageEvent;
+        const choices = [];
+        
+        try {
+            for await (const upstreamChunk of chunks) {
+                const chunk = await req.policyEngine.transformChunk(policies, req.policyContext, upstreamChunk);
+                if (!chunk) {
+                    continue;
+                }
+                lastChunk = chunk;
+                
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+                for (const choice of chunk.choices || []) {
+                    const assembled = choices[choice.index] || (choices[choice.index] = {
+                        index: choice.index,
+                        message: { role: 'assistant', content: '' },
+                        finish_reason: null
+                    });
+                    assembled.message.content += choice.delta?.content || '';
+                    assembled.finish_reason = choice.finish_reason || assembled.finish_reason;
                 }
+                
+                // The usage chunk is re-emitted once the stream has finished
+                if (chunk.usage && (chunk.choices || []).length === 0) {
+                    continue;
+                }
+                writeEvent(res, chunk);
+            }
+            
+            if (!usage) {
+                usage = this.estimateUsage(chatRequest.messages, choices.map(choice => choice?.message.content || '').join(''));
+            }
+            completion = {
+                id: lastChunk?.id,
+                created: lastChunk?.created || Math.floor(Date.now() / 1000),
+                model: lastChunk?.model || chatRequest.model,
+                usage
             };
             
-            this.updateServiceStats('openai');
-            res.json(response);
+            // Final usage event in the shape OpenAI uses for
+            // stream_options.include_usage; stream rules may annotate it
+            usageEvent = await req.policyEngine.transformChunk(policies, req.policyContext, {
+                ...completion,
+                object: 'chat.completion.chunk',
+                choices: []
+            });
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            if (controller.signal.aborted) {
+                await this.finishStreamPolicies(req, 'on-error', UpstreamError.clientClosed(serviceName));
+                return;
+            }
+            
+            if (!(error instanceof PolicyViolationError)) {
+                req.log.error('Stream failed', { service: serviceName, error: error.message });
+                error = new GatewayError(502, 'UPSTREAM_STREAM_ERROR', `Stream from ${serviceName} was interrupted`);
+            }
+            this.metrics.errors.inc({ service: serviceName, code: error.code });
+            writeEvent(res, await this.finishStreamPolicies(req, 'on-error', error), 'error');
+            res.end();
+            controller.abort();
+            return;
         }
+        
+        if (usageEvent) {
+            writeEvent(res, usageEvent);
+        }
+        writeEvent(res, '[DONE]');
+        res.end();
+        
+        this.recordTokenUsage(serviceName, usage, req, completion.model);
+        await this.finishStreamPolicies(req, 'outbound', {
+            ...completion,
+            object: 'chat.completion',
+            choices: choices.filter(Boolean)
+        });
     }
 
-    async handleSkincareConsultant(req, res) {
+    /**
+     * Run the outbound or on-error stage for a relayed stream once it has
+     * ended, with the completion assembled from the chunks that were sent
+     * or with the error it ended on. Returns the error event to send.
+     */
+    async finishStreamPolicies(req, stage, outcome) {
+        const context = req.policyContext;
+        if (stage === 'on-error') {
+            context.status = outcome.status;
+            context.response = outcome.toResponse();
+            context.error = context.response.error;
+        } else {
+            context.response = outcome;
+        }
+        
         try {
-            const { skinType, concerns, routine, goals } = req.body;
+            await req.policyEngine.run(stage, context.service.policies, context);
+        } catch (error) {
+            req.log.error(`${stage} policies failed`, { service: context.serviceName, error: error.message });
+        }
+        return context.response;
+    }
+
+    async handleSkincareConsultant(req, res, route) {
+        try {
+            // Validated against SkincareConsultationRequest
+            const { skinType, concerns, routine = 'basic', goals = [] } = req.body;
             
             // Mock skincare consultation
             const consultation = {
                 id: `consultation-${Date.now()}`,
                 timestamp: new Date().toISOString(),
                 analysis: {
-                    skinType: skinType || 'combination',
-                    primaryConcerns: concerns || ['hydration', 'anti-aging'],
-                    currentRoutine: routine || 'basic'
+                    skinType,
+                    primaryConcerns: concerns,
+                    currentRoutine: routine,
+                    goals
                 },
                 recommendations: [
                     {
@@ -353,144 +1340,281 @@ class RegimAIGateway {
                         reasoning: 'Protective morning routine for anti-aging goals'
                     }
                 ],
-                confidence: 0.85,
-                disclaimer: 'This consultation is for informational purposes only and does not replace professional dermatological advice.'
+                confidence: 0.85
             };
             
-            this.updateServiceStats('skincare-consultant');
             res.json(consultation);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            this.sendError(res, error);
         }
     }
 
-    async handleImageAnalysis(req, res) {
+    async handleImageAnalysis(req, res, route) {
         try {
-            const { imageData, analysisType } = req.body;
+            // Validated against ImageAnalysisRequest
+            const { analysisType = 'skin-assessment' } = req.body;
             
             // Mock image analysis
             const analysis = {
                 id: `analysis-${Date.now()}`,
                 timestamp: new Date().toISOString(),
-                analysisType: analysisType || 'skin-assessment',
+                analysisType,
                 results: {
                     conditions: ['mild-acne', 'hyperpigmentation'],
                     severity: 'mild',
                     recommendations: ['gentle-exfoliation', 'targeted-treatment'],
                     confidence: 0.78
-                },
-                disclaimer: 'This analysis is for informational purposes only. Consult a dermatologist for medical diagnosis.'
+                }
             };
             
-            this.updateServiceStats('image-analysis');
             res.json(analysis);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            this.sendError(res, error);
+        }
+    }
+
+    /**
+     * Agents without a built-in implementation: the chat model of
+     * `handler.modelService` answers with the agent's instructions as the
+     * system prompt.
+     */
+    async handleModelAgent(req, res, { serviceName, handler }) {
+        try {
+            // Validated against ModelAgentRequest
+            const { message, messages = [{ role: 'user', content: message }] } = req.body;
+            const modelService = this.getService(handler.modelService);
+            if (!this.backendPools[handler.modelService]) {
+                throw new GatewayError(503, 'SERVICE_NOT_CONFIGURED', `No upstream is configured for ${handler.modelService}`);
+            }
+            
+            const chatRequest = this.buildChatRequest({
+                messages: handler.instructions ? [{ role: 'system', content: handler.instructions }, ...messages] : messages
+            }, modelService);
+            this.enforceTokenQuota(req, res, chatRequest);
+            
+            const completion = await this.callUpstream(handler.modelService, req, res, client =>
+                client.chatCompletion(chatRequest, { headers: { 'X-Request-Id': req.id } }));
+            
+            res.locals.model = completion.model || chatRequest.model;
+            this.recordTokenUsage(serviceName, completion.usage, req, res.locals.model);
+            res.json({
+                id: `${serviceName}-${Date.now()}`,
+                timestamp: new Date().toISOString(),
+                agent: serviceName,
+                model: completion.model,
+                reply: completion.choices?.[0]?.message?.content ?? '',
+                usage: completion.usage
+            });
+        } catch (error) {
+            this.sendError(res, error);
         }
     }
 
     // Helper methods
-    applyPolicies(data, policyNames) {
-        // Mock policy application
-        console.log(`🛡️  Applying policies: ${policyNames.join(', ')}`);
-        return data; // In production, implement actual policy enforcement
+    async callUpstream(serviceName, req, res, operation) {
+        // Each attempt picks backends from the pool, failing over between
+        // them; retries only start once every candidate has failed
+        const pool = this.backendPools[serviceName];
+        const prefer = req.routing?.backends;
+        return tracer.trace(`upstream ${serviceName}`, { attributes: { 'regimai.service': serviceName } }, span => withRetry(() => pool.execute(async (client, backend) => {
+            res.set('X-Gateway-Backend', backend.name);
+            span.setAttribute('regimai.backend', backend.name);
+            const observe = this.metrics.upstreamDuration.startTimer({ service: serviceName, backend: backend.name });
+            try {
+                const result = await operation(client);
+                observe({ outcome: 'success' });
+                return result;
+            } catch (error) {
+                observe({ outcome: error.code || 'error' });
+                throw error;
+            }
+        }, { prefer }), {
+            ...this.retryOptions,
+            onRetry: (error, attempt, delay) => {
+                span.addEvent('retry', { 'error.type': error.code, attempt: attempt + 1, delay_ms: delay });
+                req.log.warn('Retrying upstream', { service: serviceName, code: error.code, attempt: attempt + 1, delayMs: delay });
+            }
+        }));
     }
 
-    updateServiceStats(serviceName) {
-        if (!this.requestStats.byService[serviceName]) {
-            this.requestStats.byService[serviceName] = 0;
+    routeByComplexity(body, res) {
+        const loadBalancing = this.config.routing['load-balancing'] || {};
+        if (loadBalancing.strategy !== 'cognitive-aware' || !loadBalancing.tiers || !Array.isArray(body?.messages)) {
+            return null;
+        }
+        
+        // Clients keep the model they asked for unless they leave it to the gateway
+        const clientModel = body.model && body.model !== 'auto';
+        if (clientModel && !loadBalancing['override-client-model']) {
+            return null;
+        }
+        
+        const prompt = body.messages
+            .filter(message => message.role === 'user')
+            .map(message => this.messageText(message))
+            .join('\n');
+        const { routing } = tracer.traceSync('cognitive complexity-analysis', {
+            attributes: { 'regimai.cognitive.component': 'complexity-analyzer' }
+        }, span => {
+            const analysis = this.complexityAnalyzer.analyze(prompt);
+            span.setAttributes({
+                'regimai.cognitive.tier': analysis.routing.recommended_endpoint,
+                'regimai.cognitive.score': analysis.routing.complexity_score
+            });
+            return analysis;
+        });
+        const tier = routing.recommended_endpoint;
+        const tierConfig = loadBalancing.tiers[tier];
+        if (!tierConfig) {
+            return null;
         }
-        this.requestStats.byService[serviceName]++;
+        
+        const decision = {
+            tier,
+            score: Math.round(routing.complexity_score * 1000) / 1000,
+            model: tierConfig.model || (clientModel ? body.model : undefined),
+            backends: tierConfig.backends
+        };
+        
+        res.set('X-Cognitive-Tier', tier);
+        res.set('X-Cognitive-Complexity', String(decision.score));
+        if (decision.model) {
+            res.set('X-Cognitive-Model', decision.model);
+        }
+        
+        this.metrics.routing.inc({ tier, model: decision.model || '' });
+        return decision;
     }
 
-    getServiceHealth() {
-        return {
-            'ai-models': 'healthy',
-            'ai-agents': 'healthy', 
-            'data-services': 'healthy',
-            'tools': 'healthy',
-            'cognitive': 'healthy'
-        };
+    messageText(message) {
+        if (typeof message.content === 'string') {
+            return message.content;
+        }
+        return (message.content || [])
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join(' ');
     }
 
-    getAvailableEndpoints() {
-        return [
-            '/v1/openai/chat/completions',
-            '/v1/azure-openai/chat/completions',
-            '/v1/cognitive/analyze',
-            '/agents/skincare-consultant',
-            '/agents/dermatology-assistant',
-            '/agents/product-advisor',
-            '/data/vectors/search',
-            '/data/knowledge/query',
-            '/tools/image-analysis',
-            '/tools/routine-generator'
-        ];
+    buildChatRequest(body, service) {
+        if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+            throw new GatewayError(400, 'INVALID_REQUEST', 'messages must be a non-empty array');
+        }
+        
+        const model = body.model || service.defaultModel;
+        const models = this.getServiceModels(service);
+        if (models.length > 0 && !models.includes(model)) {
+            throw new GatewayError(400, 'MODEL_NOT_SUPPORTED', `Model ${model} is not available on this service`, {
+                models
+            });
+        }
+        
+        // Model, messages, tools and sampling parameters pass through untouched
+        return { ...body, model };
     }
 
-    getServiceMetrics() {
-        return {
-            totalRequests: this.requestStats.total,
-            requestsByService: this.requestStats.byService,
-            errorRate: this.requestStats.total > 0 ? this.requestStats.errors / this.requestStats.total : 0
-        };
+    getServiceModels(service) {
+        // Azure services also accept the OpenAI spelling of mapped deployments
+        const aliases = Object.keys(service.upstream?.deployments || {});
+        return [...new Set([...(service.models || []), ...aliases])];
+    }
+
+    sendError(res, error) {
+        if (!(error instanceof GatewayError)) {
+            (res.req?.log || logger).error('Unhandled gateway error', { error });
+            error = new GatewayError(500, 'INTERNAL_ERROR', error.message);
+        }
+        
+        const service = res.req && this.serviceNameOf(res.req);
+        this.metrics.errors.inc({ service: service || '', code: error.code });
+        if (error.retryAfter) {
+            res.set('Retry-After', error.retryAfter);
+        }
+        res.status(error.status).json(error.toResponse());
     }
 
-    getCognitiveMetrics() {
+    estimateUsage(messages, completionText) {
+        const promptTokens = estimateTokens(messages.map(message =>
+            typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+        ).join('\n'));
+        const completionTokens = estimateTokens(completionText);
+        
         return {
-            atomSpaceNodes: 15420,
-            inferenceQueries: 342,
-            patternsMined: 128,
-            accuracyScore: 0.92
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            estimated: true
         };
     }
 
-    generateEndpointDocumentation() {
-        return [
-            {
-                endpoint: '/v1/openai/chat/completions',
-                method: 'POST',
-                description: 'OpenAI chat completions for dermatology consultations',
-                authentication: 'required'
-            },
-            {
-                endpoint: '/agents/skincare-consultant',
-                method: 'POST', 
-                description: 'AI agent for personalized skincare consultations',
-                authentication: 'required'
-            },
-            {
-                endpoint: '/tools/image-analysis',
-                method: 'POST',
-                description: 'Analyze skin images for conditions and recommendations',
-                authentication: 'required'
-            }
-        ];
-    }
-
-    generateAPIExamples() {
+    recordTokenUsage(serviceName, usage, req, model) {
+        if (!usage) {
+            return;
+        }
+        
+        this.metrics.recordTokens({ service: serviceName, model, user: req.user }, usage);
+        const total = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+        
+        // Feed the caller's tokens-per-minute quotas
+        this.rateLimiter.recordTokens(this.getRateLimitSubject(req), total);
+    }
+
+    getCircuitBreakerStatus() {
+        const status = {};
+        for (const [name, breaker] of Object.entries(this.circuitBreakers)) {
+            status[name] = breaker.getStatus();
+        }
+        return status;
+    }
+
+    getConfigStatus() {
+        const { loadedAt, fingerprint: configFingerprint, lastReload } = this.configStatus;
         return {
-            skincareConsultation: {
-                endpoint: '/agents/skincare-consultant',
-                request: {
-                    skinType: 'combination',
-                    concerns: ['acne', 'dark-spots'],
-                    routine: 'basic',
-                    goals: ['clear-skin', 'even-tone']
-                }
-            },
-            imageAnalysis: {
-                endpoint: '/tools/image-analysis',
-                request: {
-                    imageData: 'base64_encoded_image_data',
-                    analysisType: 'skin-assessment'
-                }
-            }
+            status: lastReload?.result === 'rejected' ? 'stale' : 'current',
+            loadedAt,
+            fingerprint: configFingerprint,
+            lastReload
         };
     }
 
+    getBackendPoolStatus() {
+        const status = {};
+        for (const [name, pool] of Object.entries(this.backendPools)) {
+            status[name] = pool.getStatus();
+        }
+        return status;
+    }
+
+    getAvailableEndpoints(user) {
+        return this.serviceRoutes
+            .filter(route => this.accessControl.canAccess(user, route.serviceName))
+            .map(route => route.path);
+    }
+
+    listAllowedServices(services, user) {
+        return Object.entries(services)
+            .filter(([name]) => this.accessControl.canAccess(user, name))
+            .map(([name, service]) => ({
+                name,
+                endpoint: service.endpoint,
+                description: service.description,
+                capabilities: this.accessControl.allowedCapabilities(user.role, service)
+            }));
+    }
+
+    getActivePolicyRules() {
+        return this.policyEngine.getActiveRules();
+    }
+
+    getOpenApiDocument(req) {
+        return buildOpenApiDocument(this.config, this.serviceRoutes, {
+            serverUrl: `${req.protocol}://${req.get('host')}`,
+            queryApiKeys: this.allowQueryApiKeys,
+            bearerTokens: this.tokenVerifier.enabled
+        });
+    }
+
     // Placeholder handlers for remaining endpoints
-    async handleAzureOpenAIChat(req, res) { res.json({ message: 'Azure OpenAI endpoint - implementation pending' }); }
     async handleCognitiveAnalysis(req, res) { res.json({ message: 'Cognitive analysis endpoint - implementation pending' }); }
     async handleDermatologyAssistant(req, res) { res.json({ message: 'Dermatology assistant endpoint - implementation pending' }); }
     async handleProductAdvisor(req, res) { res.json({ message: 'Product advisor endpoint - implementation pending' }); }
@@ -500,24 +1624,32 @@ class RegimAIGateway {
     async handleAtomSpaceQuery(req, res) { res.json({ message: 'AtomSpace query endpoint - implementation pending' }); }
     async handlePLNReasoning(req, res) { res.json({ message: 'PLN reasoning endpoint - implementation pending' }); }
     async handlePatternMining(req, res) { res.json({ message: 'Pattern mining endpoint - implementation pending' }); }
-    getActivePolicyRules() { return ['content-safety-active', 'domain-validation-active']; }
 
-    start() {
+    async start() {
+        // Routes come from gateway.json, so listen once they are registered
+        await this.ready;
+        
+        // Export the spans still buffered before exiting
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                tracer.shutdown().finally(() => process.exit(0));
+            });
+        }
+        
         this.app.listen(this.port, () => {
-            console.log('');
-            console.log('🚀 RegimAI Gateway running');
-            console.log(`📍 Gateway URL: http://localhost:${this.port}`);
-            console.log(`📖 Documentation: http://localhost:${this.port}/docs`);
-            console.log(`📊 Metrics: http://localhost:${this.port}/metrics`);
-            console.log(`🏥 Health: http://localhost:${this.port}/health`);
-            console.log('');
-            console.log('Available Services:');
-            console.log('  🤖 AI Models: /v1/openai, /v1/azure-openai, /v1/cognitive');
-            console.log('  👥 AI Agents: /agents/skincare-consultant, /agents/dermatology-assistant');
-            console.log('  💾 Data Services: /data/vectors, /data/knowledge');
-            console.log('  🔧 Tools: /tools/image-analysis, /tools/routine-generator');
-            console.log('  🧠 Cognitive: /cognitive/atomspace, /cognitive/reasoning');
-            console.log('');
+            const services = {};
+            for (const [category, entries] of Object.entries(this.config.services)) {
+                services[category] = Object.values(entries).map(service => service.endpoint);
+            }
+            services.cognitive = ['/cognitive/atomspace', '/cognitive/reasoning'];
+            
+            logger.info('RegimAI Gateway running', {
+                url: `http://localhost:${this.port}`,
+                docs: `http://localhost:${this.port}/docs`,
+                metrics: `http://localhost:${this.port}/metrics`,
+                health: `http://localhost:${this.port}/health`,
+                services
+            });
         });
     }
 }
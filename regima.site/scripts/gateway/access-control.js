@@ -0,0 +1,116 @@
+const { GatewayError } = require('./errors');
+
+/**
+ * Access Control
+ *
+ * Role-based access to services and capabilities, configured under
+ * `access-control.roles` in gateway.json. A role lists the services
+ * and capabilities it may use (`"*"` for all) and may inherit another
+ * role's grants:
+ *
+ *   "clinician": { "inherits": "practitioner", "services": [...], "capabilities": [...] }
+ *
+ * Capabilities are those a service declares in its `capabilities` list; a
+ * caller selects one with `capability` in the request body or query. A
+ * request that selects none may use any of them, so its role needs them all.
+ */
+class AccessControl {
+    constructor(roles = {}) {
+        this.roles = roles;
+        this.grants = new Map();
+    }
+
+    grantsFor(role, seen = new Set()) {
+        if (this.grants.has(role)) {
+            return this.grants.get(role);
+        }
+
+        const definition = this.roles[role];
+        if (!definition || seen.has(role)) {
+            return { services: new Set(), capabilities: new Set() };
+        }
+        seen.add(role);
+
+        const inherited = definition.inherits ? this.grantsFor(definition.inherits, seen) : null;
+        const grants = {
+            services: new Set([...(inherited?.services || []), ...(definition.services || [])]),
+            capabilities: new Set([...(inherited?.capabilities || []), ...(definition.capabilities || [])])
+        };
+        this.grants.set(role, grants);
+        return grants;
+    }
+
+    canUseService(role, serviceName) {
+        const { services } = this.grantsFor(role);
+        return services.has('*') || services.has(serviceName);
+    }
+
+    canUseCapability(role, capability) {
+        const { capabilities } = this.grantsFor(role);
+        return capabilities.has('*') || capabilities.has(capability);
+    }
+
+    /**
+     * Whether a caller can reach a service at all: their role must grant it
+     * and their API key must not be limited to other services.
+     */
+    canAccess(user, serviceName) {
+        const keyServices = user?.services || ['*'];
+        return this.canUseService(user?.role, serviceName)
+            && (keyServices.includes('*') || keyServices.includes(serviceName));
+    }
+
+    allowedCapabilities(role, service) {
+        return (service.capabilities || []).filter(capability => this.canUseCapability(role, capability));
+    }
+
+    /**
+     * Roles granted a service (or one of its capabilities), for error
+     * messages that tell the caller what access they would need.
+     */
+    rolesAllowed(serviceName, capability) {
+        return Object.keys(this.roles).filter(role =>
+            this.canUseService(role, serviceName) && (!capability || this.canUseCapability(role, capability)));
+    }
+
+    authorize(user, serviceName, service, capability) {
+        const role = user?.role;
+
+        if (!this.canUseService(role, serviceName)) {
+            throw new GatewayError(403, 'SERVICE_FORBIDDEN', `Role ${role} may not use ${serviceName}`, {
+                role,
+                service: serviceName,
+                allowedRoles: this.rolesAllowed(serviceName)
+            });
+        }
+
+        if (capability === undefined) {
+            const missing = (service.capabilities || []).filter(name => !this.canUseCapability(role, name));
+            if (missing.length > 0) {
+                throw new GatewayError(403, 'CAPABILITY_FORBIDDEN', `Role ${role} may not use all of ${serviceName}; select a capability`, {
+                    role,
+                    service: serviceName,
+                    missing,
+                    capabilities: this.allowedCapabilities(role, service)
+                });
+            }
+            return;
+        }
+        if (!(service.capabilities || []).includes(capability)) {
+            throw new GatewayError(400, 'UNKNOWN_CAPABILITY', `${serviceName} has no capability ${capability}`, {
+                service: serviceName,
+                capabilities: service.capabilities || []
+            });
+        }
+        if (!this.canUseCapability(role, capability)) {
+            throw new GatewayError(403, 'CAPABILITY_FORBIDDEN', `Role ${role} may not use ${capability} on ${serviceName}`, {
+                role,
+                service: serviceName,
+                capability,
+                allowedRoles: this.rolesAllowed(serviceName, capability)
+            });
+        }
+    }
+}
+
+module.exports = AccessControl;
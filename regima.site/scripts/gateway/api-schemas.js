@@ -0,0 +1,433 @@
+/**
+ * API Schemas
+ *
+ * JSON Schemas for the bodies the gateway accepts and returns, published
+ * under `components.schemas` in /openapi.json. `OPERATIONS` maps the
+ * `operation` of each service route (see service-routes.js) to its request
+ * and response schema; a GET operation takes its request fields as query
+ * parameters. Requests are validated against these schemas before any
+ * policy or handler runs (see request-validator.js).
+ */
+
+// Vocabularies shared by the consultation, advice and routine requests
+const SKIN_TYPES = ['normal', 'dry', 'oily', 'combination', 'sensitive'];
+const SKIN_CONCERNS = [
+    'acne', 'anti-aging', 'dark-spots', 'dryness', 'dullness', 'hydration', 'hyperpigmentation',
+    'large-pores', 'oiliness', 'redness', 'rosacea', 'sensitivity', 'texture', 'wrinkles'
+];
+
+const skinType = { enum: SKIN_TYPES };
+const concerns = { type: 'array', minItems: 1, maxItems: 5, uniqueItems: true, items: { enum: SKIN_CONCERNS } };
+const labels = { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 100 } };
+
+// Services with capabilities also take the one to use in the request
+const capability = { type: 'string', description: 'Capability of the service to use' };
+
+const message = {
+    type: 'object',
+    required: ['role', 'content'],
+    properties: {
+        role: { enum: ['system', 'user', 'assistant', 'tool'] },
+        content: {
+            description: 'Text, or an array of content parts',
+            type: ['string', 'array']
+        }
+    }
+};
+
+const usage = {
+    type: 'object',
+    properties: {
+        prompt_tokens: { type: 'integer' },
+        completion_tokens: { type: 'integer' },
+        total_tokens: { type: 'integer' },
+        estimated: { type: 'boolean', description: 'Present when the gateway counted the tokens itself' }
+    }
+};
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { const: false },
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', description: 'Stable error code, e.g. INVALID_API_KEY' },
+                    message: { type: 'string' },
+                    details: { description: 'Extra context that depends on the code' }
+                }
+            }
+        },
+        example: {
+            success: false,
+            error: {
+                code: 'INVALID_API_KEY',
+                message: 'The provided API key is not valid'
+            }
+        }
+    },
+    PendingImplementation: {
+        type: 'object',
+        description: 'Returned by endpoints whose implementation is not available yet',
+        properties: {
+            message: { type: 'string' }
+        }
+    },
+    ChatCompletionRequest: {
+        type: 'object',
+        description: 'An OpenAI chat completion request. Tools and sampling parameters are passed to the model unchanged.',
+        required: ['messages'],
+        properties: {
+            model: { type: 'string', description: "Defaults to the service's defaultModel" },
+            messages: { type: 'array', minItems: 1, items: message },
+            stream: { type: 'boolean', description: 'Answer with server-sent events' },
+            max_tokens: { type: 'integer', minimum: 1 },
+            temperature: { type: 'number', minimum: 0, maximum: 2 }
+        },
+        example: {
+            model: 'gpt-3.5-turbo',
+            messages: [{ role: 'user', content: "What's the best skincare routine for oily skin?" }],
+            max_tokens: 150
+        }
+    },
+    ChatCompletion: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            object: { const: 'chat.completion' },
+            created: { type: 'integer' },
+            model: { type: 'string' },
+            choices: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        index: { type: 'integer' },
+                        message,
+                        finish_reason: { type: ['string', 'null'] }
+                    }
+                }
+            },
+            usage
+        }
+    },
+    CognitiveAnalysisRequest: {
+        type: 'object',
+        required: ['imageData'],
+        additionalProperties: false,
+        properties: {
+            service: { enum: ['computer-vision', 'custom-vision', 'face-api'] },
+            imageData: { type: 'string', format: 'base64-image', description: 'Base64-encoded PNG, JPEG or WebP image' }
+        }
+    },
+    SkincareConsultationRequest: {
+        type: 'object',
+        required: ['skinType', 'concerns'],
+        additionalProperties: false,
+        properties: {
+            skinType,
+            concerns,
+            routine: { enum: ['none', 'basic', 'moderate', 'advanced'], default: 'basic', description: 'Current routine' },
+            goals: labels,
+            capability
+        },
+        example: {
+            skinType: 'combination',
+            concerns: ['acne', 'dark-spots'],
+            routine: 'basic',
+            goals: ['clear-skin', 'even-tone']
+        }
+    },
+    SkincareConsultation: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            analysis: {
+                type: 'object',
+                properties: {
+                    skinType: { type: 'string' },
+                    primaryConcerns: { type: 'array', items: { type: 'string' } },
+                    currentRoutine: { type: 'string' },
+                    goals: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            recommendations: { type: 'array', items: { type: 'object' } },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+    },
+    DermatologyAssistantRequest: {
+        type: 'object',
+        required: ['question'],
+        additionalProperties: false,
+        properties: {
+            question: { type: 'string', minLength: 1, maxLength: 4000 },
+            patientContext: { type: 'object', description: 'De-identified clinical context' },
+            capability
+        }
+    },
+    ProductAdvisorRequest: {
+        type: 'object',
+        required: ['skinType'],
+        additionalProperties: false,
+        properties: {
+            skinType,
+            concerns,
+            budget: { enum: ['budget', 'moderate', 'premium'] },
+            preferences: labels,
+            capability
+        },
+        example: {
+            skinType: 'sensitive',
+            budget: 'moderate',
+            preferences: ['fragrance-free', 'cruelty-free']
+        }
+    },
+    ModelAgentRequest: {
+        type: 'object',
+        description: 'A single message, or a conversation to continue',
+        additionalProperties: false,
+        anyOf: [{ required: ['message'] }, { required: ['messages'] }],
+        properties: {
+            message: { type: 'string', minLength: 1 },
+            messages: { type: 'array', minItems: 1, items: message },
+            capability
+        },
+        example: { message: 'What does niacinamide do for oily skin?' }
+    },
+    ModelAgentReply: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            agent: { type: 'string' },
+            model: { type: 'string' },
+            reply: { type: 'string' },
+            usage
+        }
+    },
+    ImageAnalysisRequest: {
+        type: 'object',
+        required: ['imageData'],
+        additionalProperties: false,
+        properties: {
+            imageData: {
+                type: 'string',
+                format: 'base64-image',
+                description: 'Base64-encoded PNG, JPEG or WebP image, optionally as a data: URL'
+            },
+            analysisType: { enum: ['skin-assessment', 'condition-detection', 'progress-tracking'], default: 'skin-assessment' },
+            capability
+        },
+        example: {
+            imageData: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+            analysisType: 'skin-assessment'
+        }
+    },
+    ImageAnalysis: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            analysisType: { type: 'string' },
+            results: {
+                type: 'object',
+                properties: {
+                    conditions: { type: 'array', items: { type: 'string' } },
+                    severity: { type: 'string' },
+                    recommendations: { type: 'array', items: { type: 'string' } },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 }
+                }
+            }
+        }
+    },
+    RoutineGeneratorRequest: {
+        type: 'object',
+        required: ['skinType'],
+        additionalProperties: false,
+        properties: {
+            skinType,
+            concerns,
+            timeAvailable: { enum: ['minimal', 'moderate', 'extended'] },
+            products: labels,
+            capability
+        },
+        example: {
+            skinType: 'dry',
+            concerns: ['anti-aging', 'hydration'],
+            timeAvailable: 'moderate',
+            products: ['cleanser', 'serum', 'moisturizer']
+        }
+    },
+    VectorSearchQuery: {
+        type: 'object',
+        required: ['query'],
+        additionalProperties: false,
+        properties: {
+            query: { type: 'string', minLength: 1, description: 'Text to find similar knowledge for' },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            capability
+        },
+        example: { query: 'retinol benefits', limit: 10 }
+    },
+    KnowledgeQueryRequest: {
+        type: 'object',
+        required: ['query'],
+        additionalProperties: false,
+        properties: {
+            query: { type: 'string', minLength: 1 },
+            context: { type: 'string' },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            capability
+        },
+        example: {
+            query: 'ingredients for anti-aging',
+            context: 'evidence-based',
+            limit: 5
+        }
+    },
+    AtomSpaceQuery: {
+        type: 'object',
+        properties: {
+            concept: { type: 'string' }
+        },
+        example: { concept: 'hyaluronic-acid' }
+    },
+    ReasoningRequest: {
+        type: 'object',
+        properties: {
+            premises: { type: 'array', items: { type: 'string' } },
+            goal: { type: 'string' }
+        },
+        example: {
+            premises: ['dry skin', 'winter climate'],
+            goal: 'optimal moisturizer'
+        }
+    },
+    CognitiveStatus: {
+        type: 'object',
+        properties: {
+            skintwin: { type: 'object' }
+        }
+    },
+    ServiceSummary: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            endpoint: { type: 'string' },
+            description: { type: 'string' },
+            capabilities: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    ServiceDirectory: {
+        type: 'object',
+        properties: {
+            services: { type: 'object', description: 'Services you may use, by category' },
+            availableEndpoints: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    HealthCheck: {
+        type: 'object',
+        description: 'Result of a health check; services with backends list each one under backends',
+        properties: {
+            status: { enum: ['healthy', 'degraded', 'unhealthy', 'unknown'] },
+            reason: { type: ['string', 'null'] },
+            lastCheck: { type: ['string', 'null'], format: 'date-time' },
+            lastSuccess: { type: ['string', 'null'], format: 'date-time' },
+            latencyMs: { type: ['integer', 'null'] },
+            circuit: { type: ['string', 'null'] },
+            backends: { type: 'object', additionalProperties: { $ref: '#/components/schemas/HealthCheck' } }
+        }
+    },
+    Liveness: {
+        type: 'object',
+        properties: {
+            status: { enum: ['healthy', 'degraded'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number' },
+            checks: { type: 'object', additionalProperties: { $ref: '#/components/schemas/HealthCheck' } }
+        }
+    },
+    Readiness: {
+        type: 'object',
+        properties: {
+            status: { enum: ['healthy', 'degraded', 'unhealthy'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            reasons: { type: 'array', items: { type: 'string' } },
+            checks: {
+                type: 'object',
+                description: 'Health by service category, each with its services',
+                additionalProperties: {
+                    type: 'object',
+                    properties: {
+                        status: { enum: ['healthy', 'degraded', 'unhealthy', 'unknown'] },
+                        services: { type: 'object', additionalProperties: { $ref: '#/components/schemas/HealthCheck' } }
+                    }
+                }
+            }
+        }
+    },
+    HealthStatus: {
+        type: 'object',
+        properties: {
+            status: { enum: ['healthy', 'degraded', 'unhealthy'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            services: { type: 'object' },
+            circuitBreakers: { type: 'object' },
+            backendPools: { type: 'object' },
+            config: { type: 'object' }
+        }
+    },
+    ApiKeyRequest: {
+        type: 'object',
+        required: ['owner'],
+        properties: {
+            owner: { type: 'string' },
+            role: { type: 'string' },
+            services: { type: 'array', items: { type: 'string' } },
+            description: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            expiresIn: { type: 'string', description: 'Duration such as 90d, instead of expiresAt' },
+            quotas: {
+                type: 'object',
+                properties: {
+                    requests: { type: 'string', description: 'Rate such as 100/minute' },
+                    tokensPerMinute: { type: 'integer', minimum: 1 }
+                }
+            }
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: 'Only ever shown once' },
+            record: { type: 'object' }
+        }
+    }
+};
+
+// Request and response schemas for each service route operation
+const OPERATIONS = {
+    'chat-completions': {
+        summary: 'Create a chat completion',
+        request: 'ChatCompletionRequest',
+        response: 'ChatCompletion',
+        streaming: true,
+        // Forwarded as-is; the model API validates the full request
+        passthrough: true
+    },
+    analyze: { summary: 'Analyze an image with Cognitive Services', request: 'CognitiveAnalysisRequest', response: 'PendingImplementation' },
+    'skincare-consultant': { summary: 'Get a skincare consultation', request: 'SkincareConsultationRequest', response: 'SkincareConsultation' },
+    'dermatology-assistant': { summary: 'Ask the dermatology assistant', request: 'DermatologyAssistantRequest', response: 'PendingImplementation' },
+    'product-advisor': { summary: 'Get product recommendations', request: 'ProductAdvisorRequest', response: 'PendingImplementation' },
+    'model-agent': { summary: 'Ask the agent', request: 'ModelAgentRequest', response: 'ModelAgentReply' },
+    'image-analysis': { summary: 'Analyze a skin image', request: 'ImageAnalysisRequest', response: 'ImageAnalysis' },
+    'routine-generator': { summary: 'Generate a skincare routine', request: 'RoutineGeneratorRequest', response: 'PendingImplementation' },
+    'vector-search': { summary: 'Search skincare knowledge by similarity', request: 'VectorSearchQuery', response: 'PendingImplementation' },
+    'knowledge-query': { summary: 'Query the knowledge graph', request: 'KnowledgeQueryRequest', response: 'PendingImplementation' }
+};
+
+module.exports = { SCHEMAS, OPERATIONS, SKIN_TYPES, SKIN_CONCERNS };
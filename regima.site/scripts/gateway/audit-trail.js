@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { logger } = require('./logger');
+
+// prevHash of the first entry in a log
+const GENESIS_HASH = '0'.repeat(64);
+
+// Enough of the end of the log to hold its last entry
+const TAIL_BYTES = 64 * 1024;
+
+// Set by the trail itself; details passed to record() cannot override them
+const RESERVED_FIELDS = ['seq', 'timestamp', 'type', 'prevHash', 'hash'];
+
+/**
+ * Audit Trail
+ *
+ * Append-only JSONL record of security and compliance events, enabled by
+ * `monitoring.logging.audit-trail`. Writes are queued so entries land in
+ * the order they were recorded. Entries must never carry the personal data
+ * or credentials they describe.
+ *
+ * The log is hash-chained: every entry has a `seq` number, the `prevHash`
+ * of the entry before it and its own `hash`, a SHA-256 of the entry without
+ * `hash`. Editing an entry breaks its hash, deleting one breaks the chain,
+ * and `<file>.head` records the last entry so a log cut short is noticed
+ * too. AuditTrail.verify checks all three.
+ */
+class AuditTrail {
+    constructor(filePath, { enabled = true } = {}) {
+        this.filePath = filePath;
+        this.headPath = `${filePath}.head`;
+        this.enabled = enabled;
+        this.seq = 0;
+        this.lastHash = GENESIS_HASH;
+        this.queue = Promise.resolve();
+    }
+
+    static hashEntry(entry) {
+        const { hash, ...content } = entry;
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+
+    /**
+     * Continue the chain of an existing log from its last entry.
+     *
+     * Lines after the last intact entry, such as one cut short by a crash,
+     * are moved to `<file>.<time>.quarantined` and the chain continues from
+     * that entry. A log written before entries were chained is moved aside
+     * to `<file>.<time>.unchained` and a new chain starts. Loading fails when
+     * the head file does not match the last entry, since entries were then
+     * removed or replaced, or when no intact entry is found near the end.
+     */
+    async load() {
+        const head = await fs.pathExists(this.headPath) ? await fs.readJson(this.headPath) : null;
+        const tail = await AuditTrail.readTail(this.filePath);
+        const last = tail && AuditTrail.findLastEntry(tail);
+
+        if (tail && !last) {
+            if (head || await AuditTrail.hasChainedEntry(this.filePath)) {
+                throw new Error(`No intact audit entry in the last ${TAIL_BYTES / 1024} KB of ${this.filePath}; check it with npm run verify-audit`);
+            }
+            const unchainedPath = `${this.filePath}.${AuditTrail.fileStamp()}.unchained`;
+            await fs.move(this.filePath, unchainedPath);
+            logger.warn('Moved an audit log without a hash chain aside', { file: unchainedPath });
+            return this;
+        }
+
+        AuditTrail.checkHead(head, last?.entry, this.filePath);
+        if (last && last.end < tail.size) {
+            await this.quarantine(tail, last.end);
+        } else if (last && tail.buffer[tail.buffer.length - 1] !== 0x0a) {
+            await fs.appendFile(this.filePath, '\n');
+        }
+
+        if (last) {
+            this.seq = last.entry.seq;
+            this.lastHash = last.entry.hash;
+        }
+        return this;
+    }
+
+    static fileStamp() {
+        return new Date().toISOString().replace(/[:.]/g, '-');
+    }
+
+    /**
+     * The end of a log: up to TAIL_BYTES as a buffer, with the offset it
+     * starts at in the file.
+     */
+    static async readTail(filePath) {
+        if (!await fs.pathExists(filePath)) {
+            return null;
+        }
+
+        const { size } = await fs.stat(filePath);
+        if (size === 0) {
+            return null;
+        }
+        const length = Math.min(size, TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        const handle = await fs.open(filePath, 'r');
+        try {
+            await fs.read(handle, buffer, 0, length, size - length);
+        } finally {
+            await fs.close(handle);
+        }
+        return { buffer, offset: size - length, size };
+    }
+
+    /**
+     * The last entry in a tail whose hash matches its content, and the file
+     * offset just past its line, or null when there is none.
+     */
+    static findLastEntry({ buffer, offset }) {
+        let end = buffer.length;
+        while (end > 0) {
+            const contentEnd = buffer[end - 1] === 0x0a ? end - 1 : end;
+            const start = contentEnd === 0 ? 0 : buffer.lastIndexOf(0x0a, contentEnd - 1) + 1;
+            // The first line of a tail that does not start the file may be cut
+            if (start === 0 && offset > 0) {
+                return null;
+            }
+
+            const entry = AuditTrail.parseEntry(buffer.toString('utf8', start, contentEnd));
+            if (entry && AuditTrail.hashEntry(entry) === entry.hash) {
+                return { entry, end: offset + end };
+            }
+            end = start;
+        }
+        return null;
+    }
+
+    static parseEntry(text) {
+        try {
+            const entry = JSON.parse(text);
+            return entry && Number.isInteger(entry.seq) && typeof entry.hash === 'string' ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async hasChainedEntry(filePath) {
+        for await (const { text } of AuditTrail.readEntries(filePath)) {
+            if (AuditTrail.parseEntry(text)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async quarantine(tail, end) {
+        const broken = tail.buffer.subarray(end - tail.offset);
+        if (!broken.toString('utf8').trim()) {
+            await fs.truncate(this.filePath, end);
+            return;
+        }
+
+        const quarantinedPath = `${this.filePath}.${AuditTrail.fileStamp()}.quarantined`;
+        await fs.writeFile(quarantinedPath, broken);
+        await fs.truncate(this.filePath, end);
+        logger.error('Moved broken lines at the end of the audit log aside', {
+            file: quarantinedPath,
+            bytes: broken.length
+        });
+    }
+
+    /**
+     * The head must name the last entry. A crash between writing an entry
+     * and its head leaves the head one entry behind, which is allowed.
+     */
+    static checkHead(head, last, filePath) {
+        if (!head) {
+            return;
+        }
+        const seq = last ? last.seq : 0;
+        if (head.seq === seq && (!last || head.hash === last.hash)) {
+            return;
+        }
+        if (last && head.seq === last.seq - 1 && head.hash === last.prevHash) {
+            return;
+        }
+        throw new Error(`${filePath} ends at seq ${seq} but its head records seq ${head.seq} (${String(head.hash).slice(0, 12)}); `
+            + 'entries were removed or replaced. Check the log with npm run verify-audit');
+    }
+
+    record(type, details = {}) {
+        if (!this.enabled) {
+            return this.queue;
+        }
+
+        const timestamp = new Date().toISOString();
+        const fields = Object.fromEntries(Object.entries(details).filter(([key]) => !RESERVED_FIELDS.includes(key)));
+        this.queue = this.queue
+            .then(async () => {
+                const entry = { seq: this.seq + 1, timestamp, type, ...fields, prevHash: this.lastHash };
+                entry.hash = AuditTrail.hashEntry(entry);
+
+                await fs.ensureDir(path.dirname(this.filePath));
+                await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+                this.seq = entry.seq;
+                this.lastHash = entry.hash;
+                await fs.writeJson(this.headPath, { seq: entry.seq, hash: entry.hash, timestamp });
+            })
+            .catch(error => logger.error('Failed to write audit entry', { type, error: error.message }));
+        return this.queue;
+    }
+
+    static async *readEntries(filePath) {
+        if (!await fs.pathExists(filePath)) {
+            return;
+        }
+        const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+        let line = 0;
+        for await (const text of lines) {
+            line++;
+            if (text.trim()) {
+                yield { line, text };
+            }
+        }
+    }
+
+    /**
+     * Entries matching every given filter, oldest first, keeping the most
+     * recent `limit`. `caller` matches the API key or token subject an
+     * entry is about; `from` and `to` bound its timestamp.
+     */
+    async query({ caller, service, type, from, to, limit = 100 } = {}) {
+        await this.queue;
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+
+        const entries = [];
+        let matched = 0;
+        let unreadable = 0;
+        for await (const { text } of AuditTrail.readEntries(this.filePath)) {
+            let entry;
+            try {
+                entry = JSON.parse(text);
+            } catch (error) {
+                // Reported by verify-audit; the rest of the log stays searchable
+                unreadable++;
+                continue;
+            }
+            const time = Date.parse(entry.timestamp);
+            if ((caller && ![entry.caller, entry.key, entry.by].includes(caller))
+                || (service && entry.service !== service)
+                || (type && entry.type !== type)
+                || time < fromTime || time > toTime) {
+                continue;
+            }
+            matched++;
+            entries.push(entry);
+            if (entries.length > limit) {
+                entries.shift();
+            }
+        }
+        return { entries, matched, unreadable, head: { seq: this.seq, hash: this.lastHash } };
+    }
+
+    /**
+     * Check the hash chain of a log and its head file. Returns { valid,
+     * entries, head, problems }, each problem naming the line and what is
+     * wrong with it.
+     */
+    static async verify(filePath) {
+        const problems = [];
+        let entries = 0;
+        let expectedSeq = 1;
+        let previousHash = GENESIS_HASH;
+
+        for await (const { line, text } of AuditTrail.readEntries(filePath)) {
+            entries++;
+            let entry;
+            try {
+                entry = JSON.parse(text);
+            } catch (error) {
+                problems.push({ line, message: 'is not valid JSON' });
+                continue;
+            }
+
+            if (!Number.isInteger(entry.seq) || typeof entry.hash !== 'string') {
+                problems.push({ line, message: 'is not a hash-chained entry' });
+                continue;
+            }
+            if (entry.seq > expectedSeq) {
+                const missing = entry.seq - expectedSeq;
+                problems.push({ line, seq: entry.seq, message: `${missing} entr${missing === 1 ? 'y is' : 'ies are'} missing before seq ${entry.seq}` });
+            } else if (entry.seq < expectedSeq) {
+                problems.push({ line, seq: entry.seq, message: `seq ${entry.seq} is out of order (expected ${expectedSeq})` });
+            } else if (entry.prevHash !== previousHash) {
+                problems.push({ line, seq: entry.seq, message: 'does not follow the entry before it' });
+            }
+            if (AuditTrail.hashEntry(entry) !== entry.hash) {
+                problems.push({ line, seq: entry.seq, message: 'was modified after it was written' });
+            }
+
+            // Carry on from this entry so later problems are reported separately
+            expectedSeq = entry.seq + 1;
+            previousHash = entry.hash;
+        }
+
+        const headPath = `${filePath}.head`;
+        const head = await fs.pathExists(headPath) ? await fs.readJson(headPath) : null;
+        if (head && (head.seq !== expectedSeq - 1 || head.hash !== previousHash)) {
+            problems.push({
+                message: head.seq > expectedSeq - 1
+                    ? `the log ends at seq ${expectedSeq - 1} but the head records seq ${head.seq}; entries were removed from the end`
+                    : `the head (seq ${head.seq}) does not match the last entry (seq ${expectedSeq - 1})`
+            });
+        }
+
+        return { valid: problems.length === 0, entries, head, problems };
+    }
+}
+
+module.exports = AuditTrail;
@@ -0,0 +1,92 @@
+const UpstreamClient = require('./upstream-client');
+const { GatewayError } = require('./errors');
+
+/**
+ * Azure OpenAI Client
+ *
+ * Talks to an Azure OpenAI resource. Client-facing model names are mapped to
+ * deployment names through `upstream.deployments` in gateway.json, every call
+ * carries the configured `api-version`, and responses are reshaped to match
+ * what the OpenAI route returns.
+ */
+class AzureOpenAIClient extends UpstreamClient {
+    constructor(name, options) {
+        super(name, options);
+
+        if (!options.apiVersion) {
+            throw new Error(`Upstream "${name}" has no apiVersion configured`);
+        }
+
+        this.apiVersion = options.apiVersion;
+        this.deployments = options.deployments || {};
+        this.auth = options.auth || 'api-key';
+        this.token = options.token;
+    }
+
+    static resolveOptions(upstreamConfig, env) {
+        return {
+            ...super.resolveOptions(upstreamConfig, env),
+            apiVersion: upstreamConfig.apiVersion,
+            deployments: upstreamConfig.deployments,
+            auth: upstreamConfig.auth,
+            token: upstreamConfig.tokenEnv ? env[upstreamConfig.tokenEnv] : undefined
+        };
+    }
+
+    resolveDeployment(model) {
+        const deployment = this.deployments[model];
+        if (!deployment) {
+            throw new GatewayError(400, 'MODEL_NOT_SUPPORTED', `No Azure deployment is mapped for model ${model}`, {
+                models: Object.keys(this.deployments)
+            });
+        }
+        return deployment;
+    }
+
+    chatPath(model) {
+        return `/openai/deployments/${encodeURIComponent(this.resolveDeployment(model))}/chat/completions`;
+    }
+
+    chatBody(body) {
+        // Azure selects the model from the deployment in the URL
+        const { model, ...rest } = body;
+        return rest;
+    }
+
+    buildUrl(path) {
+        return `${this.baseUrl}${path}?api-version=${encodeURIComponent(this.apiVersion)}`;
+    }
+
+    healthPath() {
+        return '/openai/models';
+    }
+
+    authHeaders() {
+        if (this.auth === 'bearer') {
+            return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+        }
+        return this.apiKey ? { 'api-key': this.apiKey } : {};
+    }
+
+    normalizeCompletion(payload, model) {
+        const { prompt_filter_results, ...completion } = payload;
+        return {
+            ...completion,
+            model,
+            choices: (completion.choices || []).map(({ content_filter_results, ...choice }) => choice)
+        };
+    }
+
+    normalizeChunk(chunk, model) {
+        const { prompt_filter_results, ...rest } = chunk;
+        const choices = (rest.choices || []).map(({ content_filter_results, ...choice }) => choice);
+
+        // Azure opens the stream with a chunk that only carries prompt filter results
+        if (choices.length === 0 && !rest.usage) {
+            return null;
+        }
+        return { ...rest, model, choices };
+    }
+}
+
+module.exports = AzureOpenAIClient;
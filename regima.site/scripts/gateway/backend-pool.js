@@ -0,0 +1,152 @@
+const CircuitBreaker = require('./circuit-breaker');
+const { CircuitOpenError, UpstreamError } = require('./errors');
+const { parseRetryAfter } = require('./retry');
+const { logger } = require('./logger');
+
+const STRATEGIES = ['priority', 'weighted', 'round-robin'];
+
+/**
+ * Backend Pool
+ *
+ * Spreads a model service's calls over several backends, in the spirit of
+ * the APIM backend pool load-balancing labs:
+ *
+ * - priority: the lowest priority group that has a usable backend serves,
+ *   weighted within the group; higher groups are only used for failover
+ * - weighted: weighted random choice across all usable backends
+ * - round-robin: backends take turns
+ *
+ * A backend that answers 429 sits out for its Retry-After (or the pool's
+ * cooldown), and one whose circuit breaker is open is skipped. Failures that
+ * say something about backend health fail over to the next candidate.
+ */
+class BackendPool {
+    constructor(name, backends, { strategy = 'priority', cooldownMs = 10000, now = Date.now } = {}) {
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown load-balancing strategy "${strategy}" for ${name}`);
+        }
+        if (backends.length === 0) {
+            throw new Error(`Backend pool ${name} has no backends`);
+        }
+
+        this.name = name;
+        this.strategy = strategy;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.nextIndex = 0;
+
+        // Each backend: { name, priority, weight, client, breaker }
+        this.backends = backends.map(backend => ({
+            ...backend,
+            priority: backend.priority ?? 1,
+            weight: backend.weight ?? 1,
+            throttledUntil: 0
+        }));
+    }
+
+    static shouldFailover(error) {
+        return error instanceof CircuitOpenError || CircuitBreaker.isFailure(error);
+    }
+
+    availableIn(backend) {
+        const throttled = Math.max(0, backend.throttledUntil - this.now());
+        const breaker = backend.breaker ? backend.breaker.availableIn() : 0;
+        return Math.max(throttled, breaker);
+    }
+
+    /**
+     * Usable backends in the order they should be tried.
+     */
+    candidates() {
+        const usable = this.backends.filter(backend => this.availableIn(backend) === 0);
+
+        if (this.strategy === 'round-robin') {
+            const start = this.nextIndex++ % Math.max(usable.length, 1);
+            return [...usable.slice(start), ...usable.slice(0, start)];
+        }
+        if (this.strategy === 'weighted') {
+            return this.weightedOrder(usable);
+        }
+
+        const priorities = [...new Set(usable.map(backend => backend.priority))].sort((a, b) => a - b);
+        return priorities.flatMap(priority =>
+            this.weightedOrder(usable.filter(backend => backend.priority === priority)));
+    }
+
+    weightedOrder(backends) {
+        const remaining = [...backends];
+        const ordered = [];
+
+        while (remaining.length > 0) {
+            const totalWeight = remaining.reduce((sum, backend) => sum + backend.weight, 0);
+            let pick = Math.random() * totalWeight;
+            let index = remaining.findIndex(backend => (pick -= backend.weight) < 0);
+            if (index === -1) {
+                index = remaining.length - 1;
+            }
+            ordered.push(...remaining.splice(index, 1));
+        }
+        return ordered;
+    }
+
+    markThrottled(backend, retryAfterMs) {
+        backend.throttledUntil = this.now() + (retryAfterMs ?? this.cooldownMs);
+        logger.warn('Backend throttled', { pool: this.name, backend: backend.name, seconds: Math.ceil((backend.throttledUntil - this.now()) / 1000) });
+    }
+
+    /**
+     * Run `operation(client, backend)` against the pool, failing over to the
+     * next candidate on throttling and backend failures. Backends named in
+     * `prefer` are tried first while they are usable.
+     */
+    async execute(operation, { prefer = [] } = {}) {
+        const candidates = this.candidates().sort((a, b) =>
+            Number(prefer.includes(b.name)) - Number(prefer.includes(a.name)));
+        if (candidates.length === 0) {
+            throw this.unavailableError();
+        }
+
+        let lastError;
+        for (const backend of candidates) {
+            try {
+                const call = () => operation(backend.client, backend);
+                return await (backend.breaker ? backend.breaker.execute(call) : call());
+            } catch (error) {
+                lastError = error;
+                if (error.upstreamStatus === 429) {
+                    this.markThrottled(backend, parseRetryAfter(error.retryAfter));
+                }
+                if (!BackendPool.shouldFailover(error)) {
+                    throw error;
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    unavailableError() {
+        const waitMs = Math.min(...this.backends.map(backend => this.availableIn(backend)));
+        return new UpstreamError(503, 'NO_BACKEND_AVAILABLE', `All ${this.name} backends are throttled or unavailable`, {
+            retryAfter: String(Math.max(1, Math.ceil(waitMs / 1000))),
+            details: { service: this.name }
+        });
+    }
+
+    getStatus() {
+        return {
+            strategy: this.strategy,
+            backends: this.backends.map(backend => ({
+                name: backend.name,
+                priority: backend.priority,
+                weight: backend.weight,
+                available: this.availableIn(backend) === 0,
+                throttledUntil: backend.throttledUntil > this.now() ? new Date(backend.throttledUntil).toISOString() : null,
+                circuit: backend.breaker ? backend.breaker.state : null
+            }))
+        };
+    }
+}
+
+BackendPool.STRATEGIES = STRATEGIES;
+
+module.exports = BackendPool;
@@ -0,0 +1,127 @@
+const EventEmitter = require('events');
+const { CircuitOpenError } = require('./errors');
+
+const FAILURE_CODES = ['UPSTREAM_UNAVAILABLE', 'UPSTREAM_TIMEOUT'];
+
+// Calls the gateway's client abandoned count neither way
+const ABANDONED_CODES = ['CLIENT_CLOSED_REQUEST'];
+
+/**
+ * Circuit Breaker
+ *
+ * Per-backend breaker driven by `routing.circuit-breaker` in gateway.json.
+ *
+ * - closed: calls pass through; consecutive failures are counted
+ * - open: calls are rejected with CIRCUIT_OPEN until the recovery timeout
+ * - half-open: a single trial call decides between closed and open
+ *
+ * Emits `state-change` with (from, to) whenever the state moves.
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(name, { failureThreshold = 5, recoveryTimeoutMs = 30000, now = Date.now } = {}) {
+        super();
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.recoveryTimeoutMs = recoveryTimeoutMs;
+        this.now = now;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastFailure = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Only responses that say something about the backend's health count:
+     * 429s, 5xx statuses, timeouts and connection failures.
+     */
+    static isFailure(error) {
+        return error.upstreamStatus === 429 ||
+            error.upstreamStatus >= 500 ||
+            FAILURE_CODES.includes(error.code);
+    }
+
+    async execute(operation) {
+        this.beforeCall();
+
+        try {
+            const result = await operation();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (ABANDONED_CODES.includes(error.code)) {
+                this.trialInFlight = false;
+            } else if (CircuitBreaker.isFailure(error)) {
+                this.onFailure(error);
+            } else {
+                this.onSuccess();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Milliseconds until the breaker will let a call through, 0 if it would
+     * now.
+     */
+    availableIn() {
+        if (this.state === 'open') {
+            return Math.max(0, this.recoveryTimeoutMs - (this.now() - this.openedAt));
+        }
+        return this.state === 'half-open' && this.trialInFlight ? 1000 : 0;
+    }
+
+    beforeCall() {
+        if (this.state === 'open') {
+            const elapsed = this.now() - this.openedAt;
+            if (elapsed < this.recoveryTimeoutMs) {
+                throw new CircuitOpenError(this.name, this.recoveryTimeoutMs - elapsed);
+            }
+            this.transition('half-open');
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this.name, 1000);
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    onSuccess() {
+        this.trialInFlight = false;
+        this.failures = 0;
+        if (this.state !== 'closed') {
+            this.transition('closed');
+        }
+    }
+
+    onFailure(error) {
+        this.trialInFlight = false;
+        this.failures++;
+        this.lastFailure = { code: error.code, message: error.message, at: new Date(this.now()).toISOString() };
+
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.openedAt = this.now();
+            this.transition('open');
+        }
+    }
+
+    transition(state) {
+        const previous = this.state;
+        this.state = state;
+        this.emit('state-change', previous, state);
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+const SchemaValidator = require('./json-schema');
+const { resolveRoutes, RESERVED_PATHS } = require('./service-routes');
+const { parseDuration, parseRate } = require('./utils');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'config', 'gateway.schema.json');
+
+/**
+ * Raised when gateway.json fails validation. `errors` lists every problem
+ * as { path, message }.
+ */
+class ConfigValidationError extends Error {
+    constructor(errors, source = 'gateway configuration') {
+        super(`Invalid ${source}:\n${errors.map(error => `  - ${error.path}: ${error.message}`).join('\n')}`);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+const schemaValidator = new SchemaValidator(fs.readJsonSync(SCHEMA_PATH), {
+    formats: {
+        rate: parseRate,
+        duration: value => parseDuration(value),
+        regex: value => new RegExp(value, 'i')
+    }
+});
+
+/**
+ * Checks the schema cannot express: names one section uses must exist in
+ * another.
+ */
+function checkReferences(config) {
+    const errors = [];
+    const fail = (where, message) => errors.push({ path: where, message });
+
+    const services = new Map();
+    const endpoints = new Map();
+    const routes = new Map();
+    const capabilities = new Set();
+    const backends = new Set();
+    for (const [category, entries] of Object.entries(config.services)) {
+        for (const [name, service] of Object.entries(entries)) {
+            const where = `services.${category}.${name}`;
+            if (services.has(name)) {
+                fail(where, `reuses the service name of services.${services.get(name)}.${name}`);
+            }
+            services.set(name, category);
+
+            if (endpoints.has(service.endpoint)) {
+                fail(`${where}.endpoint`, `${service.endpoint} is already the endpoint of ${endpoints.get(service.endpoint)}`);
+            }
+            endpoints.set(service.endpoint, name);
+
+            let serviceRoutes = [];
+            try {
+                serviceRoutes = resolveRoutes(name, service);
+            } catch (error) {
+                fail(`${where}.handler`, error.message);
+            }
+            for (const route of serviceRoutes) {
+                const key = `${route.method.toUpperCase()} ${route.path}`;
+                if (RESERVED_PATHS.includes(route.path)) {
+                    fail(`${where}.handler`, `${route.path} is served by the gateway itself`);
+                } else if (routes.has(key)) {
+                    fail(`${where}.handler`, `${key} is already served by ${routes.get(key)}`);
+                }
+                routes.set(key, name);
+            }
+
+            (service.policies || []).forEach((policy, index) => {
+                if (!config.policies[policy]) {
+                    fail(`${where}.policies[${index}]`, `policy "${policy}" is not defined under policies`);
+                }
+            });
+            if (service.disclaimer && !config.policies['medical-disclaimer']?.disclaimers?.[service.disclaimer]) {
+                fail(`${where}.disclaimer`, `no "${service.disclaimer}" disclaimer under policies.medical-disclaimer.disclaimers`);
+            }
+            (service.capabilities || []).forEach(capability => capabilities.add(capability));
+            (service.backends || [{ name }]).forEach(backend => backends.add(backend.name));
+        }
+    }
+
+    // Agents answered by a chat model need a model service with backends
+    for (const [category, entries] of Object.entries(config.services)) {
+        for (const [name, service] of Object.entries(entries)) {
+            const modelService = service.handler.modelService;
+            if (!modelService) {
+                continue;
+            }
+            const target = config.services['ai-models']?.[modelService];
+            if (!target || !routes.has(`POST ${target.endpoint}/chat/completions`) || (!target.upstream && !target.backends)) {
+                fail(`services.${category}.${name}.handler.modelService`, `"${modelService}" is not an ai-models service with chat completions and an upstream`);
+            }
+        }
+    }
+
+    for (const [name, policy] of Object.entries(config.policies)) {
+        for (const [category, definition] of Object.entries(policy.categories || {})) {
+            if (!policy.rules.includes(definition.rule)) {
+                fail(`policies.${name}.categories.${category}.rule`, `"${definition.rule}" is not one of the policy's rules`);
+            }
+        }
+    }
+
+    for (const [tier, definition] of Object.entries(config.routing['load-balancing']?.tiers || {})) {
+        (definition.backends || []).forEach((backend, index) => {
+            if (!backends.has(backend)) {
+                fail(`routing.load-balancing.tiers.${tier}.backends[${index}]`, `no backend named "${backend}"`);
+            }
+        });
+    }
+
+    const roles = config['access-control']?.roles || {};
+    const checkRole = (where, role) => {
+        if (!roles[role]) {
+            fail(where, `role "${role}" is not defined under access-control.roles`);
+        }
+    };
+    for (const [role, grants] of Object.entries(roles)) {
+        const where = `access-control.roles.${role}`;
+        if (grants.inherits) {
+            checkRole(`${where}.inherits`, grants.inherits);
+        }
+        (grants.services || []).forEach((service, index) => {
+            if (service !== '*' && !services.has(service)) {
+                fail(`${where}.services[${index}]`, `no service named "${service}"`);
+            }
+        });
+        (grants.capabilities || []).forEach((capability, index) => {
+            if (capability !== '*' && !capabilities.has(capability)) {
+                fail(`${where}.capabilities[${index}]`, `no service offers the capability "${capability}"`);
+            }
+        });
+    }
+    if (config['access-control']) {
+        (config.authentication?.admin?.roles || []).forEach((role, index) => checkRole(`authentication.admin.roles[${index}]`, role));
+        if (config.authentication?.jwt?.['default-role']) {
+            checkRole('authentication.jwt.default-role', config.authentication.jwt['default-role']);
+        }
+        for (const [name, policy] of Object.entries(config.policies)) {
+            (policy['licensed-roles'] || []).forEach((role, index) => checkRole(`policies.${name}.licensed-roles[${index}]`, role));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a parsed gateway.json against config/gateway.schema.json and
+ * its cross-references. Returns a list of { path, message }; an empty list
+ * means the config is usable.
+ */
+function validateGatewayConfig(config) {
+    const errors = schemaValidator.validate(config);
+
+    // Cross-references assume the shape the schema guarantees
+    return errors.length > 0 ? errors : checkReferences(config);
+}
+
+/**
+ * Read and validate a gateway.json file, throwing ConfigValidationError
+ * with every problem found. Shared by the gateway, the site builder and the
+ * dev server.
+ */
+async function loadGatewayConfig(filePath) {
+    let config;
+    try {
+        config = await fs.readJson(filePath);
+    } catch (error) {
+        throw new ConfigValidationError([{ path: '$', message: error.message }], filePath);
+    }
+
+    const errors = validateGatewayConfig(config);
+    if (errors.length > 0) {
+        throw new ConfigValidationError(errors, filePath);
+    }
+    return config;
+}
+
+module.exports = { validateGatewayConfig, loadGatewayConfig, ConfigValidationError, SCHEMA_PATH };
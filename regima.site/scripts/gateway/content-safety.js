@@ -0,0 +1,101 @@
+const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Content Safety Classifier
+ *
+ * Local, lexicon-driven screening for the `content-safety` policy. Each
+ * category in gateway.json belongs to one rule and matches on whole-word
+ * `terms` or regular expression `patterns`; `context-terms`, when given,
+ * must also appear for the category to fire (e.g. advice to skip a doctor
+ * only matters next to a mole or lesion).
+ */
+class ContentSafetyClassifier {
+    constructor(categories = {}) {
+        this.categories = Object.entries(categories).map(([name, category]) => {
+            if (!SEVERITIES.includes(category.severity)) {
+                throw new Error(`Content safety category ${name} has invalid severity "${category.severity}"`);
+            }
+            return {
+                name,
+                rule: category.rule,
+                severity: category.severity,
+                description: category.description,
+                message: category.message,
+                matchers: [
+                    ...(category.terms || []).map(term => ContentSafetyClassifier.termPattern(term)),
+                    ...(category.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+                ],
+                context: (category['context-terms'] || []).map(term => ContentSafetyClassifier.termPattern(term))
+            };
+        });
+    }
+
+    static termPattern(term) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        return new RegExp(`\\b${escaped}\\b`, 'i');
+    }
+
+    static compareSeverity(a, b) {
+        return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+    }
+
+    /**
+     * Every string in a JSON value, except under the given keys.
+     */
+    static collectText(value, skipFields = []) {
+        if (typeof value === 'string') {
+            return [value];
+        }
+        if (Array.isArray(value)) {
+            return value.flatMap(item => ContentSafetyClassifier.collectText(item, skipFields));
+        }
+        if (value && typeof value === 'object') {
+            return Object.entries(value)
+                .filter(([key]) => !skipFields.includes(key))
+                .flatMap(([, item]) => ContentSafetyClassifier.collectText(item, skipFields));
+        }
+        return [];
+    }
+
+    /**
+     * Categories of the given rule that match the text.
+     */
+    classify(text, rule) {
+        return this.categories
+            .filter(category => category.rule === rule)
+            .filter(category => category.matchers.some(pattern => pattern.test(text)))
+            .filter(category => category.context.length === 0 || category.context.some(pattern => pattern.test(text)))
+            .map(({ name, severity, description, message }) => ({ category: name, severity, rule, description, message }));
+    }
+
+    /**
+     * Fold matches into a verdict: `block` when a match reaches
+     * `blockSeverity` and blocking is on, `flag` for any other match.
+     */
+    static verdict(matches, { block, blockSeverity }) {
+        const severity = matches.reduce((highest, match) =>
+            !highest || ContentSafetyClassifier.compareSeverity(match.severity, highest) > 0 ? match.severity : highest, null);
+
+        let verdict = 'allow';
+        if (severity) {
+            verdict = block && ContentSafetyClassifier.compareSeverity(severity, blockSeverity) >= 0 ? 'block' : 'flag';
+        }
+        return { verdict, severity, categories: matches };
+    }
+
+    /**
+     * A verdict as reported to callers and the audit trail: categories and
+     * severities, never the text that matched.
+     */
+    static summarize(result) {
+        return {
+            verdict: result.verdict,
+            severity: result.severity,
+            categories: result.categories.map(({ category, severity, rule }) => ({ category, severity, rule }))
+        };
+    }
+}
+
+ContentSafetyClassifier.SEVERITIES = SEVERITIES;
+
+module.exports = ContentSafetyClassifier;
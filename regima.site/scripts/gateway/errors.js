@@ -0,0 +1,123 @@
+/**
+ * Gateway Errors
+ *
+ * Error types raised by the RegimAI Gateway and its upstream clients.
+ * Every error carries the HTTP status the gateway should answer with and a
+ * stable gateway error code that clients can branch on, and is sent as
+ * { success: false, error: { code, message, details } }.
+ */
+class GatewayError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'GatewayError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toResponse() {
+        const error = { code: this.code, message: this.message };
+        if (this.details !== undefined) {
+            error.details = this.details;
+        }
+        return { success: false, error };
+    }
+}
+
+/**
+ * Raised when a caller exceeds one of the gateway's request or token limits.
+ */
+class RateLimitError extends GatewayError {
+    constructor(code, message, { scope, limit, windowMs, retryAfterMs }) {
+        super(429, code, message, { scope, limit, windowSeconds: windowMs / 1000 });
+        this.name = 'RateLimitError';
+        this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    }
+}
+
+/**
+ * Raised by a policy rule that rejects a request or response. The engine
+ * fills in which policy and stage the rule ran under.
+ */
+class PolicyViolationError extends GatewayError {
+    constructor(rule, reason, { status = 403, code = 'POLICY_VIOLATION', details = {} } = {}) {
+        super(status, code, reason, { rule, ...details });
+        this.name = 'PolicyViolationError';
+        this.rule = rule;
+    }
+}
+
+/**
+ * Raised without calling a backend whose circuit breaker is open.
+ */
+class CircuitOpenError extends GatewayError {
+    constructor(backend, retryAfterMs) {
+        super(503, 'CIRCUIT_OPEN', `${backend} is temporarily unavailable`, { backend });
+        this.name = 'CircuitOpenError';
+        this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    }
+}
+
+/**
+ * Raised when an upstream model service answers with an error status or
+ * cannot be reached at all.
+ */
+class UpstreamError extends GatewayError {
+    constructor(status, code, message, { upstreamStatus, retryAfter, details } = {}) {
+        super(status, code, message, details);
+        this.name = 'UpstreamError';
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfter = retryAfter;
+    }
+
+    static fromResponse(upstream, response, payload) {
+        const upstreamStatus = response.status;
+        const upstreamMessage = payload?.error?.message || response.statusText || 'Upstream request failed';
+        const options = {
+            upstreamStatus,
+            retryAfter: response.headers.get('retry-after') || undefined,
+            details: { upstream, upstreamStatus, upstreamMessage }
+        };
+
+        if (upstreamStatus === 400 || upstreamStatus === 422) {
+            return new UpstreamError(400, 'UPSTREAM_BAD_REQUEST', upstreamMessage, options);
+        }
+        if (upstreamStatus === 401 || upstreamStatus === 403) {
+            return new UpstreamError(502, 'UPSTREAM_AUTH_FAILED', `Gateway credentials were rejected by ${upstream}`, options);
+        }
+        if (upstreamStatus === 404) {
+            return new UpstreamError(404, 'MODEL_NOT_FOUND', upstreamMessage, options);
+        }
+        if (upstreamStatus === 408) {
+            return new UpstreamError(504, 'UPSTREAM_TIMEOUT', `${upstream} timed out`, options);
+        }
+        if (upstreamStatus === 429) {
+            return new UpstreamError(429, 'UPSTREAM_RATE_LIMITED', `${upstream} rate limit exceeded`, options);
+        }
+        return new UpstreamError(502, 'UPSTREAM_ERROR', `${upstream} returned ${upstreamStatus}`, options);
+    }
+
+    static timeout(upstream, timeoutMs) {
+        return new UpstreamError(504, 'UPSTREAM_TIMEOUT', `${upstream} did not respond within ${timeoutMs}ms`, {
+            details: { upstream }
+        });
+    }
+
+    /**
+     * The gateway's own client went away and the call was abandoned; this
+     * says nothing about the upstream.
+     */
+    static clientClosed(upstream) {
+        return new UpstreamError(499, 'CLIENT_CLOSED_REQUEST', `The client closed the request before ${upstream} answered`, {
+            details: { upstream }
+        });
+    }
+
+    static unavailable(upstream, cause) {
+        return new UpstreamError(502, 'UPSTREAM_UNAVAILABLE', `${upstream} is unreachable`, {
+            details: { upstream, reason: cause.message }
+        });
+    }
+}
+
+module.exports = { GatewayError, RateLimitError, PolicyViolationError, CircuitOpenError, UpstreamError };
@@ -0,0 +1,117 @@
+const { MetricsRegistry } = require('./metrics');
+
+// Seconds; model calls routinely take several seconds and streams longer
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+/**
+ * Gateway Metrics
+ *
+ * The metrics served at /metrics. Request metrics are labelled by method,
+ * route (the route pattern, never the raw URL), service, status, model and
+ * caller (the token's tenant, else the API key ID or token subject); token
+ * counts come from the usage the upstream reports, or are estimated and
+ * labelled `source="estimated"` when it reports none.
+ */
+class GatewayMetrics {
+    constructor(gateway) {
+        this.registry = new MetricsRegistry();
+        const registry = this.registry;
+        const requestLabels = ['method', 'route', 'service', 'status', 'model', 'caller'];
+
+        this.requests = registry.counter('regimai_http_requests_total',
+            'HTTP requests answered by the gateway', requestLabels);
+        this.requestDuration = registry.histogram('regimai_http_request_duration_seconds',
+            'Time from receiving a request to finishing its response', requestLabels, DURATION_BUCKETS);
+        this.inFlight = registry.gauge('regimai_http_requests_in_flight',
+            'Requests being answered');
+        this.errors = registry.counter('regimai_errors_total',
+            'Error responses and interrupted streams by gateway error code', ['service', 'code']);
+        this.upstreamDuration = registry.histogram('regimai_upstream_request_duration_seconds',
+            'Upstream model calls by backend, including failed attempts', ['service', 'backend', 'outcome'], DURATION_BUCKETS);
+        this.tokens = registry.counter('regimai_tokens_total',
+            'Model tokens by service, model and caller', ['service', 'model', 'caller', 'type', 'source']);
+        this.routing = registry.counter('regimai_cognitive_routing_total',
+            'Requests routed by cognitive complexity tier', ['tier', 'model']);
+        this.configReloads = registry.counter('regimai_config_reloads_total',
+            'Configuration reloads by result', ['trigger', 'result']);
+
+        registry.gauge('regimai_circuit_breaker_state', 'Circuit breaker state per backend: 0 closed, 1 half-open, 2 open', ['backend'], {
+            collect: metric => {
+                for (const [backend, breaker] of Object.entries(gateway.circuitBreakers)) {
+                    metric.set({ backend }, CIRCUIT_STATES[breaker.state]);
+                }
+            }
+        });
+        registry.counter('regimai_policy_evaluations_total', 'Policy rule evaluations', [], {
+            collect: metric => metric.set({}, gateway.policyEngine?.stats.evaluations || 0)
+        });
+        registry.counter('regimai_policy_rejections_total', 'Requests and responses rejected by a policy rule', ['rule'], {
+            collect: metric => {
+                for (const [rule, count] of Object.entries(gateway.policyEngine?.stats.rejections || {})) {
+                    metric.set({ rule }, count);
+                }
+            }
+        });
+        registry.gauge('regimai_gateway_info', 'Gateway name and version', ['name', 'version'], {
+            collect: metric => gateway.config && metric.set({ name: gateway.config.gateway.name, version: gateway.config.gateway.version }, 1)
+        });
+        registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], {
+            collect: metric => metric.set({}, process.memoryUsage().rss)
+        });
+        registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [], {
+            collect: metric => metric.set({}, process.memoryUsage().heapUsed)
+        });
+        registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', [], {
+            collect: metric => metric.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+        });
+    }
+
+    /**
+     * The label the caller is counted under.
+     */
+    static callerOf(user) {
+        if (!user) {
+            return 'anonymous';
+        }
+        return user.tenant || user.id;
+    }
+
+    recordRequest(labels, seconds) {
+        this.requests.inc(labels);
+        this.requestDuration.observe(labels, seconds);
+    }
+
+    recordTokens({ service, model, user }, usage) {
+        const prompt = usage.prompt_tokens || 0;
+        const completion = usage.completion_tokens || 0;
+        const labels = {
+            service,
+            model: model || '',
+            caller: GatewayMetrics.callerOf(user),
+            source: usage.estimated ? 'estimated' : 'upstream'
+        };
+        this.tokens.inc({ ...labels, type: 'prompt' }, prompt);
+        this.tokens.inc({ ...labels, type: 'completion' }, completion);
+    }
+
+    /**
+     * Totals for /gateway/info.
+     */
+    summary() {
+        const total = (metric, filter = () => true) => [...metric.series.values()]
+            .filter(({ labels }) => filter(labels))
+            .reduce((sum, { value }) => sum + value, 0);
+        return {
+            requests: total(this.requests),
+            errors: total(this.requests, labels => Number(labels.status) >= 400),
+            tokens: {
+                prompt: total(this.tokens, labels => labels.type === 'prompt'),
+                completion: total(this.tokens, labels => labels.type === 'completion')
+            }
+        };
+    }
+}
+
+module.exports = GatewayMetrics;
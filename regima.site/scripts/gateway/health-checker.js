@@ -0,0 +1,331 @@
+const { logger } = require('./logger');
+const { parseDuration } = require('./utils');
+
+// From best to worst; `unknown` (not checked) never makes a status worse
+const STATUSES = ['healthy', 'degraded', 'unhealthy'];
+
+const worst = statuses => {
+    const known = statuses.filter(status => STATUSES.includes(status));
+    return known.length > 0
+        ? STATUSES[Math.max(...known.map(status => STATUSES.indexOf(status)))]
+        : 'unknown';
+};
+
+/**
+ * Health Checker
+ *
+ * Actively checks the dependencies of the gateway: every backend of a model
+ * service (the upstream's model list, with the gateway's credentials), and
+ * services or the SkinTwin integration that declare a `health` check URL.
+ * Checks run on their own timers, every `interval` with a `timeout`, from
+ * `monitoring.health` unless the service's `health` block overrides them.
+ *
+ * A target is healthy after a successful check, degraded after a failed
+ * one or a 429, and unhealthy after `unhealthy-threshold` failures in a
+ * row. Backends also take their circuit breaker into account: an open
+ * breaker makes one unhealthy, a half-open breaker or throttling degraded.
+ * Services without a backend or check URL are served by the gateway itself
+ * and report healthy.
+ */
+class HealthChecker {
+    constructor({ now = Date.now } = {}) {
+        this.now = now;
+        this.config = null;
+        this.backendPools = {};
+        this.targets = new Map();
+        this.states = new Map();
+        this.timers = new Map();
+        this.unhealthyThreshold = 3;
+        this.running = false;
+        this.checkedOnce = false;
+    }
+
+    /**
+     * Check the targets of a gateway config from now on. Targets that are
+     * still configured the same way keep their state.
+     */
+    configure(config, backendPools, env = process.env) {
+        const health = config.monitoring.health || {};
+        this.config = config;
+        this.backendPools = backendPools;
+        this.unhealthyThreshold = health['unhealthy-threshold'] || 3;
+
+        const targets = HealthChecker.targetsFor(config, backendPools, env);
+        for (const [id, previous] of this.targets) {
+            const target = targets.get(id);
+            if (!target || target.url !== previous.url) {
+                this.states.delete(id);
+            }
+        }
+        this.stopTimers();
+        this.targets = targets;
+        for (const target of targets.values()) {
+            if (!this.states.has(target.id)) {
+                this.states.set(target.id, {
+                    status: 'unknown',
+                    reason: target.url ? 'not checked yet' : target.reason,
+                    lastCheck: null,
+                    lastSuccess: null,
+                    latencyMs: null,
+                    failures: 0
+                });
+            }
+        }
+
+        if (this.running) {
+            this.start();
+        }
+        return this;
+    }
+
+    /**
+     * Checks by target ID: `<service>/<backend>` for model backends, the
+     * service name for services with a check URL.
+     */
+    static targetsFor(config, backendPools, env) {
+        const health = config.monitoring.health || {};
+        const timing = (overrides = {}) => ({
+            intervalMs: parseDuration(overrides.interval, parseDuration(health.interval, 30000)),
+            timeoutMs: parseDuration(overrides.timeout, parseDuration(health.timeout, 5000))
+        });
+        const checkUrl = (id, check) => {
+            const url = (check.urlEnv && env[check.urlEnv]) || check.url;
+            return {
+                id,
+                url,
+                headers: check.headers || {},
+                reason: url ? undefined : `not checked: ${check.urlEnv ? `${check.urlEnv} is not set` : 'no url is configured'}`,
+                ...timing(check)
+            };
+        };
+
+        const targets = new Map();
+        for (const entries of Object.values(config.services)) {
+            for (const [name, service] of Object.entries(entries)) {
+                const check = service.health || {};
+                if (check.enabled === false) {
+                    continue;
+                }
+                if (backendPools[name]) {
+                    for (const backend of backendPools[name].backends) {
+                        const id = `${name}/${backend.name}`;
+                        targets.set(id, { id, ...backend.client.healthCheck(), ...timing(check) });
+                    }
+                } else if (service.health) {
+                    targets.set(name, checkUrl(name, check));
+                }
+            }
+        }
+
+        const skintwin = config.integration.skintwin;
+        if (skintwin.enabled && skintwin.health && skintwin.health.enabled !== false) {
+            targets.set('skintwin', checkUrl('skintwin', skintwin.health));
+        }
+        return targets;
+    }
+
+    /**
+     * Check every target now, then keep checking on their intervals.
+     * Resolves once every target has been checked.
+     */
+    async start() {
+        this.running = true;
+        this.stopTimers();
+        await Promise.all([...this.targets.values()]
+            .filter(target => target.url)
+            .map(target => this.check(target).then(() => this.schedule(target))));
+        this.checkedOnce = true;
+    }
+
+    stop() {
+        this.running = false;
+        this.stopTimers();
+    }
+
+    stopTimers() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    schedule(target) {
+        // A reload may have replaced or removed the target meanwhile
+        if (!this.running || this.targets.get(target.id) !== target) {
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.check(target).then(() => this.schedule(target));
+        }, target.intervalMs);
+        timer.unref();
+        this.timers.set(target.id, timer);
+    }
+
+    async check(target) {
+        const started = this.now();
+        let failure = null;
+        let throttled = false;
+        try {
+            const response = await fetch(target.url, {
+                headers: target.headers,
+                signal: AbortSignal.timeout(target.timeoutMs)
+            });
+            await response.arrayBuffer();
+            if (response.status === 429) {
+                throttled = true;
+            } else if (!response.ok) {
+                failure = `answered ${response.status}`;
+            }
+        } catch (error) {
+            failure = error.name === 'TimeoutError'
+                ? `no answer within ${target.timeoutMs}ms`
+                : `could not connect (${error.cause?.code || error.message})`;
+        }
+
+        const state = this.states.get(target.id);
+        if (!state || this.targets.get(target.id) !== target) {
+            return;
+        }
+        const previous = state.status;
+        const lastCheck = new Date(this.now()).toISOString();
+        Object.assign(state, { lastCheck, latencyMs: this.now() - started });
+        if (failure) {
+            state.failures++;
+            state.status = state.failures >= this.unhealthyThreshold ? 'unhealthy' : 'degraded';
+            state.reason = state.failures > 1 ? `${failure} (${state.failures} checks in a row)` : failure;
+        } else if (throttled) {
+            Object.assign(state, { status: 'degraded', reason: 'answered 429, throttled', lastSuccess: lastCheck });
+        } else {
+            Object.assign(state, { status: 'healthy', reason: null, lastSuccess: lastCheck, failures: 0 });
+        }
+
+        // A first check that finds the target healthy is not news
+        if (state.status !== previous && !(previous === 'unknown' && state.status === 'healthy')) {
+            logger.log(state.status === 'healthy' ? 'info' : 'warn', 'Health check status changed', {
+                target: target.id, from: previous, to: state.status, reason: state.reason
+            });
+        }
+    }
+
+    stateOf(id) {
+        const { failures, ...state } = this.states.get(id);
+        return state;
+    }
+
+    /**
+     * A model backend: its last check combined with its circuit breaker
+     * and throttling.
+     */
+    backendHealth(serviceName, backend, pool) {
+        const checked = this.states.has(`${serviceName}/${backend.name}`)
+            ? this.stateOf(`${serviceName}/${backend.name}`)
+            : { status: 'healthy', reason: null };
+        const findings = [checked];
+        if (backend.breaker?.state === 'open') {
+            findings.push({ status: 'unhealthy', reason: `circuit breaker is open, next trial in ${Math.ceil(backend.breaker.availableIn() / 1000)}s` });
+        } else if (backend.breaker?.state === 'half-open') {
+            findings.push({ status: 'degraded', reason: 'circuit breaker is half-open' });
+        }
+        if (backend.throttledUntil > pool.now()) {
+            findings.push({ status: 'degraded', reason: `throttled until ${new Date(backend.throttledUntil).toISOString()}` });
+        }
+
+        return {
+            ...checked,
+            status: worst(findings.map(finding => finding.status)),
+            reason: findings.map(finding => finding.reason).filter(Boolean).join('; ') || null,
+            circuit: backend.breaker ? backend.breaker.state : null
+        };
+    }
+
+    serviceHealth(name, service) {
+        const pool = this.backendPools[name];
+        if (pool) {
+            const backends = {};
+            for (const backend of pool.backends) {
+                backends[backend.name] = this.backendHealth(name, backend, pool);
+            }
+            const statuses = Object.values(backends).map(backend => backend.status);
+            const unwell = statuses.filter(status => status === 'degraded' || status === 'unhealthy').length;
+            if (statuses.every(status => status === 'unhealthy')) {
+                return { status: 'unhealthy', reason: 'no backend is usable', backends };
+            }
+            if (unwell > 0) {
+                return { status: 'degraded', reason: `${unwell} of ${statuses.length} backends are not healthy`, backends };
+            }
+            return { status: worst(statuses), reason: null, backends };
+        }
+
+        if (this.states.has(name)) {
+            return this.stateOf(name);
+        }
+
+        const modelService = service.handler.modelService;
+        if (service.handler.type === 'agent' && !service.handler.implementation && modelService) {
+            const model = this.serviceHealth(modelService, this.findService(modelService));
+            return {
+                status: model.status,
+                reason: model.status === 'healthy' ? null : `depends on ${modelService}: ${model.reason}`,
+                dependsOn: modelService
+            };
+        }
+        if (service.handler.type === 'proxy' && (service.handler.operations || ['chat-completions']).includes('chat-completions')) {
+            return { status: 'unhealthy', reason: 'no upstream is configured' };
+        }
+        return { status: 'healthy', reason: null };
+    }
+
+    findService(name) {
+        for (const entries of Object.values(this.config.services)) {
+            if (entries[name]) {
+                return entries[name];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Health by category: `unhealthy` when none of its services is
+     * usable, `degraded` when some are not healthy. The SkinTwin
+     * integration is the `cognitive` category.
+     */
+    report() {
+        const categories = {};
+        for (const [category, entries] of Object.entries(this.config.services)) {
+            const services = {};
+            for (const [name, service] of Object.entries(entries)) {
+                services[name] = this.serviceHealth(name, service);
+            }
+            categories[category] = { ...HealthChecker.summarize(Object.values(services)), services };
+        }
+
+        const skintwin = this.config.integration.skintwin;
+        let cognitive = { status: 'healthy', reason: null };
+        if (!skintwin.enabled) {
+            cognitive = { status: 'unknown', reason: 'the SkinTwin integration is disabled' };
+        } else if (this.states.has('skintwin')) {
+            cognitive = this.stateOf('skintwin');
+        }
+        categories.cognitive = { ...HealthChecker.summarize([cognitive]), services: { skintwin: cognitive } };
+
+        return categories;
+    }
+
+    static summarize(services) {
+        const statuses = services.map(service => service.status);
+        const known = statuses.filter(status => status !== 'unknown');
+        if (known.length === 0) {
+            return { status: 'unknown' };
+        }
+        if (known.every(status => status === 'unhealthy')) {
+            return { status: 'unhealthy' };
+        }
+        return { status: known.some(status => status !== 'healthy') ? 'degraded' : 'healthy' };
+    }
+
+    static overall(categories) {
+        return worst(Object.values(categories).map(category => category.status));
+    }
+}
+
+module.exports = HealthChecker;
@@ -0,0 +1,206 @@
+/**
+ * JSON Schema Validator
+ *
+ * Validates values against the subset of JSON Schema (draft 2020-12) used
+ * by config/gateway.schema.json and the API schemas: type, enum, const,
+ * required, properties, additionalProperties, items, the string, number,
+ * array and object size keywords, allOf / anyOf / oneOf and local `$ref`s
+ * into `$defs`. `format` names are looked up in the `formats` given to the
+ * constructor, each a function that throws when a value does not match.
+ *
+ * Errors are returned as { path, message } with paths such as
+ * `services.tools.image-analysis.policies[0]`.
+ */
+class SchemaValidator {
+    constructor(schema, { formats = {} } = {}) {
+        this.schema = schema;
+        this.formats = formats;
+    }
+
+    static formatPath(segments) {
+        if (segments.length === 0) {
+            return '$';
+        }
+        return segments.reduce((path, segment) =>
+            typeof segment === 'number' ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment, '');
+    }
+
+    static typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (Number.isInteger(value)) {
+            return 'integer';
+        }
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = SchemaValidator.typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    validate(value) {
+        const errors = [];
+        this.check(value, this.schema, [], errors);
+        return errors;
+    }
+
+    resolve(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local schema references are supported: ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((schema, key) => schema?.[key], this.schema);
+    }
+
+    check(value, schema, segments, errors) {
+        const fail = message => errors.push({ path: SchemaValidator.formatPath(segments), message });
+
+        if (schema.$ref) {
+            this.check(value, this.resolve(schema.$ref), segments, errors);
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => SchemaValidator.matchesType(value, type))) {
+                fail(`must be ${types.join(' or ')}, not ${SchemaValidator.typeOf(value)}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if ('const' in schema && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}`);
+        }
+
+        for (const subschema of schema.allOf || []) {
+            this.check(value, subschema, segments, errors);
+        }
+        if (schema.anyOf || schema.oneOf) {
+            this.checkAlternatives(value, schema, segments, errors);
+        }
+
+        switch (SchemaValidator.typeOf(value)) {
+            case 'string':
+                this.checkString(value, schema, fail);
+                break;
+            case 'integer':
+            case 'number':
+                this.checkNumber(value, schema, fail);
+                break;
+            case 'array':
+                this.checkArray(value, schema, segments, errors, fail);
+                break;
+            case 'object':
+                this.checkObject(value, schema, segments, errors, fail);
+                break;
+        }
+    }
+
+    checkAlternatives(value, schema, segments, errors) {
+        const alternatives = schema.anyOf || schema.oneOf;
+        const results = alternatives.map(alternative => {
+            const alternativeErrors = [];
+            this.check(value, alternative, segments, alternativeErrors);
+            return alternativeErrors;
+        });
+        const matches = results.filter(result => result.length === 0).length;
+        const path = SchemaValidator.formatPath(segments);
+
+        if (matches === 0) {
+            // Report the alternative that came closest
+            const closest = results.reduce((best, result) => result.length < best.length ? result : best);
+            errors.push({ path, message: `must match ${schema.oneOf ? 'exactly one' : 'at least one'} of ${alternatives.length} allowed forms` }, ...closest);
+        } else if (schema.oneOf && matches > 1) {
+            errors.push({ path, message: `matches ${matches} of the allowed forms but must match exactly one` });
+        }
+    }
+
+    checkString(value, schema, fail) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+        this.checkFormat(value, schema, fail);
+    }
+
+    checkNumber(value, schema, fail) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be greater than ${schema.exclusiveMinimum}`);
+        }
+        this.checkFormat(value, schema, fail);
+    }
+
+    checkFormat(value, schema, fail) {
+        const format = schema.format && this.formats[schema.format];
+        if (!format) {
+            return;
+        }
+        try {
+            format(value);
+        } catch (error) {
+            fail(error.message);
+        }
+    }
+
+    checkArray(value, schema, segments, errors, fail) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            for (const item of value) {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) {
+                    fail(`must not repeat ${key}`);
+                }
+                seen.add(key);
+            }
+        }
+        if (schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, [...segments, index], errors));
+        }
+    }
+
+    checkObject(value, schema, segments, errors, fail) {
+        for (const field of schema.required || []) {
+            if (!(field in value)) {
+                errors.push({ path: SchemaValidator.formatPath([...segments, field]), message: 'is required' });
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(`must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                this.check(item, properties[key], [...segments, key], errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: SchemaValidator.formatPath([...segments, key]), message: 'is not a recognised field' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.check(item, schema.additionalProperties, [...segments, key], errors);
+            }
+        }
+    }
+}
+
+module.exports = SchemaValidator;
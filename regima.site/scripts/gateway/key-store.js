@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { GatewayError } = require('./errors');
+const { logger } = require('./logger');
+const { parseDuration, parseRate } = require('./utils');
+
+const ROLES = ['consumer', 'practitioner', 'clinician', 'admin'];
+const KEY_PREFIX = 'regima_';
+
+/**
+ * API Key Store
+ *
+ * File-backed registry of gateway API keys. Only a SHA-256 hash of each key
+ * is kept; the key itself is returned once, when it is created or rotated.
+ * Every record carries its owner, role, allowed services, quotas and
+ * optional expiry. Writes replace the file atomically, and a running
+ * gateway picks up changes made by `npm run keys` through watch().
+ */
+class ApiKeyStore {
+    constructor(filePath, { now = Date.now } = {}) {
+        this.filePath = filePath;
+        this.now = now;
+        this.records = new Map();
+        this.byHash = new Map();
+        this.watching = false;
+    }
+
+    static generateKey() {
+        return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    static hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    async load() {
+        const data = await fs.pathExists(this.filePath) ? await fs.readJson(this.filePath) : { keys: [] };
+        this.records = new Map(data.keys.map(record => [record.id, record]));
+        this.byHash = new Map(data.keys.map(record => [record.hash, record]));
+        return this;
+    }
+
+    async save() {
+        const temporary = `${this.filePath}.${process.pid}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(temporary, { keys: [...this.records.values()] }, { spaces: 2, mode: 0o600 });
+        await fs.rename(temporary, this.filePath);
+    }
+
+    watch() {
+        if (this.watching) {
+            return;
+        }
+        this.watching = true;
+        fs.watchFile(this.filePath, { interval: 2000 }, (current, previous) => {
+            // Also called once when the file is missing; loading then would drop keys created since
+            if (current.mtimeMs === previous.mtimeMs) {
+                return;
+            }
+            this.load().catch(error => logger.error('Failed to reload API keys', { error: error.message }));
+        }).unref();
+    }
+
+    /**
+     * Look up a presented key. Returns { record } for a usable key or
+     * { reason } when it is unknown, revoked or expired.
+     */
+    authenticate(key) {
+        const record = this.byHash.get(ApiKeyStore.hash(key));
+        if (!record) {
+            return { reason: 'unknown' };
+        }
+        if (record.revokedAt) {
+            return { reason: 'revoked' };
+        }
+        if (record.expiresAt && Date.parse(record.expiresAt) <= this.now()) {
+            return { reason: 'expired' };
+        }
+        return { record };
+    }
+
+    async create({ owner, role = 'consumer', services = ['*'], quotas = {}, expiresAt, expiresIn, description } = {}) {
+        const attributes = ApiKeyStore.validate({ owner, role, services, quotas });
+        const key = ApiKeyStore.generateKey();
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            prefix: key.slice(0, KEY_PREFIX.length + 4),
+            hash: ApiKeyStore.hash(key),
+            ...attributes,
+            description: description || null,
+            createdAt: new Date(this.now()).toISOString(),
+            expiresAt: this.resolveExpiry(expiresAt, expiresIn),
+            revokedAt: null
+        };
+
+        this.records.set(record.id, record);
+        this.byHash.set(record.hash, record);
+        await this.save();
+        return { key, record: ApiKeyStore.toPublic(record) };
+    }
+
+    /**
+     * Issue a new key with the same attributes and revoke the old one.
+     */
+    async rotate(id, { expiresAt, expiresIn } = {}) {
+        const previous = this.get(id);
+        if (previous.revokedAt) {
+            throw new GatewayError(409, 'KEY_REVOKED', `API key ${id} is revoked and cannot be rotated`);
+        }
+
+        // The new key keeps an expiry that has not passed yet unless told otherwise
+        const carriedExpiry = previous.expiresAt && Date.parse(previous.expiresAt) > this.now() ? previous.expiresAt : null;
+        const { key, record } = await this.create({
+            owner: previous.owner,
+            role: previous.role,
+            services: previous.services,
+            quotas: previous.quotas,
+            description: previous.description,
+            expiresAt: expiresAt ?? (expiresIn ? undefined : carriedExpiry),
+            expiresIn
+        });
+        previous.revokedAt = record.createdAt;
+        previous.rotatedTo = record.id;
+        this.records.get(record.id).rotatedFrom = id;
+        await this.save();
+        return { key, record: ApiKeyStore.toPublic(this.records.get(record.id)) };
+    }
+
+    async revoke(id) {
+        const record = this.get(id);
+        if (!record.revokedAt) {
+            record.revokedAt = new Date(this.now()).toISOString();
+            await this.save();
+        }
+        return ApiKeyStore.toPublic(record);
+    }
+
+    get(id) {
+        const record = this.records.get(id);
+        if (!record) {
+            throw new GatewayError(404, 'KEY_NOT_FOUND', `API key ${id} does not exist`);
+        }
+        return record;
+    }
+
+    list({ includeRevoked = false } = {}) {
+        return [...this.records.values()]
+            .filter(record => includeRevoked || !record.revokedAt)
+            .map(record => ApiKeyStore.toPublic(record));
+    }
+
+    resolveExpiry(expiresAt, expiresIn) {
+        if (expiresIn) {
+            try {
+                return new Date(this.now() + parseDuration(expiresIn)).toISOString();
+            } catch (error) {
+                throw new GatewayError(400, 'INVALID_KEY_REQUEST', `expiresIn: ${error.message}`);
+            }
+        }
+        if (!expiresAt) {
+            return null;
+        }
+        const timestamp = Date.parse(expiresAt);
+        if (Number.isNaN(timestamp)) {
+            throw new GatewayError(400, 'INVALID_KEY_REQUEST', `expiresAt "${expiresAt}" is not a valid date`);
+        }
+        return new Date(timestamp).toISOString();
+    }
+
+    static validate({ owner, role, services, quotas }) {
+        const invalid = message => new GatewayError(400, 'INVALID_KEY_REQUEST', message);
+
+        if (typeof owner !== 'string' || owner.trim() === '') {
+            throw invalid('owner is required');
+        }
+        if (!ROLES.includes(role)) {
+            throw invalid(`role must be one of ${ROLES.join(', ')}`);
+        }
+        if (!Array.isArray(services) || services.length === 0 || services.some(service => typeof service !== 'string')) {
+            throw invalid('services must be a non-empty array of service names, or ["*"]');
+        }
+        if (quotas === null || typeof quotas !== 'object' || Array.isArray(quotas)) {
+            throw invalid('quotas must be an object with requests and/or tokensPerMinute');
+        }
+        if (quotas.requests !== undefined) {
+            try {
+                parseRate(quotas.requests);
+            } catch (error) {
+                throw invalid(`quotas.requests: ${error.message}`);
+            }
+        }
+        if (quotas.tokensPerMinute !== undefined && !(Number.isInteger(quotas.tokensPerMinute) && quotas.tokensPerMinute > 0)) {
+            throw invalid('quotas.tokensPerMinute must be a positive integer');
+        }
+
+        return { owner: owner.trim(), role, services, quotas };
+    }
+
+    static toPublic(record) {
+        const { hash, ...publicRecord } = record;
+        return publicRecord;
+    }
+}
+
+ApiKeyStore.ROLES = ROLES;
+
+module.exports = ApiKeyStore;
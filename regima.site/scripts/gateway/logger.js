@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const PiiRedactor = require('./pii-redactor');
+const { redactSecrets } = require('./utils');
+
+/**
+ * Gateway Logger
+ *
+ * The gateway's winston logger. Entries go to stdout as one JSON object per
+ * line with a timestamp, level, message and fields; LOG_FORMAT=pretty
+ * prints readable lines for local development instead. The level follows
+ * `monitoring.logging.level` in gateway.json unless LOG_LEVEL is set.
+ *
+ * Each request gets a child logger (`req.log`) that adds its request ID to
+ * everything it logs.
+ */
+
+const prettyFormat = winston.format.printf(({ timestamp, level, message, ...fields }) => {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level} ${message}${extra}`;
+});
+
+// Errors passed as fields, such as { error }, would serialise as {}
+const errorFields = winston.format(info => {
+    for (const [key, value] of Object.entries(info)) {
+        if (value instanceof Error) {
+            info[key] = { name: value.name, message: value.message, code: value.code, stack: value.stack };
+        }
+    }
+    return info;
+});
+
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        errorFields(),
+        process.env.LOG_FORMAT === 'pretty'
+            ? winston.format.combine(winston.format.colorize(), prettyFormat)
+            : winston.format.json()
+    ),
+    transports: [new winston.transports.Console({ stderrLevels: ['error'] })]
+});
+
+/**
+ * Use the level from gateway.json, unless LOG_LEVEL pins one.
+ */
+function setLogLevel(level) {
+    logger.level = process.env.LOG_LEVEL || level || 'info';
+}
+
+// Incoming request IDs are reused only when they are safe to echo and log
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * The caller's X-Request-Id if it is usable, otherwise a new UUID.
+ */
+function requestIdFor(req) {
+    const incoming = req.get('x-request-id');
+    return incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Gateway and upstream API keys, wherever they appear in a body
+const API_KEY = /\b(?:regima_|sk-)[A-Za-z0-9_-]{8,}/g;
+const MAX_LOGGED_STRING = 2000;
+
+/**
+ * Copy of a request or response body that is safe to log: credentials and
+ * API keys masked, PII replaced by placeholders and long strings (such as
+ * base64 images) truncated.
+ */
+function maskBody(body) {
+    const redactor = new PiiRedactor();
+    const mask = value => {
+        if (typeof value === 'string') {
+            const text = value.length > MAX_LOGGED_STRING
+                ? `${value.slice(0, MAX_LOGGED_STRING)}… (${value.length} characters)`
+                : value;
+            return redactor.redactText(text.replace(API_KEY, '[API_KEY]'));
+        }
+        if (Array.isArray(value)) {
+            return value.map(mask);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mask(item)]));
+        }
+        return value;
+    };
+    return mask(redactSecrets(body));
+}
+
+module.exports = { logger, setLogLevel, requestIdFor, maskBody };
@@ -0,0 +1,234 @@
+/**
+ * Metrics
+ *
+ * Labelled counters, gauges and histograms, exposed in the Prometheus text
+ * format (version 0.0.4) or as JSON. Covers what the gateway records without
+ * a metrics client dependency.
+ *
+ * A metric created with a `collect` function is filled in at scrape time,
+ * for values the gateway already keeps elsewhere (breaker states, policy
+ * statistics, memory use).
+ */
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = text => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(name, help, labelNames = [], { collect } = {}) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map();
+    }
+
+    /**
+     * The series for a set of labels. Missing labels are exported empty;
+     * labels the metric does not declare are an error.
+     */
+    seriesFor(labels, create) {
+        const unknown = Object.keys(labels).filter(name => !this.labelNames.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`${this.name} has no label ${unknown.join(', ')}`);
+        }
+        const values = this.labelNames.map(name => labels[name] ?? '');
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, create(Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]))));
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Every exported sample as { suffix, labels, value }.
+     */
+    samples() {
+        return [...this.series.values()].map(({ labels, value }) => ({ suffix: '', labels, value }));
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            help: this.help,
+            series: [...this.series.values()].map(({ labels, value }) => ({ labels, value }))
+        };
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`${this.name} can only increase`);
+        }
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += amount;
+    }
+
+    /**
+     * Set a counter kept elsewhere, from a `collect` function.
+     */
+    set(labels, value) {
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += amount;
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets, options) {
+        super(name, help, labelNames, options);
+        if (labelNames.includes('le')) {
+            throw new Error(`${name} cannot use the label "le"`);
+        }
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, seriesLabels => ({
+            labels: seriesLabels,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Observe the seconds until the returned function is called.
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    samples() {
+        const samples = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(bound) }, value: counts[i] });
+            });
+            samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+            samples.push({ suffix: '_sum', labels, value: sum });
+            samples.push({ suffix: '_count', labels, value: count });
+        }
+        return samples;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            type: this.type,
+            help: this.help,
+            buckets: this.buckets,
+            series: [...this.series.values()].map(({ labels, counts, sum, count }) => ({ labels, counts, sum, count }))
+        };
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames, options) {
+        return this.register(new Counter(name, help, labelNames, options));
+    }
+
+    gauge(name, help, labelNames, options) {
+        return this.register(new Gauge(name, help, labelNames, options));
+    }
+
+    histogram(name, help, labelNames, buckets, options) {
+        return this.register(new Histogram(name, help, labelNames, buckets, options));
+    }
+
+    collect() {
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                metric.reset();
+                metric.collect(metric);
+            }
+        }
+        return [...this.metrics.values()];
+    }
+
+    toPrometheus() {
+        const lines = [];
+        for (const metric of this.collect()) {
+            lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const { suffix, labels, value } of metric.samples()) {
+                lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    toJSON() {
+        return this.collect().map(metric => metric.toJSON());
+    }
+}
+
+// Content type of the Prometheus text exposition format
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram };
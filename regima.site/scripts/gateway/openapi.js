@@ -0,0 +1,303 @@
+const { SCHEMAS, OPERATIONS } = require('./api-schemas');
+
+/**
+ * OpenAPI Document
+ *
+ * Builds the OpenAPI 3.1 description of the gateway from gateway.json and
+ * the service routes it serves, so the document changes with the config.
+ * The gateway serves it at /openapi.json and the site builder renders the
+ * API docs page from it.
+ */
+
+// Filters of GET /admin/audit
+const AUDIT_QUERY = {
+    key: { type: 'string', description: 'API key ID or token subject that made or is named in the entry' },
+    service: { type: 'string' },
+    type: { type: 'string', description: 'Entry type, such as interaction or api-key-created' },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+};
+
+// Routes the gateway serves itself, next to the services in gateway.json.
+// `access` is public, user (any valid credential) or admin; `errors` adds
+// responses beyond the ones every route of that access level can give.
+const GATEWAY_ROUTES = [
+    { method: 'get', path: '/health', tag: 'gateway', access: 'public', summary: 'Health of services, circuit breakers, backend pools and configuration', response: 'HealthStatus' },
+    { method: 'get', path: '/health/live', tag: 'gateway', access: 'public', summary: 'Liveness probe: the gateway process is serving', response: 'Liveness' },
+    { method: 'get', path: '/health/ready', tag: 'gateway', access: 'public', summary: 'Readiness probe from active health checks and circuit breakers', response: 'Readiness', errors: { 503: 'The gateway is not ready; the body lists the reasons' } },
+    { method: 'get', path: '/docs', tag: 'gateway', access: 'public', summary: 'Endpoint summary of this document' },
+    { method: 'get', path: '/openapi.json', tag: 'gateway', access: 'public', summary: 'This OpenAPI document', operationId: 'getOpenApiDocument' },
+    { method: 'get', path: '/gateway/info', tag: 'admin', access: 'admin', summary: 'Gateway information and statistics' },
+    { method: 'get', path: '/gateway/config', tag: 'admin', access: 'admin', summary: 'Gateway configuration with credentials redacted' },
+    { method: 'get', path: '/metrics', tag: 'admin', access: 'admin', summary: 'Request, latency, token and backend metrics', description: 'Prometheus text format by default; JSON when the Accept header prefers application/json.', text: 'Prometheus text exposition format 0.0.4' },
+    { method: 'get', path: '/policies', tag: 'admin', access: 'admin', summary: 'Policy configuration and rule statistics' },
+    { method: 'get', path: '/admin/keys', tag: 'admin', access: 'admin', summary: 'List API keys', query: { includeRevoked: { type: 'boolean' } } },
+    { method: 'post', path: '/admin/keys', tag: 'admin', access: 'admin', summary: 'Create an API key', request: 'ApiKeyRequest', response: 'ApiKey', status: '201', errors: { 400: 'The key request is invalid' } },
+    { method: 'post', path: '/admin/keys/{id}/rotate', tag: 'admin', access: 'admin', summary: 'Replace an API key with a new one', response: 'ApiKey', status: '201', errors: { 404: 'No such key', 409: 'The key is revoked' } },
+    { method: 'delete', path: '/admin/keys/{id}', tag: 'admin', access: 'admin', summary: 'Revoke an API key', errors: { 404: 'No such key' } },
+    { method: 'get', path: '/admin/audit', tag: 'admin', access: 'admin', summary: 'Query the audit trail by API key, service, type and time range', query: AUDIT_QUERY, errors: { 400: 'A filter is invalid' } },
+    { method: 'post', path: '/admin/config/reload', tag: 'admin', access: 'admin', summary: 'Reload config/gateway.json', errors: { 422: 'The file was rejected; the previous configuration stays active' } },
+    { method: 'get', path: '/v1/services', tag: 'discovery', access: 'user', summary: 'Services and endpoints available to the caller', response: 'ServiceDirectory' },
+    { method: 'get', path: '/agents/capabilities', tag: 'discovery', access: 'user', summary: 'AI agents available to the caller', list: 'agents' },
+    { method: 'get', path: '/data/services', tag: 'discovery', access: 'user', summary: 'Data services available to the caller', list: 'services' },
+    { method: 'get', path: '/tools/available', tag: 'discovery', access: 'user', summary: 'Tools available to the caller', list: 'tools' },
+    { method: 'get', path: '/cognitive/atomspace', tag: 'cognitive', access: 'public', summary: 'Query the SkinTwin AtomSpace', request: 'AtomSpaceQuery', response: 'PendingImplementation' },
+    { method: 'post', path: '/cognitive/reasoning', tag: 'cognitive', access: 'public', summary: 'Run PLN reasoning', request: 'ReasoningRequest', response: 'PendingImplementation' },
+    { method: 'get', path: '/cognitive/patterns', tag: 'cognitive', access: 'public', summary: 'Pattern mining results', response: 'PendingImplementation' },
+    { method: 'get', path: '/cognitive/status', tag: 'cognitive', access: 'public', summary: 'SkinTwin integration status', response: 'CognitiveStatus' }
+];
+
+const TAGS = [
+    { name: 'ai-models', description: 'OpenAI-compatible model services' },
+    { name: 'ai-agents', description: 'Skincare and dermatology agents' },
+    { name: 'data-services', description: 'Knowledge retrieval' },
+    { name: 'tools', description: 'Analysis and generation tools' },
+    { name: 'discovery', description: 'What the caller may use' },
+    { name: 'cognitive', description: 'SkinTwin cognitive architecture' },
+    { name: 'gateway', description: 'Health and documentation' },
+    { name: 'admin', description: 'Gateway management; requires admin access' }
+];
+
+const ERROR_RESPONSES = {
+    BadRequest: 'The request is malformed or names something that does not exist',
+    Unauthorized: 'No valid API key or bearer token was provided',
+    Forbidden: 'The caller may not use this endpoint, or a policy rejected the request',
+    TooManyRequests: 'A request or token limit was exceeded; see Retry-After',
+    BadGateway: 'The upstream model service failed',
+    ServiceUnavailable: 'No upstream is configured or every backend is unavailable'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+const camelCase = value => value.replace(/[-_/]+([a-z0-9])/gi, (match, letter) => letter.toUpperCase());
+
+/**
+ * Query parameters for a GET operation, one per property of its request
+ * schema, with examples taken from the schema's example.
+ */
+function queryParameters(schema) {
+    return Object.entries(schema?.properties || {}).map(([name, property]) => ({
+        name,
+        in: 'query',
+        required: (schema.required || []).includes(name),
+        description: property.description,
+        schema: property,
+        example: schema.example?.[name]
+    }));
+}
+
+function pathParameters(path) {
+    return [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    }));
+}
+
+/**
+ * One OpenAPI operation from a route description: its request body or query
+ * parameters, success response and the error responses its access level
+ * can produce.
+ */
+function describeOperation(route, { security }) {
+    const operation = {
+        operationId: route.operationId || camelCase(`${route.method}${route.path}`.replace(/[{}.]/g, '')),
+        summary: route.summary,
+        tags: [route.tag]
+    };
+    if (route.description) {
+        operation.description = route.description;
+    }
+
+    const parameters = [...pathParameters(route.path)];
+    if (route.request && route.method === 'get') {
+        parameters.push(...queryParameters(SCHEMAS[route.request]));
+    } else if (route.request) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: ref(route.request),
+                    ...(SCHEMAS[route.request].example ? { example: SCHEMAS[route.request].example } : {})
+                }
+            }
+        };
+    }
+    for (const [name, schema] of Object.entries(route.query || {})) {
+        parameters.push({ name, in: 'query', required: false, schema });
+    }
+    // A route's own parameters replace schema-derived ones of the same name
+    for (const parameter of route.parameters || []) {
+        const index = parameters.findIndex(existing => existing.name === parameter.name && existing.in === parameter.in);
+        parameters.splice(index === -1 ? parameters.length : index, index === -1 ? 0 : 1, parameter);
+    }
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+
+    let schema = { type: 'object' };
+    if (route.response) {
+        schema = ref(route.response);
+    } else if (route.list) {
+        schema = { type: 'object', properties: { [route.list]: { type: 'array', items: ref('ServiceSummary') } } };
+    }
+    const content = { 'application/json': { schema } };
+    if (route.text) {
+        content['text/plain'] = { schema: { type: 'string', description: route.text } };
+    }
+    if (route.streaming) {
+        content['text/event-stream'] = {
+            schema: { type: 'string', description: 'chat.completion.chunk events, then a usage event and [DONE]' }
+        };
+    }
+    operation.responses = { [route.status || '200']: { description: 'Success', content } };
+
+    if (route.access !== 'public') {
+        operation.security = security;
+        Object.assign(operation.responses, {
+            401: errorResponse('Unauthorized'),
+            403: errorResponse('Forbidden')
+        });
+    }
+    if (route.service) {
+        Object.assign(operation.responses, {
+            400: errorResponse('BadRequest'),
+            429: errorResponse('TooManyRequests')
+        });
+    }
+    if (route.upstream) {
+        Object.assign(operation.responses, {
+            502: errorResponse('BadGateway'),
+            503: errorResponse('ServiceUnavailable')
+        });
+    }
+    for (const [status, description] of Object.entries(route.errors || {})) {
+        operation.responses[status] = { description, content: { 'application/json': { schema: ref('Error') } } };
+    }
+    if (route.access === 'admin') {
+        operation.description = [operation.description, 'Requires an admin role or the admin token scope.'].filter(Boolean).join(' ');
+    }
+    if (route.service) {
+        operation['x-regimai-service'] = route.service.name;
+        operation['x-regimai-policies'] = route.service.policies;
+    }
+    return operation;
+}
+
+/**
+ * Describe one service route from service-routes.js in the same terms as
+ * GATEWAY_ROUTES.
+ */
+function describeServiceRoute(route, category, service) {
+    const definition = OPERATIONS[route.operation];
+    const parameters = [];
+    if (service.capabilities) {
+        parameters.push({
+            name: 'capability',
+            in: 'query',
+            required: false,
+            description: 'Capability of the service to use; it can also be sent as the capability field of the body',
+            schema: { enum: service.capabilities }
+        });
+    }
+
+    return {
+        method: route.method,
+        path: route.path,
+        tag: category,
+        access: 'user',
+        operationId: camelCase(route.operation === route.serviceName ? route.serviceName : `${route.serviceName}-${route.operation}`),
+        summary: definition.summary,
+        description: service.description,
+        request: definition.request,
+        response: definition.response,
+        streaming: definition.streaming,
+        upstream: route.action === 'proxyChatCompletion' || route.action === 'handleModelAgent',
+        parameters,
+        service: { name: route.serviceName, policies: service.policies }
+    };
+}
+
+/**
+ * Build the OpenAPI 3.1 document for a gateway config and the service
+ * routes it serves.
+ *
+ * Options: `serverUrl`; `queryApiKeys` and `bearerTokens` say which
+ * credentials besides the X-API-Key header are accepted.
+ */
+function buildOpenApiDocument(config, routes, {
+    serverUrl,
+    queryApiKeys = config.authentication?.['api-keys']?.['query-parameter'] !== false,
+    bearerTokens = (config.authentication?.jwt?.issuers || []).length > 0
+} = {}) {
+    const securitySchemes = {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'API key created with `npm run keys -- create`' }
+    };
+    if (queryApiKeys) {
+        securitySchemes.ApiKeyQuery = { type: 'apiKey', in: 'query', name: 'apiKey', description: 'The API key as a query parameter; prefer the header' };
+    }
+    if (bearerTokens) {
+        securitySchemes.BearerAuth = { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'A JWT from a trusted issuer' };
+    }
+    const security = Object.keys(securitySchemes).map(name => ({ [name]: [] }));
+
+    const categories = {};
+    for (const [category, entries] of Object.entries(config.services)) {
+        for (const name of Object.keys(entries)) {
+            categories[name] = category;
+        }
+    }
+    const described = [
+        ...routes.map(route => describeServiceRoute(route, categories[route.serviceName], config.services[categories[route.serviceName]][route.serviceName])),
+        ...GATEWAY_ROUTES
+    ];
+
+    const paths = {};
+    for (const route of described) {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = describeOperation(route, { security });
+    }
+
+    const responses = {};
+    for (const [name, description] of Object.entries(ERROR_RESPONSES)) {
+        responses[name] = { description, content: { 'application/json': { schema: ref('Error') } } };
+    }
+    responses.TooManyRequests.headers = {
+        'Retry-After': { description: 'Seconds until the request would be accepted', schema: { type: 'integer' } }
+    };
+
+    const document = {
+        openapi: '3.1.0',
+        info: {
+            title: config.gateway.name,
+            version: config.gateway.version,
+            description: config.gateway.description
+        },
+        tags: TAGS,
+        paths,
+        components: { schemas: SCHEMAS, responses, securitySchemes }
+    };
+    if (serverUrl) {
+        document.servers = [{ url: serverUrl }];
+    }
+    return document;
+}
+
+/**
+ * Every operation of a document as { method, path, operation }, in
+ * document order.
+ */
+function listOperations(document) {
+    const operations = [];
+    for (const [path, methods] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+            operations.push({ method, path, operation });
+        }
+    }
+    return operations;
+}
+
+module.exports = { buildOpenApiDocument, listOperations, GATEWAY_ROUTES };
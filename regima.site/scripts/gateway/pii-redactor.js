@@ -0,0 +1,144 @@
+/**
+ * PII Redactor
+ *
+ * Detects personal data in free text and swaps it for numbered placeholders
+ * such as [EMAIL_1], keeping the originals so a response can be restored
+ * for the caller who sent them. Names, dates of birth and general ID numbers
+ * are only recognised after a cue ("my name is", "DOB", "patient ID") to
+ * keep skin-condition vocabulary and product dates intact.
+ */
+
+const DATE = String.raw`(?:\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|(?:\d{1,2}\s+)?(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(?:\d{1,2},?\s+)?\d{4})`;
+
+// Matched in this order; the text to replace is capture group 1 when present
+const DETECTORS = {
+    email: {
+        label: 'EMAIL',
+        pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi
+    },
+    'date-of-birth': {
+        label: 'DOB',
+        pattern: new RegExp(String.raw`\b(?:born(?:\s+on)?|d\.?o\.?b\.?|date of birth|birth\s?date|birthday)[:\s]+(${DATE})`, 'gi')
+    },
+    'id-number': {
+        label: 'ID',
+        pattern: /\b(\d{3}-\d{2}-\d{4}|\d{13})\b|\b(?:passport|id|identity|medical record|mrn|patient id|member id|policy)\s*(?:number|no\.?|#)?[:\s]+([A-Z0-9][A-Z0-9-]{5,})\b/gi
+    },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?<![\w[])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g
+    },
+    name: {
+        label: 'NAME',
+        pattern: /\b(?:[Mm]y name is|[Nn]ame:|I am|I'm|[Pp]atient:?|[Cc]lient:?)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2})/g
+    }
+};
+
+const PLACEHOLDER = /\[(?:EMAIL|DOB|ID|PHONE|NAME)_\d+\]/g;
+
+// A placeholder cut off at the end of a streamed chunk
+const PARTIAL_PLACEHOLDER = /\[[A-Z]{0,5}_?\d*$/;
+
+class PiiRedactor {
+    constructor({ entities = Object.keys(DETECTORS), skipFields = [] } = {}) {
+        const unknown = entities.filter(entity => !DETECTORS[entity]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown PII entities: ${unknown.join(', ')}`);
+        }
+
+        this.entities = entities;
+        this.skipFields = new Set(skipFields);
+        this.placeholders = new Map();
+        this.originals = new Map();
+        this.counts = {};
+    }
+
+    placeholderFor(entity, value) {
+        const key = `${entity}:${value}`;
+        if (!this.placeholders.has(key)) {
+            const label = DETECTORS[entity].label;
+            this.counts[entity] = (this.counts[entity] || 0) + 1;
+            const placeholder = `[${label}_${this.counts[entity]}]`;
+            this.placeholders.set(key, placeholder);
+            this.originals.set(placeholder, value);
+        }
+        return this.placeholders.get(key);
+    }
+
+    redactText(text) {
+        let result = text;
+        for (const entity of Object.keys(DETECTORS).filter(name => this.entities.includes(name))) {
+            result = result.replace(DETECTORS[entity].pattern, (match, ...groups) => {
+                const value = groups.slice(0, -2).find(group => typeof group === 'string');
+                if (!value) {
+                    return this.placeholderFor(entity, match);
+                }
+                return match.replace(value, this.placeholderFor(entity, value));
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Redact every string in a JSON value except those under skipped fields.
+     */
+    redact(value) {
+        if (typeof value === 'string') {
+            return this.redactText(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+                [key, this.skipFields.has(key) ? item : this.redact(item)]));
+        }
+        return value;
+    }
+
+    restoreText(text) {
+        return text.replace(PLACEHOLDER, placeholder => this.originals.get(placeholder) ?? placeholder);
+    }
+
+    restore(value) {
+        if (typeof value === 'string') {
+            return this.restoreText(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.restore(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Restore streamed text, holding back a placeholder split across chunks
+     * until its closing bracket arrives. Pass `flush` on the final chunk.
+     */
+    restoreStreamText(pending, text, flush = false) {
+        const buffered = pending + text;
+        const partial = flush ? null : buffered.match(PARTIAL_PLACEHOLDER);
+        const ready = partial ? buffered.slice(0, partial.index) : buffered;
+        return {
+            text: this.restoreText(ready),
+            pending: partial ? partial[0] : ''
+        };
+    }
+
+    get redacted() {
+        return this.originals.size > 0;
+    }
+
+    /**
+     * Counts per entity type, without the redacted values.
+     */
+    getFindings() {
+        return { ...this.counts };
+    }
+}
+
+PiiRedactor.ENTITIES = Object.keys(DETECTORS);
+
+module.exports = PiiRedactor;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * Audit logging policy rules
+ */
+module.exports = gateway => {
+    // The input as the caller sent it: the query of GET routes, otherwise
+    // the body. Read before the handler runs, since privacy rules replace
+    // req.body with its redacted copy afterwards.
+    const hashInput = req => {
+        const input = req.method === 'GET' ? req.query : req.body;
+        return `sha256:${crypto.createHash('sha256').update(JSON.stringify(input ?? null)).digest('hex')}`;
+    };
+
+    const record = context => {
+        const { req, res, response } = context;
+        // A stream that fails has sent its 200 already
+        const status = context.status ?? res.statusCode;
+        gateway.auditTrail.record('interaction', {
+            requestId: req.id,
+            caller: req.user?.id ?? null,
+            role: req.user?.role ?? null,
+            service: context.serviceName,
+            path: req.originalUrl.split('?')[0],
+            capability: gateway.requestedCapability(req) ?? null,
+            inputHash: context.state.inputHash || hashInput(req),
+            policies: [...new Set(context.applied.map(({ policy, rule }) => `${policy}/${rule}`))],
+            model: (status < 400 && response?.model) || null,
+            backend: res.get('X-Gateway-Backend') ?? null,
+            outcome: status >= 500 ? 'failed' : status === 499 ? 'aborted' : status >= 400 ? 'rejected' : 'success',
+            status,
+            ...(context.error ? { error: context.error.code } : {})
+        });
+    };
+
+    return {
+        // One audit entry per call to a clinical service: who called it, a
+        // hash of what they sent, the policies applied, the model that
+        // answered and the outcome. Rejected calls are recorded too.
+        'log-clinical-interactions': {
+            inbound(context) {
+                context.state.inputHash = hashInput(context.req);
+            },
+
+            outbound(context) {
+                record(context);
+            },
+
+            onError(context) {
+                record(context);
+            }
+        }
+    };
+};
@@ -0,0 +1,26 @@
+const { PolicyViolationError } = require('../errors');
+
+/**
+ * Authentication policy rules
+ */
+module.exports = gateway => ({
+    // Services listing `authentication` never run for anonymous callers, even
+    // if they are mounted outside the authenticated route prefixes
+    'require-api-key': {
+        inbound(context) {
+            if (!context.req.user) {
+                throw new PolicyViolationError('require-api-key', 'An API key is required for this service', {
+                    status: 401,
+                    code: 'AUTHENTICATION_REQUIRED'
+                });
+            }
+        }
+    },
+
+    // Same role check as the access-control middleware, for the same reason
+    'validate-user-permissions': {
+        inbound(context) {
+            gateway.accessControl.authorize(context.req.user, context.serviceName, context.service, gateway.requestedCapability(context.req));
+        }
+    }
+});
@@ -0,0 +1,203 @@
+const ContentSafetyClassifier = require('../content-safety');
+const { PolicyViolationError } = require('../errors');
+
+/**
+ * Content safety policy rules
+ *
+ * Both rules screen prompts on the way in and completions on the way out
+ * against the categories they own in `policies.content-safety.categories`.
+ * Matches at or above `block-severity` block the call when the service's
+ * action is `block`; everything else is returned as an annotation. Streamed
+ * completions are annotated on their final usage event. Once a call is over,
+ * each rule records what its categories matched in the audit trail.
+ */
+module.exports = gateway => {
+    const classifiers = new WeakMap();
+
+    const classifierFor = policy => {
+        if (!classifiers.has(policy)) {
+            classifiers.set(policy, new ContentSafetyClassifier(policy.categories));
+        }
+        return classifiers.get(policy);
+    };
+
+    // A service can switch to annotate-only or raise the bar with its own
+    // `contentSafety` settings
+    const settingsFor = (context, policy) => {
+        const overrides = context.service.contentSafety || {};
+        return {
+            block: (overrides.action ?? policy.action ?? 'block') === 'block',
+            blockSeverity: overrides.blockSeverity ?? policy['block-severity'] ?? 'high',
+            skipFields: policy['skip-fields'] || []
+        };
+    };
+
+    const promptText = (body, skipFields) => {
+        if (Array.isArray(body?.messages)) {
+            return body.messages
+                .filter(message => message.role === 'user')
+                .map(message => gateway.messageText(message))
+                .join('\n');
+        }
+        return ContentSafetyClassifier.collectText(body, skipFields).join('\n');
+    };
+
+    // Prompt and completion verdicts accumulate across both rules, each
+    // category once however often it matched
+    const record = (context, direction, matches, settings) => {
+        const verdicts = context.state.contentSafety || (context.state.contentSafety = {});
+        const categories = new Map([...verdicts[direction]?.categories || [], ...matches].map(match => [match.category, match]));
+        verdicts[direction] = ContentSafetyClassifier.verdict([...categories.values()], settings);
+        return verdicts[direction];
+    };
+
+    const annotation = context => {
+        const verdicts = context.state.contentSafety || {};
+        return {
+            prompt: verdicts.prompt ? ContentSafetyClassifier.summarize(verdicts.prompt) : undefined,
+            completion: verdicts.completion ? ContentSafetyClassifier.summarize(verdicts.completion) : undefined
+        };
+    };
+
+    const annotate = (context, field) => {
+        context.response[field] = annotation(context);
+    };
+
+    // A flagged or blocked call gets one audit entry per rule that matched,
+    // written by its outbound or on-error stage, whichever runs first
+    const audit = (context, rule, policy) => {
+        const key = `content-safety:${rule}:audited`;
+        if (context.state[key]) {
+            return;
+        }
+        context.state[key] = true;
+
+        const settings = settingsFor(context, policy);
+        const verdicts = {};
+        for (const [direction, result] of Object.entries(context.state.contentSafety || {})) {
+            const matches = result.categories.filter(match => match.rule === rule);
+            if (matches.length > 0) {
+                verdicts[direction] = ContentSafetyClassifier.summarize(ContentSafetyClassifier.verdict(matches, settings));
+            }
+        }
+        if (Object.keys(verdicts).length === 0) {
+            return;
+        }
+        gateway.auditTrail.record('content-safety', {
+            requestId: context.req.id,
+            caller: context.req.user?.id ?? null,
+            service: context.serviceName,
+            rule,
+            streamed: context.streamed,
+            ...verdicts
+        });
+    };
+
+    const reject = (rule, result, direction, status) => {
+        const blocking = result.categories.find(match => match.severity === result.severity);
+        const message = blocking.message || `${direction === 'prompt' ? 'Request' : 'Response'} blocked by content safety: ${blocking.description || blocking.category}`;
+        return new PolicyViolationError(rule, message, {
+            status,
+            code: 'CONTENT_BLOCKED',
+            details: { direction, ...ContentSafetyClassifier.summarize(result) }
+        });
+    };
+
+    // Screen a JSON response. Streams were screened chunk by chunk as
+    // they were sent.
+    const screenResponse = (context, rule, policy) => {
+        const response = context.response;
+        if (context.streamed || !response || typeof response !== 'object' || Array.isArray(response)) {
+            return;
+        }
+
+        const settings = settingsFor(context, policy);
+        const classifier = classifierFor(policy);
+
+        // Chat completions lose only the offending choice, the way Azure
+        // OpenAI reports `content_filter`
+        if (Array.isArray(response.choices)) {
+            for (const choice of response.choices) {
+                const content = typeof choice.message?.content === 'string' ? choice.message.content : '';
+                const matches = classifier.classify(content, rule);
+                record(context, 'completion', matches, settings);
+                if (ContentSafetyClassifier.verdict(matches, settings).verdict === 'block') {
+                    choice.message = { ...choice.message, content: '' };
+                    choice.finish_reason = 'content_filter';
+                }
+            }
+            annotate(context, 'content_safety');
+            return;
+        }
+
+        const text = ContentSafetyClassifier.collectText(response, settings.skipFields).join('\n');
+        const result = record(context, 'completion', classifier.classify(text, rule), settings);
+        if (result.verdict === 'block') {
+            throw reject(rule, result, 'completion', 422);
+        }
+        annotate(context, 'contentSafety');
+    };
+
+    const screeningRule = rule => ({
+        inbound(context, policy) {
+            const settings = settingsFor(context, policy);
+            const matches = classifierFor(policy).classify(promptText(context.body, settings.skipFields), rule);
+            const result = record(context, 'prompt', matches, settings);
+
+            context.res.set('X-Content-Safety', result.verdict);
+            if (result.verdict === 'block') {
+                throw reject(rule, result, 'prompt', 400);
+            }
+        },
+
+        outbound(context, policy) {
+            screenResponse(context, rule, policy);
+            audit(context, rule, policy);
+        },
+
+        onError(context, policy) {
+            audit(context, rule, policy);
+        },
+
+        stream(chunk, context, policy) {
+            // The final usage event carries the verdicts of the whole stream
+            if ((chunk.choices || []).length === 0 && chunk.usage) {
+                return { ...chunk, content_safety: annotation(context) };
+            }
+
+            const settings = settingsFor(context, policy);
+            const classifier = classifierFor(policy);
+            const key = `content-safety:${rule}`;
+            const { streamed, filtered } = context.state[key] || (context.state[key] = { streamed: {}, filtered: new Set() });
+
+            const choices = [];
+            for (const choice of chunk.choices || []) {
+                if (filtered.has(choice.index)) {
+                    continue;
+                }
+
+                // Screen everything streamed so far, so matches spanning
+                // chunks are caught as soon as they complete
+                streamed[choice.index] = (streamed[choice.index] || '') + (choice.delta?.content || '');
+                const matches = classifier.classify(streamed[choice.index], rule);
+                record(context, 'completion', matches, settings);
+                if (matches.length > 0 && ContentSafetyClassifier.verdict(matches, settings).verdict === 'block') {
+                    filtered.add(choice.index);
+                    choices.push({ index: choice.index, delta: {}, finish_reason: 'content_filter' });
+                    continue;
+                }
+                choices.push(choice);
+            }
+
+            if (choices.length === 0 && (chunk.choices || []).length > 0 && !chunk.usage) {
+                return null;
+            }
+            return { ...chunk, choices };
+        }
+    });
+
+    return {
+        'block-harmful-medical-advice': screeningRule('block-harmful-medical-advice'),
+        'filter-inappropriate-content': screeningRule('filter-inappropriate-content')
+    };
+};
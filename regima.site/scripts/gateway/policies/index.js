@@ -0,0 +1,23 @@
+const auditLogging = require('./audit-logging');
+const authentication = require('./authentication');
+const contentSafety = require('./content-safety');
+const medicalCompliance = require('./medical-compliance');
+const medicalDisclaimer = require('./medical-disclaimer');
+const privacyProtection = require('./privacy-protection');
+
+/**
+ * Built-in policy rules by name. Each module is a factory that receives the
+ * gateway, so rules can use its rate limiter, stats and configuration.
+ */
+function createBuiltinRules(gateway) {
+    return {
+        ...auditLogging(gateway),
+        ...authentication(gateway),
+        ...contentSafety(gateway),
+        ...medicalCompliance(gateway),
+        ...medicalDisclaimer(gateway),
+        ...privacyProtection(gateway)
+    };
+}
+
+module.exports = { createBuiltinRules };
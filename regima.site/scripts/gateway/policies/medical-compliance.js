@@ -0,0 +1,21 @@
+const { PolicyViolationError } = require('../errors');
+
+/**
+ * Medical compliance policy rules
+ */
+module.exports = () => ({
+    // Clinical services answer only callers whose role stands for a licensed
+    // professional (`licensed-roles` on the policy)
+    'professional-licensing-validation': {
+        inbound(context, policy) {
+            const licensedRoles = policy['licensed-roles'] || [];
+            const role = context.req.user?.role;
+            if (!licensedRoles.includes(role)) {
+                throw new PolicyViolationError('professional-licensing-validation', `${context.serviceName} is limited to licensed professionals`, {
+                    code: 'LICENSE_REQUIRED',
+                    details: { role: role ?? null, licensedRoles }
+                });
+            }
+        }
+    }
+});
@@ -0,0 +1,127 @@
+const SUFFIX_SEPARATOR = '\n\n---\n';
+
+/**
+ * Medical disclaimer policy rules
+ *
+ * Disclaimer texts, their version and the chat presentation are configured
+ * on the `medical-disclaimer` policy; `dermatology-domain` lists the same
+ * rule and shares them. A service picks its kind of disclaimer with
+ * `"disclaimer"` (default `general`), and the locale is negotiated from the
+ * caller's Accept-Language header.
+ */
+module.exports = gateway => {
+    const resolveDisclaimer = context => {
+        const options = gateway.config.policies['medical-disclaimer'] || {};
+        const kind = context.service.disclaimer || 'general';
+        const texts = options.disclaimers?.[kind];
+        if (!texts) {
+            throw new Error(`No medical disclaimer of kind "${kind}" is configured`);
+        }
+
+        const defaultLocale = options['default-locale'] || 'en';
+        const locale = context.req.acceptsLanguages(...Object.keys(texts)) || defaultLocale;
+        return {
+            kind,
+            locale,
+            version: options.version,
+            chatMode: options['chat-mode'] || 'field',
+            text: texts[locale] || texts[defaultLocale]
+        };
+    };
+
+    const setHeaders = (context, disclaimer) => {
+        if (!context.res.headersSent) {
+            context.res.set('X-Disclaimer-Version', `${disclaimer.version}/${disclaimer.kind}/${disclaimer.locale}`);
+            context.res.set('Content-Language', disclaimer.locale);
+        }
+    };
+
+    const recordShown = (context, disclaimer) => {
+        gateway.auditTrail.record('disclaimer-shown', {
+            service: context.serviceName,
+            kind: disclaimer.kind,
+            version: disclaimer.version,
+            locale: disclaimer.locale,
+            caller: context.req.user?.id ?? null
+        });
+    };
+
+    return {
+        'require-medical-disclaimers': {
+            inbound(context) {
+                context.state.disclaimer = resolveDisclaimer(context);
+
+                // Streamed responses send their headers before the text
+                if (context.body?.stream) {
+                    setHeaders(context, context.state.disclaimer);
+                }
+            },
+
+            outbound(context) {
+                const response = context.response;
+                const disclaimer = context.state.disclaimer;
+                if (context.streamed) {
+                    if (context.state.disclaimerSent) {
+                        recordShown(context, disclaimer);
+                    }
+                    return;
+                }
+                if (!disclaimer || !response || typeof response !== 'object' || Array.isArray(response)) {
+                    return;
+                }
+
+                if (Array.isArray(response.choices)) {
+                    for (const choice of response.choices) {
+                        if (!choice.message) {
+                            continue;
+                        }
+                        if (disclaimer.chatMode === 'suffix') {
+                            choice.message.content = `${choice.message.content || ''}${SUFFIX_SEPARATOR}${disclaimer.text}`;
+                        } else {
+                            choice.message.disclaimer = disclaimer.text;
+                        }
+                    }
+                    response.disclaimer_version = disclaimer.version;
+                } else {
+                    response.disclaimer = disclaimer.text;
+                    response.disclaimerVersion = disclaimer.version;
+                }
+                setHeaders(context, disclaimer);
+                recordShown(context, disclaimer);
+            },
+
+            // A stream that fails after its last choice finished has shown it
+            onError(context) {
+                if (context.state.disclaimerSent) {
+                    recordShown(context, context.state.disclaimer);
+                }
+            },
+
+            stream(chunk, context) {
+                const disclaimer = context.state.disclaimer;
+                if (!disclaimer || !(chunk.choices || []).some(choice => choice.finish_reason)) {
+                    return chunk;
+                }
+
+                // Attach the disclaimer to each choice as it finishes; it is
+                // recorded as shown once the stream has ended
+                context.state.disclaimerSent = true;
+                return {
+                    ...chunk,
+                    choices: chunk.choices.map(choice => {
+                        if (!choice.finish_reason) {
+                            return choice;
+                        }
+                        const delta = { ...choice.delta };
+                        if (disclaimer.chatMode === 'suffix') {
+                            delta.content = `${delta.content || ''}${SUFFIX_SEPARATOR}${disclaimer.text}`;
+                        } else {
+                            delta.disclaimer = disclaimer.text;
+                        }
+                        return { ...choice, delta };
+                    })
+                };
+            }
+        }
+    };
+};
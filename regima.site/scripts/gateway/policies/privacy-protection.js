@@ -0,0 +1,69 @@
+const PiiRedactor = require('../pii-redactor');
+
+/**
+ * Privacy protection policy rules
+ */
+module.exports = gateway => {
+    // Services restore placeholders in their responses unless the policy or
+    // the service's own `restorePersonalData` says otherwise
+    const restoreAllowed = (context, options) =>
+        context.service.restorePersonalData ?? options['restore-in-response'] ?? true;
+
+    return {
+        'anonymize-personal-data': {
+            inbound(context, policy) {
+                const options = policy.redaction || {};
+                const redactor = new PiiRedactor({
+                    entities: options.entities,
+                    skipFields: options['skip-fields']
+                });
+
+                context.body = redactor.redact(context.body);
+                if (!redactor.redacted) {
+                    return;
+                }
+
+                context.state.redactor = redactor;
+                context.state.restorePersonalData = restoreAllowed(context, options);
+                gateway.auditTrail.record('pii-redaction', {
+                    service: context.serviceName,
+                    path: context.req.originalUrl.split('?')[0],
+                    caller: context.req.user?.id ?? null,
+                    entities: redactor.getFindings(),
+                    restored: context.state.restorePersonalData
+                });
+            },
+
+            outbound(context) {
+                // Streamed text was restored chunk by chunk
+                if (context.state.restorePersonalData && !context.streamed) {
+                    context.response = context.state.redactor.restore(context.response);
+                }
+            },
+
+            stream(chunk, context) {
+                if (!context.state.restorePersonalData) {
+                    return chunk;
+                }
+
+                const pending = context.state.pendingText || (context.state.pendingText = {});
+                const redactor = context.state.redactor;
+                return {
+                    ...chunk,
+                    choices: (chunk.choices || []).map(choice => {
+                        const restored = redactor.restoreStreamText(
+                            pending[choice.index] || '',
+                            choice.delta?.content || '',
+                            Boolean(choice.finish_reason)
+                        );
+                        pending[choice.index] = restored.pending;
+                        if (!choice.delta || (choice.delta.content === undefined && !restored.text)) {
+                            return choice;
+                        }
+                        return { ...choice, delta: { ...choice.delta, content: restored.text } };
+                    })
+                };
+            }
+        }
+    };
+};
@@ -0,0 +1,186 @@
+const { GatewayError, PolicyViolationError } = require('./errors');
+const { logger } = require('./logger');
+const { tracer } = require('./tracing');
+
+// Stage names as used in logs and /policies, mapped to rule method names
+const STAGES = {
+    inbound: 'inbound',
+    outbound: 'outbound',
+    'on-error': 'onError',
+    stream: 'stream'
+};
+
+/**
+ * Policy Engine
+ *
+ * Runs the rules behind the policies a service lists in gateway.json. A
+ * policy is a named list of rules (`policies.*.rules`); a rule only takes
+ * effect once an implementation is registered under its name.
+ *
+ * Rule implementations are plain objects with any of these stage methods:
+ *
+ * - inbound(context, policy): before the handler; may rewrite `context.body`
+ * - outbound(context, policy): before a successful JSON response is sent;
+ *   may rewrite `context.response`
+ * - onError(context, policy): before an error response is sent
+ * - stream(chunk, context, policy): for each streamed chat chunk and the
+ *   final usage event; returns the chunk to send, or null to drop it
+ *
+ * A streamed chat completion runs outbound once the stream has ended, with
+ * the completion assembled from the chunks that were sent, and on-error if
+ * it fails or the client hangs up; `context.streamed` is set, the client
+ * already has what was sent, and `context.status` is the status the stream
+ * ended with when it is not `res.statusCode`.
+ *
+ * `policy` is the gateway.json definition of the policy that listed the
+ * rule, so rules can read their options from it.
+ *
+ * A rule rejects by throwing PolicyViolationError. Each rule runs at most
+ * once per stage even when several of the service's policies list it.
+ * Every run is traced as a span of its own; stream rules run per chunk and
+ * are not.
+ */
+class PolicyEngine {
+    constructor(policies = {}) {
+        this.policies = policies;
+        this.rules = new Map();
+        this.stats = { evaluations: 0, rejections: {} };
+    }
+
+    register(name, implementation) {
+        const stages = Object.entries(STAGES)
+            .filter(([, method]) => typeof implementation[method] === 'function')
+            .map(([stage]) => stage);
+        if (stages.length === 0) {
+            throw new Error(`Policy rule ${name} does not implement any stage`);
+        }
+        this.rules.set(name, { implementation, stages });
+        return this;
+    }
+
+    registerAll(rules) {
+        for (const [name, implementation] of Object.entries(rules)) {
+            this.register(name, implementation);
+        }
+        return this;
+    }
+
+    createContext({ serviceName, service, req, res }) {
+        return {
+            serviceName,
+            service,
+            req,
+            res,
+            body: req.body,
+            response: undefined,
+            error: undefined,
+            status: undefined,
+            streamed: false,
+            state: {},
+            applied: []
+        };
+    }
+
+    /**
+     * Registered rules for the given policies in evaluation order, each
+     * paired with the first policy that lists it.
+     */
+    resolve(policyNames = [], stage) {
+        const resolved = [];
+        const seen = new Set();
+
+        for (const policy of policyNames) {
+            for (const rule of this.policies[policy]?.rules || []) {
+                const registered = this.rules.get(rule);
+                if (!registered || seen.has(rule) || (stage && !registered.stages.includes(stage))) {
+                    continue;
+                }
+                seen.add(rule);
+                resolved.push({ policy, rule, implementation: registered.implementation });
+            }
+        }
+        return resolved;
+    }
+
+    async run(stage, policyNames, context) {
+        const method = STAGES[stage];
+        if (!method || stage === 'stream') {
+            throw new Error(`Unknown policy stage "${stage}"`);
+        }
+
+        for (const { policy, rule, implementation } of this.resolve(policyNames, stage)) {
+            this.stats.evaluations++;
+            try {
+                await tracer.trace(`policy ${policy}/${rule}`, {
+                    parent: tracer.activeSpan() || context.req?.span,
+                    attributes: { 'regimai.policy': policy, 'regimai.policy.rule': rule, 'regimai.policy.stage': stage }
+                }, () => implementation[method](context, this.policies[policy]));
+            } catch (error) {
+                throw this.reject(error, policy, rule, stage, context);
+            }
+            context.applied.push({ policy, rule, stage });
+        }
+        return context;
+    }
+
+    async transformChunk(policyNames, context, chunk) {
+        for (const { policy, rule, implementation } of this.resolve(policyNames, 'stream')) {
+            try {
+                chunk = await implementation.stream(chunk, context, this.policies[policy]);
+            } catch (error) {
+                throw this.reject(error, policy, rule, 'stream', context);
+            }
+            if (chunk === null) {
+                return null;
+            }
+        }
+        return chunk;
+    }
+
+    /**
+     * Turn a rule failure into the error sent to the client: violations are
+     * tagged with where they happened, other gateway errors (such as quota
+     * rejections) pass through and anything else is an internal rule fault.
+     */
+    reject(error, policy, rule, stage, context) {
+        const log = context?.req?.log || logger;
+        if (error instanceof PolicyViolationError) {
+            Object.assign(error.details, { policy, rule, stage });
+            this.stats.rejections[rule] = (this.stats.rejections[rule] || 0) + 1;
+            log.info('Policy rejected request', { policy, rule, stage, reason: error.message });
+            return error;
+        }
+        if (error instanceof GatewayError) {
+            return error;
+        }
+
+        log.error('Policy rule failed', { policy, rule, stage, error });
+        return new GatewayError(500, 'POLICY_ERROR', `Policy rule ${rule} failed`, { policy, rule, stage });
+    }
+
+    /**
+     * Rules of every configured policy, split into those with a registered
+     * implementation (and the stages they run in) and those without.
+     */
+    getActiveRules() {
+        const active = {};
+        const inactive = {};
+
+        for (const [policy, definition] of Object.entries(this.policies)) {
+            for (const rule of definition.rules || []) {
+                const registered = this.rules.get(rule);
+                if (registered) {
+                    (active[policy] = active[policy] || []).push({ rule, stages: registered.stages });
+                } else {
+                    (inactive[policy] = inactive[policy] || []).push(rule);
+                }
+            }
+        }
+        return { active, inactive };
+    }
+
+}
+
+PolicyEngine.STAGES = Object.keys(STAGES);
+
+module.exports = PolicyEngine;
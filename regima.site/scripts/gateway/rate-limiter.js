@@ -0,0 +1,240 @@
+const { parseRate } = require('./utils');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Sliding Window Counter
+ *
+ * Approximates a sliding window by weighting the previous fixed window's
+ * count by how much of it still overlaps the sliding window. Needs two
+ * numbers per key instead of a log of every request.
+ */
+class SlidingWindowCounter {
+    constructor(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    state(key, now) {
+        const start = now - (now % this.windowMs);
+        let state = this.windows.get(key);
+
+        if (!state) {
+            state = { start, current: 0, previous: 0 };
+            this.windows.set(key, state);
+        } else if (state.start !== start) {
+            state.previous = start - state.start === this.windowMs ? state.current : 0;
+            state.current = 0;
+            state.start = start;
+        }
+        return state;
+    }
+
+    usage(key, now) {
+        const state = this.state(key, now);
+        const overlap = 1 - (now - state.start) / this.windowMs;
+        return state.previous * overlap + state.current;
+    }
+
+    remaining(key, now) {
+        return Math.max(0, Math.floor(this.limit - this.usage(key, now)));
+    }
+
+    add(key, amount, now) {
+        this.state(key, now).current += amount;
+    }
+
+    /**
+     * Milliseconds until `amount` more units fit under the limit, or 0 if
+     * they fit now.
+     */
+    retryAfterMs(key, amount, now) {
+        const state = this.state(key, now);
+        const excess = this.usage(key, now) + amount - this.limit;
+        if (excess <= 0) {
+            return 0;
+        }
+
+        // The previous window's share decays linearly until this window ends
+        const untilWindowEnd = this.windowMs - (now - state.start);
+        const decayPerMs = state.previous / this.windowMs;
+        if (decayPerMs > 0 && excess <= decayPerMs * untilWindowEnd) {
+            return Math.ceil(excess / decayPerMs);
+        }
+
+        // After that, the current window becomes the previous one and decays in turn
+        if (state.current === 0) {
+            return untilWindowEnd + this.windowMs;
+        }
+        const carriedExcess = state.current + amount - this.limit;
+        return untilWindowEnd + Math.ceil(Math.min(carriedExcess / state.current, 1) * this.windowMs);
+    }
+
+    sweep(now) {
+        for (const [key, state] of this.windows) {
+            if (now - state.start >= 2 * this.windowMs) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Rate Limiter
+ *
+ * Enforces `routing.rate-limiting` from gateway.json: request rates
+ * globally, per service and per user, plus tokens-per-minute quotas fed by
+ * the prompt and completion usage of upstream responses. A subject may
+ * also carry the `quotas` of its API key, enforced as the `per-key` scope.
+ */
+class RateLimiter {
+    constructor(rateConfig = {}) {
+        this.requestLimits = {};
+        this.tokenLimits = {};
+        this.keyLimits = { requests: new Map(), tokens: new Map() };
+        this.calls = 0;
+
+        for (const scope of RateLimiter.SCOPES) {
+            if (rateConfig[scope]) {
+                const { limit, windowMs } = parseRate(rateConfig[scope]);
+                this.requestLimits[scope] = new SlidingWindowCounter(limit, windowMs);
+            }
+        }
+
+        const tokensPerMinute = rateConfig['tokens-per-minute'] || {};
+        for (const scope of RateLimiter.SCOPES) {
+            if (tokensPerMinute[scope]) {
+                this.tokenLimits[scope] = new SlidingWindowCounter(tokensPerMinute[scope], MINUTE_MS);
+            }
+        }
+    }
+
+    /**
+     * Take over the counts of the limiter this one replaces when the config
+     * is reloaded, for every limit whose rate did not change.
+     */
+    carryOver(previous) {
+        if (!previous) {
+            return this;
+        }
+
+        for (const kind of ['requestLimits', 'tokenLimits']) {
+            for (const [scope, counter] of Object.entries(this[kind])) {
+                const kept = previous[kind][scope];
+                if (kept && kept.limit === counter.limit && kept.windowMs === counter.windowMs) {
+                    this[kind][scope] = kept;
+                }
+            }
+        }
+        this.keyLimits = previous.keyLimits;
+        this.calls = previous.calls;
+        return this;
+    }
+
+    static scopeKey(scope, { user, service }) {
+        if (scope === 'global') {
+            return 'global';
+        }
+        return (scope === 'per-service' ? service : user) || null;
+    }
+
+    /**
+     * The `per-key` counter for a subject's own quota, rebuilt when the
+     * key's quota changes.
+     */
+    keyLimit(kind, subject) {
+        const quota = kind === 'requests' ? subject.quotas?.requests : subject.quotas?.tokensPerMinute;
+        if (!quota || !subject.user) {
+            return {};
+        }
+
+        const counters = this.keyLimits[kind];
+        let entry = counters.get(subject.user);
+        if (!entry || entry.quota !== quota) {
+            const { limit, windowMs } = kind === 'requests' ? parseRate(quota) : { limit: quota, windowMs: MINUTE_MS };
+            entry = { quota, counter: new SlidingWindowCounter(limit, windowMs) };
+            counters.set(subject.user, entry);
+        }
+        return { 'per-key': entry.counter };
+    }
+
+    /**
+     * Count one request against every applicable limit. Nothing is counted
+     * when any limit rejects it.
+     */
+    consumeRequest(subject, now = Date.now()) {
+        if (++this.calls % 1000 === 0) {
+            this.sweep(now);
+        }
+        return this.evaluate({ ...this.requestLimits, ...this.keyLimit('requests', subject) }, subject, 1, now, true);
+    }
+
+    /**
+     * Check whether an estimated number of prompt tokens still fits in the
+     * caller's token quotas. Actual usage is recorded by recordTokens().
+     */
+    checkTokens(subject, estimate, now = Date.now()) {
+        return this.evaluate({ ...this.tokenLimits, ...this.keyLimit('tokens', subject) }, subject, estimate, now, false);
+    }
+
+    recordTokens(subject, tokens, now = Date.now()) {
+        for (const [scope, counter] of Object.entries({ ...this.tokenLimits, ...this.keyLimit('tokens', subject) })) {
+            const key = RateLimiter.scopeKey(scope, subject);
+            if (key) {
+                counter.add(key, tokens, now);
+            }
+        }
+    }
+
+    evaluate(counters, subject, amount, now, consume) {
+        const checks = [];
+        for (const [scope, counter] of Object.entries(counters)) {
+            const key = RateLimiter.scopeKey(scope, subject);
+            if (key) {
+                checks.push({
+                    scope,
+                    key,
+                    counter,
+                    remaining: counter.remaining(key, now),
+                    retryAfterMs: counter.retryAfterMs(key, amount, now)
+                });
+            }
+        }
+
+        const rejected = checks.find(check => check.retryAfterMs > 0);
+        if (!rejected && consume) {
+            for (const check of checks) {
+                check.counter.add(check.key, amount, now);
+                check.remaining = Math.max(0, check.remaining - amount);
+            }
+        }
+
+        const tightest = rejected || checks.reduce((min, check) =>
+            !min || check.remaining < min.remaining ? check : min, null);
+
+        return {
+            allowed: !rejected,
+            scope: tightest?.scope,
+            limit: tightest?.counter.limit,
+            windowMs: tightest?.counter.windowMs,
+            remaining: tightest ? tightest.remaining : undefined,
+            retryAfterMs: rejected ? rejected.retryAfterMs : 0
+        };
+    }
+
+    sweep(now) {
+        for (const counter of [...Object.values(this.requestLimits), ...Object.values(this.tokenLimits)]) {
+            counter.sweep(now);
+        }
+        for (const counters of Object.values(this.keyLimits)) {
+            for (const { counter } of counters.values()) {
+                counter.sweep(now);
+            }
+        }
+    }
+}
+
+RateLimiter.SCOPES = ['global', 'per-service', 'per-user'];
+
+module.exports = RateLimiter;
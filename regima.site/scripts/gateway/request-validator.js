@@ -0,0 +1,121 @@
+const SchemaValidator = require('./json-schema');
+const { SCHEMAS, OPERATIONS } = require('./api-schemas');
+const { GatewayError } = require('./errors');
+
+// Recognise the image types the analysis endpoints accept by their first bytes
+const IMAGE_SIGNATURES = {
+    png: header => header.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+    jpeg: header => header.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    webp: header => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP'
+};
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * `base64-image`: base64 (optionally a data: URL) that decodes to a PNG,
+ * JPEG or WebP image.
+ */
+function checkBase64Image(value) {
+    const match = value.match(/^data:image\/(png|jpeg|webp);base64,/);
+    const encoded = match ? value.slice(match[0].length) : value;
+    if (encoded.length % 4 !== 0 || !BASE64.test(encoded)) {
+        throw new Error('must be base64-encoded image data');
+    }
+
+    const header = Buffer.from(encoded.slice(0, 16), 'base64');
+    const type = Object.keys(IMAGE_SIGNATURES).find(name => IMAGE_SIGNATURES[name](header));
+    if (!type) {
+        throw new Error('must be a PNG, JPEG or WebP image');
+    }
+    if (match && match[1] !== type) {
+        throw new Error(`is labelled image/${match[1]} but contains a ${type.toUpperCase()} image`);
+    }
+}
+
+/**
+ * Request Validator
+ *
+ * Checks service requests against the request schema of their route's
+ * operation (api-schemas.js): the JSON body, or the query string of GET
+ * routes after converting values to the numbers and booleans their schema
+ * asks for. Responses are checked against the response schema too, but a
+ * mismatch is only reported, since it is the gateway's fault and not the
+ * caller's.
+ */
+class RequestValidator {
+    constructor({ schemas = SCHEMAS, operations = OPERATIONS } = {}) {
+        this.schemas = schemas;
+        this.operations = operations;
+        this.validators = {};
+        for (const [name, schema] of Object.entries(schemas)) {
+            this.validators[name] = new SchemaValidator(schema, { formats: { 'base64-image': checkBase64Image } });
+        }
+    }
+
+    static prefix(location, errors) {
+        return errors.map(error => ({
+            path: error.path === '$' ? location : `${location}.${error.path}`,
+            message: error.message
+        }));
+    }
+
+    /**
+     * Values in a query string are always strings; convert the ones whose
+     * schema wants a number or boolean so they validate as such.
+     */
+    static coerceQuery(query, schema) {
+        const coerced = { ...query };
+        for (const [name, value] of Object.entries(coerced)) {
+            if (typeof value !== 'string') {
+                continue;
+            }
+            const types = [].concat(schema.properties?.[name]?.type || []);
+            if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+                coerced[name] = Number(value);
+            } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+                coerced[name] = value === 'true';
+            }
+        }
+        return coerced;
+    }
+
+    /**
+     * Validate the request for a route. Returns the validated input (the
+     * coerced query of a GET route) or throws 400 INVALID_REQUEST listing
+     * each problem by path.
+     */
+    validateRequest(route, req) {
+        const definition = this.operations[route.operation];
+        if (!definition?.request || definition.passthrough) {
+            return undefined;
+        }
+
+        const fromQuery = route.method === 'get';
+        const location = fromQuery ? 'query' : 'body';
+        const input = fromQuery
+            ? RequestValidator.coerceQuery(req.query, this.schemas[definition.request])
+            : req.body ?? {};
+        const errors = RequestValidator.prefix(location, this.validators[definition.request].validate(input));
+
+        if (errors.length > 0) {
+            throw new GatewayError(400, 'INVALID_REQUEST', `The request ${location} does not match ${definition.request}`, {
+                schema: `#/components/schemas/${definition.request}`,
+                errors
+            });
+        }
+        return input;
+    }
+
+    /**
+     * Problems with a successful response, as { path, message }.
+     */
+    checkResponse(route, payload) {
+        const definition = this.operations[route.operation];
+        if (!definition?.response || definition.passthrough) {
+            return [];
+        }
+        return RequestValidator.prefix('response', this.validators[definition.response].validate(payload));
+    }
+}
+
+module.exports = RequestValidator;
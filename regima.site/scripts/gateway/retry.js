@@ -0,0 +1,82 @@
+/**
+ * Upstream Retry
+ *
+ * Retries upstream calls that failed with a retryable status, using capped
+ * exponential backoff with full jitter. A Retry-After from the upstream sets
+ * the minimum wait; when it exceeds the maximum delay the error is returned
+ * to the caller straight away instead.
+ */
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: 3,
+    baseDelayMs: 250,
+    maxDelayMs: 5000,
+    retryOn: [429, 500, 502, 503, 504]
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error, retryOn) {
+    return retryOn.includes(error.upstreamStatus) || error.code === 'UPSTREAM_UNAVAILABLE';
+}
+
+/**
+ * Delay before the next attempt, or null when the error should not be retried.
+ */
+function retryDelay(error, attempt, options) {
+    if (!isRetryable(error, options.retryOn)) {
+        return null;
+    }
+
+    const backoff = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(Math.random() * backoff);
+
+    const retryAfterMs = parseRetryAfter(error.retryAfter);
+    if (retryAfterMs !== null) {
+        return retryAfterMs > options.maxDelayMs ? null : Math.max(jittered, retryAfterMs);
+    }
+    return jittered;
+}
+
+async function withRetry(operation, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) {
+            settings[key] = value;
+        }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const delay = attempt < settings.maxAttempts ? retryDelay(error, attempt, settings) : null;
+            if (delay === null) {
+                throw error;
+            }
+
+            if (settings.onRetry) {
+                settings.onRetry(error, attempt, delay);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = { withRetry, retryDelay, parseRetryAfter };
@@ -0,0 +1,102 @@
+/**
+ * Service Routes
+ *
+ * Turns the `handler` of each service in gateway.json into the routes the
+ * gateway serves under the service's endpoint. `type` picks how requests
+ * are handled:
+ *
+ *   proxy  OpenAI-compatible `operations` relayed to the service's backends
+ *   agent  POST to the endpoint, answered by a built-in `implementation`,
+ *          or by the chat model of `modelService` given the agent's
+ *          `instructions`
+ *   tool   POST to the endpoint, answered by a built-in `implementation`
+ *   data   a request on `path` below the endpoint, answered by a built-in
+ *          `implementation`
+ *
+ * `method` and `path` override where agent, tool and data routes listen.
+ * Each route names the gateway method that serves it, called as
+ * handler(req, res, route), and its `operation`: the proxy operation,
+ * built-in implementation or `model-agent` whose API schemas apply.
+ */
+
+// Operations a proxy service can expose, relative to its endpoint
+const PROXY_OPERATIONS = {
+    'chat-completions': { method: 'post', path: '/chat/completions', action: 'proxyChatCompletion' },
+    analyze: { method: 'post', path: '/analyze', action: 'handleCognitiveAnalysis' }
+};
+
+// Built-in implementations for each handler type
+const IMPLEMENTATIONS = {
+    agent: {
+        'skincare-consultant': 'handleSkincareConsultant',
+        'dermatology-assistant': 'handleDermatologyAssistant',
+        'product-advisor': 'handleProductAdvisor'
+    },
+    tool: {
+        'image-analysis': 'handleImageAnalysis',
+        'routine-generator': 'handleRoutineGenerator'
+    },
+    data: {
+        'vector-search': 'handleVectorSearch',
+        'knowledge-query': 'handleKnowledgeQuery'
+    }
+};
+
+// Listing endpoints the gateway serves itself, which no service may take
+const RESERVED_PATHS = ['/v1/services', '/agents/capabilities', '/data/services', '/tools/available'];
+
+/**
+ * The routes for one service as { serviceName, method, path, operation,
+ * action, handler }. Throws when the handler names something that does
+ * not exist.
+ */
+function resolveRoutes(serviceName, service) {
+    const handler = service.handler;
+    const route = (method, subPath, operation, action) => ({
+        serviceName,
+        method,
+        path: `${service.endpoint}${subPath || ''}`,
+        operation,
+        action,
+        handler
+    });
+
+    if (handler.type === 'proxy') {
+        return (handler.operations || ['chat-completions']).map(operation => {
+            const definition = PROXY_OPERATIONS[operation];
+            if (!definition) {
+                throw new Error(`unknown proxy operation "${operation}"`);
+            }
+            return route(definition.method, definition.path, operation, definition.action);
+        });
+    }
+
+    if (handler.type === 'agent' && !handler.implementation && handler.modelService) {
+        return [route(handler.method || 'post', handler.path, 'model-agent', 'handleModelAgent')];
+    }
+
+    const implementations = IMPLEMENTATIONS[handler.type] || {};
+    const action = implementations[handler.implementation];
+    if (!action) {
+        const known = Object.keys(implementations).join(', ');
+        throw new Error(handler.implementation
+            ? `no built-in ${handler.type} named "${handler.implementation}" (available: ${known})`
+            : `a ${handler.type} handler needs an implementation (available: ${known})${handler.type === 'agent' ? ' or a modelService' : ''}`);
+    }
+    return [route(handler.method || 'post', handler.path, handler.implementation, action)];
+}
+
+/**
+ * Every route of every service in a gateway config, in config order.
+ */
+function resolveAllRoutes(config) {
+    const routes = [];
+    for (const entries of Object.values(config.services)) {
+        for (const [name, service] of Object.entries(entries)) {
+            routes.push(...resolveRoutes(name, service));
+        }
+    }
+    return routes;
+}
+
+module.exports = { resolveRoutes, resolveAllRoutes, PROXY_OPERATIONS, IMPLEMENTATIONS, RESERVED_PATHS };
@@ -0,0 +1,70 @@
+/**
+ * Server-Sent Events
+ *
+ * Helpers for reading an upstream `text/event-stream` body and writing
+ * events back to gateway clients in the same format OpenAI uses.
+ */
+
+/**
+ * Parse a fetch response body into { event, data } records. The async
+ * generator yields one record per blank-line-terminated event.
+ */
+async function* parseEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+            const event = parseEvent(rawEvent);
+            if (event) {
+                yield event;
+            }
+        }
+    }
+
+    const trailing = parseEvent(buffer + decoder.decode());
+    if (trailing) {
+        yield trailing;
+    }
+}
+
+function parseEvent(rawEvent) {
+    let event;
+    const data = [];
+
+    for (const line of rawEvent.split(/\r?\n/)) {
+        if (line.startsWith('data:')) {
+            data.push(line.slice(5).replace(/^ /, ''));
+        } else if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        }
+    }
+
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+function openEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+}
+
+function writeEvent(res, data, event) {
+    if (event) {
+        res.write(`event: ${event}\n`);
+    }
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+module.exports = { parseEventStream, openEventStream, writeEvent };
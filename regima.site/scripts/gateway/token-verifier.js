@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { GatewayError } = require('./errors');
+const { logger } = require('./logger');
+const { parseDuration } = require('./utils');
+
+// Digest and key options for each supported JWS algorithm
+const ALGORITHMS = {
+    HS256: { type: 'hmac', digest: 'sha256' },
+    HS384: { type: 'hmac', digest: 'sha384' },
+    HS512: { type: 'hmac', digest: 'sha512' },
+    RS256: { type: 'rsa', digest: 'sha256' },
+    RS384: { type: 'rsa', digest: 'sha384' },
+    RS512: { type: 'rsa', digest: 'sha512' },
+    PS256: { type: 'rsa-pss', digest: 'sha256' },
+    PS384: { type: 'rsa-pss', digest: 'sha384' },
+    PS512: { type: 'rsa-pss', digest: 'sha512' },
+    ES256: { type: 'ecdsa', digest: 'sha256' },
+    ES384: { type: 'ecdsa', digest: 'sha384' },
+    ES512: { type: 'ecdsa', digest: 'sha512' }
+};
+
+// WWW-Authenticate descriptions by error code. Error messages can carry
+// parts of the token, which never go into a header.
+const ERROR_DESCRIPTIONS = {
+    INVALID_TOKEN: 'The bearer token is not valid',
+    TOKEN_EXPIRED: 'The bearer token has expired'
+};
+
+const invalidToken = (message, details) => new GatewayError(401, 'INVALID_TOKEN', message, details);
+
+/**
+ * Bearer Token Verifier
+ *
+ * Verifies JWTs from the issuers under `authentication.jwt.issuers` in
+ * gateway.json. An identity provider is trusted through a JWKS file
+ * (`jwks-file`, reloaded when it changes); the gateway's own local issuer
+ * signs with an HMAC secret read from the environment variable named by
+ * `secret-env`, and can mint tokens with sign(). Issuers whose keys are
+ * missing are skipped, so the gateway still starts with API keys alone.
+ */
+class TokenVerifier {
+    constructor(options = {}, { baseDir = process.cwd(), now = Date.now } = {}) {
+        this.options = options;
+        this.baseDir = baseDir;
+        this.now = now;
+        this.clockTolerance = parseDuration(options['clock-tolerance'], 60 * 1000);
+        this.issuers = new Map();
+        this.skipped = [];
+    }
+
+    get enabled() {
+        return this.issuers.size > 0;
+    }
+
+    async load() {
+        this.issuers.clear();
+        this.skipped = [];
+
+        for (const definition of this.options.issuers || []) {
+            const issuer = {
+                name: definition.name || definition.issuer,
+                issuer: definition.issuer,
+                audience: definition.audience ?? this.options.audience,
+                algorithms: definition.algorithms,
+                defaultRole: definition['default-role'] ?? this.options['default-role'],
+                keys: []
+            };
+
+            if (definition['jwks-file']) {
+                issuer.jwksFile = path.resolve(this.baseDir, definition['jwks-file']);
+                if (!await fs.pathExists(issuer.jwksFile)) {
+                    this.skipped.push(`${issuer.name} (no JWKS at ${issuer.jwksFile})`);
+                    continue;
+                }
+                issuer.keys = TokenVerifier.importJwks(await fs.readJson(issuer.jwksFile));
+                issuer.algorithms = issuer.algorithms || ['RS256', 'PS256', 'ES256'];
+            } else if (definition['secret-env']) {
+                const secret = process.env[definition['secret-env']];
+                if (!secret) {
+                    this.skipped.push(`${issuer.name} (${definition['secret-env']} is not set)`);
+                    continue;
+                }
+                issuer.keys = [{ kid: undefined, key: Buffer.from(secret) }];
+                issuer.algorithms = issuer.algorithms || ['HS256'];
+                issuer.local = true;
+            } else {
+                this.skipped.push(`${issuer.name} (neither jwks-file nor secret-env is configured)`);
+                continue;
+            }
+
+            this.issuers.set(issuer.issuer, issuer);
+        }
+        return this;
+    }
+
+    watch() {
+        for (const issuer of this.issuers.values()) {
+            if (!issuer.jwksFile) {
+                continue;
+            }
+            issuer.onChange = async () => {
+                try {
+                    issuer.keys = TokenVerifier.importJwks(await fs.readJson(issuer.jwksFile));
+                } catch (error) {
+                    logger.error('Failed to reload JWKS', { issuer: issuer.name, error: error.message });
+                }
+            };
+            fs.watchFile(issuer.jwksFile, { interval: 5000 }, issuer.onChange).unref();
+        }
+    }
+
+    unwatch() {
+        for (const issuer of this.issuers.values()) {
+            if (issuer.onChange) {
+                fs.unwatchFile(issuer.jwksFile, issuer.onChange);
+            }
+        }
+    }
+
+    static importJwks(jwks) {
+        return (jwks.keys || [])
+            .filter(jwk => !jwk.use || jwk.use === 'sig')
+            .map(jwk => ({ kid: jwk.kid, alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+    }
+
+    /**
+     * The JSON object in a header or payload segment; anything else, `null`
+     * or an array included, is not a JWT.
+     */
+    static decodeSegment(segment) {
+        let value;
+        try {
+            value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw invalidToken('Bearer token is not a well-formed JWT');
+        }
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw invalidToken('Bearer token is not a well-formed JWT');
+        }
+        return value;
+    }
+
+    /**
+     * Verify a compact JWT and return { claims, issuer } for a token signed
+     * by a trusted issuer that is current and meant for this gateway.
+     */
+    verify(token) {
+        const segments = token.split('.');
+        if (segments.length !== 3) {
+            throw invalidToken('Bearer token is not a well-formed JWT');
+        }
+
+        const [encodedHeader, encodedPayload, encodedSignature] = segments;
+        const header = TokenVerifier.decodeSegment(encodedHeader);
+        const claims = TokenVerifier.decodeSegment(encodedPayload);
+
+        // Nothing from the token is trusted yet, so none of it is echoed back
+        const issuer = typeof claims.iss === 'string' ? this.issuers.get(claims.iss) : undefined;
+        if (!issuer) {
+            throw invalidToken('Bearer token issuer is not accepted');
+        }
+        if (!issuer.algorithms.includes(header.alg) || !Object.hasOwn(ALGORITHMS, header.alg)) {
+            throw invalidToken(`Bearer token algorithm is not accepted for ${issuer.name}`);
+        }
+
+        const candidates = issuer.keys.filter(key =>
+            (!header.kid || !key.kid || key.kid === header.kid) && (!key.alg || key.alg === header.alg));
+        const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+        const signature = Buffer.from(encodedSignature, 'base64url');
+        if (!candidates.some(key => TokenVerifier.checkSignature(header.alg, key.key, data, signature))) {
+            throw invalidToken('Bearer token signature is invalid');
+        }
+
+        this.checkClaims(claims, issuer);
+        return { claims, issuer };
+    }
+
+    /**
+     * The WWW-Authenticate challenge (RFC 6750) for a rejected token.
+     */
+    static challenge(error) {
+        const description = ERROR_DESCRIPTIONS[error.code] || ERROR_DESCRIPTIONS.INVALID_TOKEN;
+        return `Bearer error="invalid_token", error_description="${description}"`;
+    }
+
+    static checkSignature(alg, key, data, signature) {
+        const { type, digest } = ALGORITHMS[alg];
+        try {
+            switch (type) {
+                case 'hmac': {
+                    const expected = crypto.createHmac(digest, key).update(data).digest();
+                    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+                }
+                case 'rsa':
+                    return crypto.verify(digest, data, key, signature);
+                case 'rsa-pss':
+                    return crypto.verify(digest, data, {
+                        key,
+                        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+                        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+                    }, signature);
+                case 'ecdsa':
+                    return crypto.verify(digest, data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+            }
+        } catch (error) {
+            // Wrong key type for the algorithm
+            return false;
+        }
+        return false;
+    }
+
+    checkClaims(claims, issuer) {
+        const now = this.now();
+
+        if (typeof claims.exp !== 'number') {
+            throw invalidToken('Bearer token has no expiry (exp)');
+        }
+        if (claims.exp * 1000 + this.clockTolerance <= now) {
+            throw new GatewayError(401, 'TOKEN_EXPIRED', 'Bearer token has expired', {
+                expiredAt: new Date(claims.exp * 1000).toISOString()
+            });
+        }
+        if (typeof claims.nbf === 'number' && claims.nbf * 1000 - this.clockTolerance > now) {
+            throw invalidToken('Bearer token is not valid yet');
+        }
+        if (issuer.audience) {
+            const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+            if (!audiences.includes(issuer.audience)) {
+                throw invalidToken(`Bearer token is not intended for ${issuer.audience}`);
+            }
+        }
+        if (typeof claims.sub !== 'string' || claims.sub === '') {
+            throw invalidToken('Bearer token has no subject (sub)');
+        }
+    }
+
+    /**
+     * Mint a token from the local issuer, e.g. for service accounts or
+     * testing with `npm run keys -- token`.
+     */
+    sign(claims, { expiresIn = '1h' } = {}) {
+        const issuer = [...this.issuers.values()].find(candidate => candidate.local);
+        if (!issuer) {
+            throw new Error('No local token issuer is configured; set its secret-env variable');
+        }
+
+        const issuedAt = Math.floor(this.now() / 1000);
+        const header = { alg: issuer.algorithms[0], typ: 'JWT' };
+        const payload = {
+            iss: issuer.issuer,
+            aud: issuer.audience,
+            iat: issuedAt,
+            exp: issuedAt + Math.floor(parseDuration(expiresIn) / 1000),
+            ...claims
+        };
+
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const data = `${encode(header)}.${encode(payload)}`;
+        const signature = crypto.createHmac(ALGORITHMS[header.alg].digest, issuer.keys[0].key).update(data).digest('base64url');
+        return `${data}.${signature}`;
+    }
+}
+
+TokenVerifier.ALGORITHMS = ALGORITHMS;
+
+module.exports = TokenVerifier;
@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+const { parseDuration } = require('./utils');
+
+/**
+ * Trace Exporters
+ *
+ * Send finished spans as OTLP (the OpenTelemetry protocol, JSON encoding)
+ * in batches, either to a collector over HTTP or appended to a local file
+ * as one ExportTraceServiceRequest per line, the format of the collector's
+ * own file exporter.
+ *
+ * `monitoring.tracing` in gateway.json picks the exporter; the standard
+ * OTEL_* environment variables override it (see createTraceProcessor).
+ */
+
+const MAX_BATCH = 512;
+
+function toAnyValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (Number.isInteger(value)) {
+        return { intValue: String(value) };
+    }
+    if (typeof value === 'number') {
+        return { doubleValue: value };
+    }
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toAnyValue) } };
+    }
+    return { stringValue: String(value) };
+}
+
+const toAttributes = attributes => Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+function toOtlpSpan(span) {
+    return {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+        ...(span.traceState ? { traceState: span.traceState } : {}),
+        name: span.name,
+        kind: span.kind,
+        startTimeUnixNano: String(span.startTime),
+        endTimeUnixNano: String(span.endTime),
+        attributes: toAttributes(span.attributes),
+        events: span.events.map(event => ({
+            timeUnixNano: String(event.time),
+            name: event.name,
+            attributes: toAttributes(event.attributes)
+        })),
+        status: span.status
+    };
+}
+
+/**
+ * One OTLP ExportTraceServiceRequest for a batch of spans.
+ */
+function toOtlpRequest(spans, resource) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: toAttributes(resource) },
+            scopeSpans: [{
+                scope: { name: 'regimai-gateway' },
+                spans: spans.map(toOtlpSpan)
+            }]
+        }]
+    };
+}
+
+class OtlpHttpExporter {
+    constructor({ endpoint, headers = {}, timeoutMs = 10000 }) {
+        this.url = endpoint;
+        this.headers = headers;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async export(request) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(request),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`${this.url} answered ${response.status}`);
+        }
+    }
+
+    describe() {
+        return { exporter: 'otlp', endpoint: this.url };
+    }
+}
+
+class FileExporter {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+    }
+
+    async export(request) {
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.appendFile(this.filePath, `${JSON.stringify(request)}\n`);
+    }
+
+    describe() {
+        return { exporter: 'file', file: this.filePath };
+    }
+}
+
+/**
+ * Collects finished spans and exports them every `intervalMs`, or sooner
+ * once MAX_BATCH are waiting. Spans that fail to export are dropped.
+ */
+class BatchSpanProcessor {
+    constructor(exporter, { resource, intervalMs = 5000 }) {
+        this.exporter = exporter;
+        this.resource = resource;
+        this.pending = [];
+        this.exporting = Promise.resolve();
+        this.timer = setInterval(() => this.flush(), intervalMs);
+        this.timer.unref();
+    }
+
+    onEnd(span) {
+        this.pending.push(span);
+        if (this.pending.length >= MAX_BATCH) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.pending.length === 0) {
+            return this.exporting;
+        }
+        const batch = this.pending.splice(0);
+        this.exporting = this.exporting
+            .then(() => this.exporter.export(toOtlpRequest(batch, this.resource)))
+            .catch(error => logger.warn('Failed to export spans', { spans: batch.length, ...this.exporter.describe(), error: error.message }));
+        return this.exporting;
+    }
+
+    shutdown() {
+        clearInterval(this.timer);
+        return this.flush();
+    }
+}
+
+/**
+ * "k1=v1,k2=v2", the format of OTEL_EXPORTER_OTLP_HEADERS.
+ */
+function parseHeaders(value) {
+    const headers = {};
+    for (const pair of String(value || '').split(',')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+    }
+    return headers;
+}
+
+/**
+ * The span processor for `monitoring.tracing`, or null when tracing is off.
+ *
+ * Environment overrides: OTEL_TRACES_EXPORTER (otlp, file or none),
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT or OTEL_EXPORTER_OTLP_ENDPOINT (to
+ * which /v1/traces is added), OTEL_EXPORTER_OTLP_HEADERS, OTEL_SERVICE_NAME
+ * and TRACES_FILE_PATH.
+ */
+function createTraceProcessor(tracing = {}, { config, env = process.env, baseDir }) {
+    const exporterName = env.OTEL_TRACES_EXPORTER || (tracing.enabled ? tracing.exporter || 'otlp' : 'none');
+    if (exporterName === 'none') {
+        return null;
+    }
+
+    let exporter;
+    if (exporterName === 'otlp') {
+        const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+            || `${(env.OTEL_EXPORTER_OTLP_ENDPOINT || tracing.endpoint || 'http://localhost:4318').replace(/\/+$/, '')}/v1/traces`;
+        exporter = new OtlpHttpExporter({ endpoint, headers: { ...tracing.headers, ...parseHeaders(env.OTEL_EXPORTER_OTLP_HEADERS) } });
+    } else if (exporterName === 'file') {
+        exporter = new FileExporter({ filePath: env.TRACES_FILE_PATH || path.resolve(baseDir, tracing.file || 'logs/traces.jsonl') });
+    } else {
+        throw new Error(`Unknown trace exporter "${exporterName}" (use otlp, file or none)`);
+    }
+
+    return new BatchSpanProcessor(exporter, {
+        intervalMs: parseDuration(tracing['export-interval'], 5000),
+        resource: {
+            'service.name': env.OTEL_SERVICE_NAME || tracing['service-name'] || 'regimai-gateway',
+            'service.version': config.gateway.version
+        }
+    });
+}
+
+module.exports = { createTraceProcessor, BatchSpanProcessor, OtlpHttpExporter, FileExporter, toOtlpRequest };
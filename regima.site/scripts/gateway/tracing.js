@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Tracing
+ *
+ * OpenTelemetry-compatible spans for the gateway. Spans follow the OTel
+ * data model (trace and span IDs, kinds, attributes, events, status), the
+ * active span is carried through async calls with AsyncLocalStorage, and
+ * trace context crosses process boundaries as W3C `traceparent` and
+ * `tracestate` headers. Finished spans of sampled traces go to the exporter
+ * configured with `tracer.configure` (see trace-exporters.js).
+ *
+ * Spans are created, and context propagated, even while export is off, so
+ * upstream calls continue a caller's trace either way.
+ */
+
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(?:-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const SAMPLED = 0x01;
+
+// Wall-clock nanoseconds with the monotonic clock's resolution
+const HRTIME_ORIGIN = process.hrtime.bigint();
+const EPOCH_ORIGIN = BigInt(Date.now()) * 1000000n;
+const nowNanos = () => process.hrtime.bigint() - HRTIME_ORIGIN + EPOCH_ORIGIN;
+
+class Span {
+    constructor(tracer, name, { kind = SPAN_KIND.INTERNAL, attributes = {}, parent }) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent?.traceId || crypto.randomBytes(16).toString('hex');
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parent?.spanId;
+        this.traceFlags = parent ? parent.traceFlags : tracer.sampleRoot();
+        this.traceState = parent?.traceState;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = { code: STATUS_CODE.UNSET };
+        this.startTime = nowNanos();
+        this.endTime = null;
+    }
+
+    get sampled() {
+        return (this.traceFlags & SAMPLED) === SAMPLED;
+    }
+
+    setAttribute(key, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    setAttributes(attributes) {
+        for (const [key, value] of Object.entries(attributes)) {
+            this.setAttribute(key, value);
+        }
+        return this;
+    }
+
+    updateName(name) {
+        this.name = name;
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: nowNanos(), attributes });
+        return this;
+    }
+
+    recordException(error) {
+        return this.addEvent('exception', {
+            'exception.type': error.code || error.name,
+            'exception.message': error.message
+        });
+    }
+
+    setStatus(status) {
+        this.status = status;
+        return this;
+    }
+
+    end() {
+        if (this.endTime !== null) {
+            return;
+        }
+        this.endTime = nowNanos();
+        this.tracer.onEnd(this);
+    }
+
+    /**
+     * W3C traceparent value for calls made as part of this span.
+     */
+    toTraceparent() {
+        return `00-${this.traceId}-${this.spanId}-${this.traceFlags.toString(16).padStart(2, '0')}`;
+    }
+}
+
+class Tracer {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+        this.processor = null;
+        this.sampleRatio = 1;
+    }
+
+    /**
+     * Start exporting spans through `processor` (null stops exporting).
+     * `sampleRatio` is the share of new traces to record; traces that
+     * arrive with a traceparent keep the caller's sampling decision.
+     */
+    configure({ processor = null, sampleRatio = 1 } = {}) {
+        const previous = this.processor;
+        this.processor = processor;
+        this.sampleRatio = sampleRatio;
+        return previous && previous !== processor ? previous.shutdown() : Promise.resolve();
+    }
+
+    get enabled() {
+        return this.processor !== null;
+    }
+
+    sampleRoot() {
+        return this.enabled && Math.random() < this.sampleRatio ? SAMPLED : 0;
+    }
+
+    activeSpan() {
+        return this.storage.getStore();
+    }
+
+    /**
+     * A span that is a child of `parent`: a span, a context extracted from
+     * headers, or by default the active span.
+     */
+    startSpan(name, { parent = this.activeSpan(), ...options } = {}) {
+        return new Span(this, name, { ...options, parent });
+    }
+
+    withSpan(span, fn) {
+        return this.storage.run(span, fn);
+    }
+
+    /**
+     * Run `fn(span)` in a new active span and end it when `fn` settles.
+     * Errors are recorded on the span and rethrown.
+     */
+    async trace(name, options, fn) {
+        const span = this.startSpan(name, options);
+        try {
+            return await this.withSpan(span, () => fn(span));
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: STATUS_CODE.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    /**
+     * `trace` for synchronous work.
+     */
+    traceSync(name, options, fn) {
+        const span = this.startSpan(name, options);
+        try {
+            return this.withSpan(span, () => fn(span));
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: STATUS_CODE.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    /**
+     * Trace context from incoming headers, or null when there is none or
+     * it is malformed.
+     */
+    extract(headers) {
+        const match = TRACEPARENT.exec(String(headers.traceparent || '').trim().toLowerCase());
+        if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+            return null;
+        }
+        return {
+            traceId: match[2],
+            spanId: match[3],
+            traceFlags: parseInt(match[4], 16) & SAMPLED,
+            traceState: headers.tracestate || undefined
+        };
+    }
+
+    /**
+     * Headers that carry the context of `span` (default: the active span)
+     * to another service.
+     */
+    inject(span = this.activeSpan()) {
+        if (!span) {
+            return {};
+        }
+        return {
+            traceparent: span.toTraceparent(),
+            ...(span.traceState ? { tracestate: span.traceState } : {})
+        };
+    }
+
+    onEnd(span) {
+        if (this.processor && span.sampled) {
+            this.processor.onEnd(span);
+        }
+    }
+
+    shutdown() {
+        return this.processor ? this.processor.shutdown() : Promise.resolve();
+    }
+}
+
+const tracer = new Tracer();
+
+module.exports = { tracer, Tracer, Span, SPAN_KIND, STATUS_CODE };
@@ -0,0 +1,223 @@
+const { UpstreamError } = require('./errors');
+const { parseEventStream } = require('./sse');
+const { parseDuration } = require('./utils');
+const { tracer, SPAN_KIND } = require('./tracing');
+
+/**
+ * Upstream Client
+ *
+ * Minimal client for OpenAI-compatible model services. The base URL and
+ * credentials come from the `upstream` block of a service in gateway.json,
+ * so any compatible server - including scripts/mock-upstream.js - can be
+ * swapped in without code changes.
+ *
+ * Every call is a client span, and carries its W3C trace context to the
+ * upstream in a `traceparent` header.
+ */
+class UpstreamClient {
+    constructor(name, { baseUrl, apiKey, timeoutMs = 60000, headers = {} }) {
+        if (!baseUrl) {
+            throw new Error(`Upstream "${name}" has no baseUrl configured`);
+        }
+
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        this.headers = headers;
+    }
+
+    static fromConfig(name, upstreamConfig = {}, env = process.env) {
+        return new this(name, this.resolveOptions(upstreamConfig, env));
+    }
+
+    static resolveOptions(upstreamConfig, env) {
+        return {
+            baseUrl: (upstreamConfig.baseUrlEnv && env[upstreamConfig.baseUrlEnv]) || upstreamConfig.baseUrl,
+            apiKey: upstreamConfig.apiKeyEnv ? env[upstreamConfig.apiKeyEnv] : undefined,
+            timeoutMs: parseDuration(upstreamConfig.timeout, 60000),
+            headers: upstreamConfig.headers || {}
+        };
+    }
+
+    /**
+     * `headers` are added to this request only, such as the X-Request-Id
+     * of the gateway request it serves.
+     */
+    async chatCompletion(body, { headers } = {}) {
+        const payload = await this.request(this.chatPath(body.model), this.chatBody(body), { headers });
+        return this.normalizeCompletion(payload, body.model);
+    }
+
+    /**
+     * Open a streaming chat completion. Resolves once the upstream has
+     * accepted the request, with an async iterable of parsed completion
+     * chunks; upstream errors reject before any chunk is produced.
+     */
+    async streamChatCompletion(body, { signal, headers } = {}) {
+        const events = await this.stream(this.chatPath(body.model), this.chatBody({
+            ...body,
+            stream: true,
+            stream_options: { ...body.stream_options, include_usage: true }
+        }), { signal, headers });
+        return this.readChunks(events, body.model);
+    }
+
+    async *readChunks(events, model) {
+        for await (const event of events) {
+            if (event.data === '[DONE]') {
+                return;
+            }
+            const chunk = this.normalizeChunk(JSON.parse(event.data), model);
+            if (chunk) {
+                yield chunk;
+            }
+        }
+    }
+
+    chatPath(model) {
+        return '/chat/completions';
+    }
+
+    chatBody(body) {
+        return body;
+    }
+
+    normalizeCompletion(payload, model) {
+        return payload;
+    }
+
+    normalizeChunk(chunk, model) {
+        return chunk;
+    }
+
+    buildUrl(path) {
+        return `${this.baseUrl}${path}`;
+    }
+
+    /**
+     * What the health checker requests to see that the upstream is up and
+     * accepts the gateway's credentials.
+     */
+    healthCheck() {
+        return {
+            url: this.buildUrl(this.healthPath()),
+            headers: { ...this.headers, ...this.authHeaders() }
+        };
+    }
+
+    healthPath() {
+        return '/models';
+    }
+
+    authHeaders() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    request(path, body, { headers } = {}) {
+        return tracer.trace(`POST ${path}`, this.spanOptions(path, body), async span => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+            try {
+                const response = await this.post(path, body, controller.signal, headers);
+                span.setAttribute('http.response.status_code', response.status);
+                const payload = await this.readPayload(response);
+                if (!response.ok) {
+                    throw UpstreamError.fromResponse(this.name, response, payload);
+                }
+                return payload;
+            } catch (error) {
+                throw this.mapFetchError(error);
+            } finally {
+                clearTimeout(timer);
+            }
+        });
+    }
+
+    /**
+     * The span of a stream ends once the upstream has answered; the
+     * events that follow belong to the gateway request.
+     */
+    stream(path, body, { signal, headers } = {}) {
+        return tracer.trace(`POST ${path}`, this.spanOptions(path, body), async span => {
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            signal?.addEventListener('abort', abort, { once: true });
+
+            // The timeout covers the wait for response headers only; a stream
+            // may legitimately stay open for much longer than that.
+            const timer = setTimeout(abort, this.timeoutMs);
+
+            let response;
+            try {
+                response = await this.post(path, body, controller.signal, headers);
+                span.setAttribute('http.response.status_code', response.status);
+                if (!response.ok) {
+                    const payload = await this.readPayload(response);
+                    throw UpstreamError.fromResponse(this.name, response, payload);
+                }
+            } catch (error) {
+                signal?.removeEventListener('abort', abort);
+                throw signal?.aborted ? UpstreamError.clientClosed(this.name) : this.mapFetchError(error);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            return parseEventStream(response.body);
+        });
+    }
+
+    spanOptions(path, body) {
+        const url = new URL(this.buildUrl(path));
+        return {
+            kind: SPAN_KIND.CLIENT,
+            attributes: {
+                'http.request.method': 'POST',
+                'server.address': url.hostname,
+                'url.full': `${url.origin}${url.pathname}`,
+                'gen_ai.request.model': body.model,
+                'regimai.upstream': this.name
+            }
+        };
+    }
+
+    async post(path, body, signal, headers = {}) {
+        return fetch(this.buildUrl(path), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.headers,
+                ...headers,
+                ...tracer.inject(),
+                ...this.authHeaders()
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+    }
+
+    mapFetchError(error) {
+        if (error instanceof UpstreamError) {
+            return error;
+        }
+        if (error.name === 'AbortError') {
+            return UpstreamError.timeout(this.name, this.timeoutMs);
+        }
+        return UpstreamError.unavailable(this.name, error);
+    }
+
+    async readPayload(response) {
+        const text = await response.text();
+        if (!text) {
+            return {};
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return { error: { message: text.slice(0, 500) } };
+        }
+    }
+}
+
+module.exports = UpstreamClient;
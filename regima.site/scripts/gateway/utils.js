@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * Gateway Utilities
+ *
+ * Small parsing helpers for the human-friendly values used in gateway.json.
+ */
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30s", "500ms", "5m", "30d" or a plain number of
+ * milliseconds into milliseconds.
+ */
+function parseDuration(value, fallback) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+const RATE_WINDOWS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a rate such as "1000/hour" or "50/minute" into
+ * { limit, windowMs }.
+ */
+function parseRate(value) {
+    const match = String(value).trim().match(/^(\d+)\s*\/\s*(second|minute|hour|day)$/);
+    if (!match) {
+        throw new Error(`Invalid rate: ${value}`);
+    }
+    return { limit: parseInt(match[1], 10), windowMs: RATE_WINDOWS[match[2]] };
+}
+
+/**
+ * Rough token estimate (about four characters per token) for responses
+ * whose upstream did not report usage.
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Short, stable identifier for a secret such as an API key, safe to write
+ * to logs and audit entries.
+ */
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+}
+
+// Field names that hold credentials. Fields naming the environment variable
+// a credential is read from (`apiKeyEnv`, `secret-env`) are not secret.
+const SECRET_FIELD = /secret|password|passwd|token|api-?key|credential|connection-?string|private-?key/i;
+const ENV_REFERENCE = /(Env|-env)$/;
+
+/**
+ * Copy of a configuration value with credentials replaced by "[REDACTED]",
+ * including passwords embedded in URLs.
+ */
+function redactSecrets(value, field = '') {
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item, field));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, key)]));
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (SECRET_FIELD.test(field) && !ENV_REFERENCE.test(field)) {
+        return '[REDACTED]';
+    }
+    return value.replace(/(\b[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+):[^/\s@]+@/gi, '$1:[REDACTED]@');
+}
+
+module.exports = { parseDuration, parseRate, estimateTokens, fingerprint, redactSecrets };
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+const fs = require('fs-extra');
+const path = require('path');
+const ApiKeyStore = require('./gateway/key-store');
+const TokenVerifier = require('./gateway/token-verifier');
+
+/**
+ * API Key Management CLI
+ *
+ * Works on the same key store as the gateway (API_KEY_STORE, default
+ * data/api-keys.json), mainly to create the first admin key:
+ *
+ *   npm run keys -- create --owner ops --role admin
+ *   npm run keys -- create --owner clinic --role clinician --services dermatology-assistant,openai --expires-in 90d
+ *   npm run keys -- list [--all]
+ *   npm run keys -- rotate <id>
+ *   npm run keys -- revoke <id>
+ *
+ * It also mints bearer tokens from the gateway's local issuer (needs the
+ * issuer's secret, e.g. GATEWAY_JWT_SECRET):
+ *
+ *   npm run keys -- token --subject dr-naidoo --role clinician --tenant clinic-7 --expires-in 1h
+ */
+class KeyManager {
+    constructor() {
+        this.store = new ApiKeyStore(process.env.API_KEY_STORE || path.join(__dirname, '..', 'data', 'api-keys.json'));
+    }
+
+    static parseArgs(args) {
+        const options = {};
+        const positional = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i].startsWith('--')) {
+                const name = args[i].slice(2);
+                const next = args[i + 1];
+                options[name] = next === undefined || next.startsWith('--') ? true : args[++i];
+            } else {
+                positional.push(args[i]);
+            }
+        }
+        return { positional, options };
+    }
+
+    async run(argv) {
+        const [command, ...rest] = argv;
+        const { positional, options } = KeyManager.parseArgs(rest);
+        await this.store.load();
+
+        switch (command) {
+            case 'create': {
+                const quotas = {};
+                if (options.requests) {
+                    quotas.requests = options.requests;
+                }
+                if (options['tokens-per-minute']) {
+                    quotas.tokensPerMinute = parseInt(options['tokens-per-minute'], 10);
+                }
+                const { key, record } = await this.store.create({
+                    owner: options.owner,
+                    role: options.role,
+                    services: options.services ? options.services.split(',') : undefined,
+                    quotas,
+                    expiresIn: options['expires-in'],
+                    description: options.description
+                });
+                this.printCreated(key, record);
+                break;
+            }
+            case 'rotate': {
+                const { key, record } = await this.store.rotate(positional[0], { expiresIn: options['expires-in'] });
+                this.printCreated(key, record);
+                break;
+            }
+            case 'revoke': {
+                const record = await this.store.revoke(positional[0]);
+                console.log(`🗑️  Revoked ${record.id} (${record.owner})`);
+                break;
+            }
+            case 'token': {
+                const config = await fs.readJson(path.join(__dirname, '..', 'config', 'gateway.json'));
+                const verifier = await new TokenVerifier(config.authentication?.jwt).load();
+                const claims = { sub: options.subject, role: options.role };
+                if (options.tenant) {
+                    claims.tenant = options.tenant;
+                }
+                if (options.services) {
+                    claims.services = options.services.split(',');
+                }
+                if (!claims.sub) {
+                    throw new Error('--subject is required');
+                }
+                console.log(verifier.sign(claims, { expiresIn: options['expires-in'] }));
+                break;
+            }
+            case 'list':
+                console.table(this.store.list({ includeRevoked: Boolean(options.all) }).map(record => ({
+                    id: record.id,
+                    prefix: record.prefix,
+                    owner: record.owner,
+                    role: record.role,
+                    services: record.services.join(','),
+                    expiresAt: record.expiresAt || '-',
+                    revokedAt: record.revokedAt || '-'
+                })));
+                break;
+            default:
+                console.log('Usage: npm run keys -- <create|list|rotate|revoke|token> [options]');
+                process.exitCode = 1;
+        }
+    }
+
+    printCreated(key, record) {
+        console.log(`🔑 ${record.id} for ${record.owner} (${record.role})`);
+        console.log(`   ${key}`);
+        console.log('   Store this key now; it cannot be shown again.');
+    }
+}
+
+if (require.main === module) {
+    new KeyManager().run(process.argv.slice(2)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = KeyManager;
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+const express = require('express');
+
+/**
+ * Mock Upstream Server
+ *
+ * OpenAI-compatible stand-in for the gateway's model upstreams. Point an
+ * upstream at it with e.g. OPENAI_BASE_URL=http://localhost:8090/v1 or
+ * AZURE_OPENAI_ENDPOINT=http://localhost:8090.
+ *
+ * Like tools/mock-server, a request can ask for a simulated failure or delay
+ * with a `simulation` field: { "response_status_code": 429, "wait_time_ms": 500 }.
+ * `"echo": true` answers with the last message instead of a canned reply,
+ * which shows what the gateway actually forwarded.
+ * Settings can also be keyed by hostname, with a "default" entry, so one mock
+ * reached as localhost and 127.0.0.1 can play two backends of a pool.
+ */
+class MockUpstreamServer {
+    constructor() {
+        this.app = express();
+        this.port = process.env.MOCK_UPSTREAM_PORT || 8090;
+
+        this.app.use(express.json({ limit: '10mb' }));
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.app.get('/', (req, res) => {
+            res.json({ message: 'RegimAI mock upstream is running' });
+        });
+
+        // Model lists, which the gateway's health checks request
+        this.app.get('/v1/models', this.handleModels.bind(this));
+        this.app.get('/openai/models', (req, res) => {
+            if (!req.headers['api-key'] && !req.headers.authorization) {
+                return res.status(401).json({ error: { code: '401', message: 'Access denied due to missing credentials' } });
+            }
+            this.handleModels(req, res);
+        });
+
+        this.app.post('/v1/chat/completions', (req, res) => {
+            this.handleChatCompletion(req, res, req.body.model);
+        });
+        this.app.post('/openai/deployments/:deployment/chat/completions', this.handleAzureChatCompletion.bind(this));
+    }
+
+    handleModels(req, res) {
+        res.json({
+            object: 'list',
+            data: ['gpt-4', 'gpt-3.5-turbo'].map(id => ({ id, object: 'model', owned_by: 'mock' }))
+        });
+    }
+
+    handleAzureChatCompletion(req, res) {
+        if (!req.query['api-version']) {
+            return res.status(404).json({ error: { code: '404', message: 'api-version query parameter is required' } });
+        }
+        if (!req.headers['api-key'] && !req.headers.authorization) {
+            return res.status(401).json({ error: { code: '401', message: 'Access denied due to missing credentials' } });
+        }
+
+        // Azure prefixes its responses with content filter annotations
+        this.handleChatCompletion(req, res, req.params.deployment, {
+            prompt_filter_results: [{ prompt_index: 0, content_filter_results: {} }]
+        });
+    }
+
+    async handleChatCompletion(req, res, model = 'mock-model', extras = {}) {
+        const simulation = this.resolveSimulation(req);
+        res.set('x-ms-region', req.hostname);
+
+        if (simulation.wait_time_ms > 0) {
+            await new Promise(resolve => setTimeout(resolve, simulation.wait_time_ms));
+        }
+
+        const status = simulation.response_status_code || 200;
+        if (status >= 400) {
+            if (status === 429) {
+                res.set('Retry-After', '5');
+            }
+            return res.status(status).json({
+                error: { code: String(status), message: `Simulated upstream error ${status}` }
+            });
+        }
+
+        if (!Array.isArray(req.body.messages)) {
+            return res.status(400).json({ error: { code: '400', message: 'messages is required' } });
+        }
+
+        const lastMessage = req.body.messages[req.body.messages.length - 1];
+        const content = simulation.echo && typeof lastMessage?.content === 'string'
+            ? lastMessage.content
+            : `Mock response from ${model}`;
+        const promptTokens = this.estimateTokens(req.body.messages.map(message => message.content).join(' '));
+        const completionTokens = this.estimateTokens(content);
+        const usage = {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+
+        if (req.body.stream) {
+            return this.streamCompletion(req, res, model, content, usage, extras);
+        }
+
+        res.json({
+            ...extras,
+            id: `chatcmpl-mock-${Date.now()}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }],
+            usage
+        });
+    }
+
+    async streamCompletion(req, res, model, content, usage, extras) {
+        const base = {
+            id: `chatcmpl-mock-${Date.now()}`,
+            object: 'chat.completion.chunk',
+            created: Math.floor(Date.now() / 1000),
+            model
+        };
+        const send = data => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        res.flushHeaders();
+
+        if (Object.keys(extras).length > 0) {
+            send({ ...extras, ...base, choices: [] });
+        }
+        send({ ...base, choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }] });
+        for (const word of content.split(/(?= )/)) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            send({ ...base, choices: [{ index: 0, delta: { content: word }, finish_reason: null }] });
+        }
+        send({ ...base, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+
+        if (req.body.stream_options?.include_usage) {
+            send({ ...base, choices: [], usage });
+        }
+        send('[DONE]');
+        res.end();
+    }
+
+    resolveSimulation(req) {
+        const simulation = req.body.simulation || {};
+        return simulation[req.hostname] || simulation.default || simulation;
+    }
+
+    estimateTokens(text) {
+        // Roughly four characters per token, as in OpenAI's guidance
+        return Math.max(1, Math.ceil(String(text || '').length / 4));
+    }
+
+    start() {
+        return this.app.listen(this.port, () => {
+            console.log(`🧪 Mock upstream running at http://localhost:${this.port}`);
+            console.log(`   OpenAI: OPENAI_BASE_URL=http://localhost:${this.port}/v1`);
+            console.log(`   Azure OpenAI: AZURE_OPENAI_ENDPOINT=http://localhost:${this.port}`);
+        });
+    }
+}
+
+if (require.main === module) {
+    const server = new MockUpstreamServer();
+    server.start();
+}
+
+module.exports = MockUpstreamServer;
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Test Runner
+ *
+ * Runs every *.test.js file under test/ with Node's built-in test runner
+ * and exits with its status. Pass file paths to run only those.
+ *
+ *   npm test
+ *   npm test -- test/gateway/rate-limiter.test.js
+ */
+const TEST_DIR = path.join(__dirname, '..', 'test');
+
+function findTests(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return findTests(entryPath);
+        }
+        return entry.name.endsWith('.test.js') ? [entryPath] : [];
+    }).sort();
+}
+
+function main(files) {
+    const tests = files.length > 0 ? files : findTests(TEST_DIR);
+    if (tests.length === 0) {
+        console.error(`No tests found in ${TEST_DIR}`);
+        return 1;
+    }
+
+    const result = spawnSync(process.execPath, ['--test', ...tests], { stdio: 'inherit' });
+    if (result.error) {
+        console.error(`Failed to run the tests: ${result.error.message}`);
+        return 1;
+    }
+    return result.status ?? 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const AuditTrail = require('./gateway/audit-trail');
+
+/**
+ * Audit Trail Verification
+ *
+ * Checks the hash chain of the gateway's audit log (AUDIT_LOG_PATH, default
+ * logs/audit.jsonl, or the file given) and reports edited, deleted and
+ * reordered entries. Exits with status 1 when the log fails verification.
+ *
+ *   npm run verify-audit
+ *   npm run verify-audit -- /var/log/regimai/audit.jsonl
+ */
+async function main([filePath = process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'logs', 'audit.jsonl')]) {
+    const result = await AuditTrail.verify(filePath);
+
+    if (result.valid) {
+        console.log(`✅ ${filePath}: ${result.entries} entr${result.entries === 1 ? 'y' : 'ies'}, hash chain intact`);
+        if (!result.head) {
+            console.log('   No head file was found, so entries removed from the end cannot be detected.');
+        }
+        return;
+    }
+
+    console.error(`❌ ${filePath}: ${result.problems.length} problem${result.problems.length === 1 ? '' : 's'} in ${result.entries} entries`);
+    for (const problem of result.problems) {
+        const where = problem.line ? `line ${problem.line}${problem.seq ? ` (seq ${problem.seq})` : ''} ` : '';
+        console.error(`   - ${where}${problem.message}`);
+    }
+    process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AccessControl = require('../../scripts/gateway/access-control');
+const { startGateway } = require('../helpers/gateway');
+const config = require('../../config/gateway.json');
+
+const ROLES = config['access-control'].roles;
+const KNOWLEDGE_GRAPH = config.services['data-services']['knowledge-graph'];
+
+function rejectsWith(action, status, code) {
+    assert.throws(action, error => {
+        assert.equal(error.status, status);
+        assert.equal(error.code, code);
+        return true;
+    });
+}
+
+describe('AccessControl', () => {
+    const accessControl = new AccessControl(ROLES);
+    const practitioner = { role: 'practitioner', services: ['*'] };
+
+    it('grants the services and capabilities a role inherits', () => {
+        assert.ok(accessControl.canUseService('clinician', 'skincare-consultant'));
+        assert.ok(accessControl.canUseCapability('clinician', 'relationship-queries'));
+        assert.ok(!accessControl.canUseService('consumer', 'dermatology-assistant'));
+        assert.deepEqual(accessControl.rolesAllowed('dermatology-assistant'), ['clinician', 'admin']);
+    });
+
+    it('checks a selected capability against the service and the role', () => {
+        accessControl.authorize(practitioner, 'knowledge-graph', KNOWLEDGE_GRAPH, 'relationship-queries');
+        rejectsWith(() => accessControl.authorize(practitioner, 'knowledge-graph', KNOWLEDGE_GRAPH, 'inference-reasoning'),
+            403, 'CAPABILITY_FORBIDDEN');
+        rejectsWith(() => accessControl.authorize(practitioner, 'knowledge-graph', KNOWLEDGE_GRAPH, 'mind-reading'),
+            400, 'UNKNOWN_CAPABILITY');
+    });
+
+    it('requires every capability of a service when the request selects none', () => {
+        assert.throws(() => accessControl.authorize(practitioner, 'knowledge-graph', KNOWLEDGE_GRAPH), error => {
+            assert.equal(error.code, 'CAPABILITY_FORBIDDEN');
+            assert.deepEqual(error.details.missing, ['inference-reasoning']);
+            assert.deepEqual(error.details.capabilities, ['relationship-queries']);
+            return true;
+        });
+        accessControl.authorize({ role: 'clinician' }, 'knowledge-graph', KNOWLEDGE_GRAPH);
+    });
+});
+
+describe('role-based access to service routes', () => {
+    let gateway;
+    let consumerKey;
+    let practitionerKey;
+
+    before(async () => {
+        gateway = await startGateway();
+        consumerKey = await gateway.createKey({ role: 'consumer' });
+        practitionerKey = await gateway.createKey({ role: 'practitioner' });
+    });
+
+    after(() => gateway.close());
+
+    it('keeps a role away from a service it is not granted, whatever the spelling of its path', async () => {
+        const body = { query: 'Is tretinoin safe with benzoyl peroxide?' };
+        const forbidden = await gateway.request('/agents/dermatology-assistant', { method: 'POST', body, key: consumerKey });
+        assert.equal(forbidden.status, 403);
+        assert.equal(forbidden.body.error.code, 'SERVICE_FORBIDDEN');
+
+        for (const variant of ['/AGENTS/dermatology-assistant', '/agents/dermatology-assistant/']) {
+            const response = await gateway.request(variant, { method: 'POST', body, key: consumerKey });
+            assert.equal(response.status, 404, variant);
+            assert.equal(response.body.error.code, 'ROUTE_NOT_FOUND');
+        }
+    });
+
+    it('answers paths under a service prefix that no service serves with a 404', async () => {
+        const response = await gateway.request('/tools/unknown-tool', { method: 'POST', body: {}, key: consumerKey });
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error.code, 'ROUTE_NOT_FOUND');
+
+        const listing = await gateway.request('/tools/available', { key: consumerKey });
+        assert.equal(listing.status, 200);
+    });
+
+    it('rejects a request that selects no capability when the role lacks some of them', async () => {
+        const body = { query: 'retinol', limit: 5 };
+        const unselected = await gateway.request('/data/knowledge/query', { method: 'POST', body, key: practitionerKey });
+        assert.equal(unselected.status, 403);
+        assert.equal(unselected.body.error.code, 'CAPABILITY_FORBIDDEN');
+        assert.deepEqual(unselected.body.error.details.missing, ['inference-reasoning']);
+
+        const selected = await gateway.request('/data/knowledge/query', {
+            method: 'POST',
+            body: { ...body, capability: 'relationship-queries' },
+            key: practitionerKey
+        });
+        assert.equal(selected.status, 200);
+    });
+});
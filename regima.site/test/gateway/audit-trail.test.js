@@ -0,0 +1,174 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AuditTrail = require('../../scripts/gateway/audit-trail');
+
+describe('AuditTrail', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'regimai-audit-'));
+        file = path.join(dir, 'audit.jsonl');
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    async function writeEntries(count) {
+        const trail = await new AuditTrail(file).load();
+        for (let i = 0; i < count; i++) {
+            trail.record('config-reload', { by: 'admin' });
+        }
+        await trail.queue;
+        return trail;
+    }
+
+    async function readLines() {
+        return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    }
+
+    async function sideFiles(suffix) {
+        return (await fs.readdir(dir)).filter(name => name.endsWith(suffix));
+    }
+
+    it('chains appended entries and verifies them', async () => {
+        await writeEntries(3);
+
+        const entries = (await readLines()).map(line => JSON.parse(line));
+        assert.deepEqual(entries.map(entry => entry.seq), [1, 2, 3]);
+        assert.equal(entries[1].prevHash, entries[0].hash);
+        assert.deepEqual(await fs.readJson(`${file}.head`), {
+            seq: 3,
+            hash: entries[2].hash,
+            timestamp: entries[2].timestamp
+        });
+        assert.deepEqual(await AuditTrail.verify(file), {
+            valid: true,
+            entries: 3,
+            head: await fs.readJson(`${file}.head`),
+            problems: []
+        });
+    });
+
+    it('reports an edited entry and a removed last entry', async () => {
+        await writeEntries(3);
+        const lines = await readLines();
+        lines[1] = lines[1].replace('"by":"admin"', '"by":"intruder"');
+        await fs.writeFile(file, `${lines.slice(0, 2).join('\n')}\n`);
+
+        const { valid, problems } = await AuditTrail.verify(file);
+
+        assert.equal(valid, false);
+        assert.deepEqual(problems.map(problem => problem.message), [
+            'was modified after it was written',
+            'the log ends at seq 2 but the head records seq 3; entries were removed from the end'
+        ]);
+    });
+
+    it('does not let details override the fields it sets', async () => {
+        const trail = await new AuditTrail(file).load();
+        await trail.record('api-key-created', {
+            seq: 99,
+            timestamp: '2000-01-01T00:00:00.000Z',
+            type: 'forged',
+            prevHash: 'f'.repeat(64),
+            key: 'key_1'
+        });
+
+        const [entry] = (await readLines()).map(line => JSON.parse(line));
+        assert.equal(entry.seq, 1);
+        assert.equal(entry.type, 'api-key-created');
+        assert.notEqual(entry.timestamp, '2000-01-01T00:00:00.000Z');
+        assert.equal(entry.key, 'key_1');
+        assert.equal((await AuditTrail.verify(file)).valid, true);
+    });
+
+    it('continues the chain of an existing log', async () => {
+        await writeEntries(2);
+
+        const trail = await writeEntries(1);
+
+        assert.equal(trail.seq, 3);
+        assert.equal((await AuditTrail.verify(file)).valid, true);
+    });
+
+    it('quarantines a line cut short and continues from the last intact entry', async () => {
+        await writeEntries(2);
+        const intact = await fs.readFile(file, 'utf8');
+        await fs.appendFile(file, '{"seq":3,"timestamp":"2026-');
+
+        const trail = await new AuditTrail(file).load();
+
+        assert.equal(trail.seq, 2);
+        assert.equal(await fs.readFile(file, 'utf8'), intact);
+        const [quarantined] = await sideFiles('.quarantined');
+        assert.equal(await fs.readFile(path.join(dir, quarantined), 'utf8'), '{"seq":3,"timestamp":"2026-');
+
+        await trail.record('config-reload', {});
+        assert.deepEqual((await readLines()).map(line => JSON.parse(line).seq), [1, 2, 3]);
+        assert.equal((await AuditTrail.verify(file)).valid, true);
+    });
+
+    it('accepts a head one entry behind, as left by a crash after the append', async () => {
+        await writeEntries(2);
+        const [first] = (await readLines()).map(line => JSON.parse(line));
+        await fs.writeJson(`${file}.head`, { seq: 1, hash: first.hash, timestamp: first.timestamp });
+
+        const trail = await new AuditTrail(file).load();
+
+        assert.equal(trail.seq, 2);
+    });
+
+    it('refuses to load a log whose last entries were cut off', async () => {
+        await writeEntries(3);
+        const lines = await readLines();
+        await fs.writeFile(file, `${lines[0]}\n${lines[1].slice(0, 40)}`);
+
+        await assert.rejects(new AuditTrail(file).load(), /ends at seq 1 but its head records seq 3/);
+        assert.deepEqual(await sideFiles('.quarantined'), []);
+        assert.equal(await fs.readFile(file, 'utf8'), `${lines[0]}\n${lines[1].slice(0, 40)}`);
+    });
+
+    it('refuses to load when the log is gone but its head is not', async () => {
+        await writeEntries(1);
+        await fs.remove(file);
+
+        await assert.rejects(new AuditTrail(file).load(), /ends at seq 0 but its head records seq 1/);
+    });
+
+    it('refuses to load a last entry replaced by another chain', async () => {
+        await writeEntries(2);
+        const lines = await readLines();
+        const other = path.join(dir, 'other.jsonl');
+        const otherTrail = await new AuditTrail(other).load();
+        await otherTrail.record('config-reload', {});
+        await otherTrail.record('config-reload', {});
+        const replacement = (await fs.readFile(other, 'utf8')).split('\n')[1];
+        await fs.writeFile(file, `${lines[0]}\n${replacement}\n`);
+
+        await assert.rejects(new AuditTrail(file).load(), /head records seq 2/);
+    });
+
+    it('moves a log written before chaining aside', async () => {
+        await fs.writeFile(file, '{"timestamp":"2025-01-01T00:00:00Z","type":"config-reload"}\n');
+
+        const trail = await new AuditTrail(file).load();
+
+        assert.equal(trail.seq, 0);
+        assert.equal(await fs.pathExists(file), false);
+        assert.equal((await sideFiles('.unchained')).length, 1);
+    });
+
+    it('skips unreadable lines when querying and counts them', async () => {
+        const trail = await writeEntries(2);
+        await fs.appendFile(file, 'not json\n');
+
+        const result = await trail.query({ type: 'config-reload' });
+
+        assert.equal(result.matched, 2);
+        assert.equal(result.unreadable, 1);
+        assert.deepEqual(result.head, { seq: 2, hash: trail.lastHash });
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('../helpers/gateway');
+
+const ADVICE = { skinType: 'oily' };
+
+describe('API key authentication', () => {
+    let gateway;
+    let limitedKey;
+
+    before(async () => {
+        gateway = await startGateway();
+        limitedKey = await gateway.createKey({ services: ['skincare-consultant'] });
+    });
+
+    after(() => gateway.close());
+
+    it('requires a valid API key', async () => {
+        const missing = await gateway.request('/agents/product-advisor', { method: 'POST', body: ADVICE });
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.error.code, 'AUTHENTICATION_REQUIRED');
+
+        const unknown = await gateway.request('/agents/product-advisor', { method: 'POST', body: ADVICE, key: 'regima_unknown' });
+        assert.equal(unknown.status, 403);
+        assert.equal(unknown.body.error.code, 'INVALID_API_KEY');
+    });
+
+    it('keeps a key limited to some services away from the others', async () => {
+        const allowed = await gateway.request('/agents/skincare-consultant', {
+            method: 'POST',
+            key: limitedKey,
+            body: { skinType: 'oily', concerns: ['acne'] }
+        });
+        assert.equal(allowed.status, 200);
+
+        const other = await gateway.request('/agents/product-advisor', { method: 'POST', body: ADVICE, key: limitedKey });
+        assert.equal(other.status, 403);
+        assert.equal(other.body.error.code, 'SERVICE_NOT_ALLOWED');
+    });
+
+    it('does not serve another spelling of a service path to a limited key', async () => {
+        for (const variant of ['/AGENTS/product-advisor', '/agents/Product-Advisor', '/agents/product-advisor/']) {
+            const response = await gateway.request(variant, { method: 'POST', body: ADVICE, key: limitedKey });
+            assert.equal(response.status, 404, variant);
+        }
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const CircuitBreaker = require('../../scripts/gateway/circuit-breaker');
+const UpstreamClient = require('../../scripts/gateway/upstream-client');
+const { UpstreamError } = require('../../scripts/gateway/errors');
+
+const unavailable = () => UpstreamError.unavailable('openai', new Error('ECONNREFUSED'));
+const badRequest = () => new UpstreamError(400, 'UPSTREAM_BAD_REQUEST', 'bad', { upstreamStatus: 400 });
+
+function breakerWithClock(options) {
+    const clock = { now: 0 };
+    const breaker = new CircuitBreaker('openai-primary', { now: () => clock.now, ...options });
+    const transitions = [];
+    breaker.on('state-change', (from, to) => transitions.push(`${from}->${to}`));
+    return { breaker, clock, transitions };
+}
+
+const fail = (breaker, error) => assert.rejects(breaker.execute(() => Promise.reject(error)));
+
+describe('CircuitBreaker', () => {
+    it('opens after failureThreshold consecutive failures and then fails fast', async () => {
+        const { breaker, transitions } = breakerWithClock({ failureThreshold: 3, recoveryTimeoutMs: 1000 });
+
+        await fail(breaker, unavailable());
+        await fail(breaker, unavailable());
+        assert.equal(breaker.state, 'closed');
+        await fail(breaker, unavailable());
+        assert.equal(breaker.state, 'open');
+        assert.deepEqual(transitions, ['closed->open']);
+
+        let called = false;
+        await assert.rejects(breaker.execute(async () => { called = true; }), { code: 'CIRCUIT_OPEN', retryAfter: 1 });
+        assert.equal(called, false);
+    });
+
+    it('resets the failure count on success and ignores client errors', async () => {
+        const { breaker } = breakerWithClock({ failureThreshold: 2 });
+
+        await fail(breaker, unavailable());
+        await breaker.execute(async () => 'ok');
+        await fail(breaker, unavailable());
+        await fail(breaker, badRequest());
+        await fail(breaker, unavailable());
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.failures, 1);
+    });
+
+    it('counts 429, 5xx and timeouts as failures', () => {
+        assert.equal(CircuitBreaker.isFailure({ upstreamStatus: 429 }), true);
+        assert.equal(CircuitBreaker.isFailure({ upstreamStatus: 503 }), true);
+        assert.equal(CircuitBreaker.isFailure(UpstreamError.timeout('openai', 10)), true);
+        assert.equal(CircuitBreaker.isFailure(badRequest()), false);
+        assert.equal(CircuitBreaker.isFailure(UpstreamError.clientClosed('openai')), false);
+    });
+
+    it('lets a single trial through after the recovery timeout and closes on success', async () => {
+        const { breaker, clock, transitions } = breakerWithClock({ failureThreshold: 1, recoveryTimeoutMs: 1000 });
+        await fail(breaker, unavailable());
+
+        clock.now = 1000;
+        let release;
+        const trial = breaker.execute(() => new Promise(resolve => { release = resolve; }));
+        assert.equal(breaker.state, 'half-open');
+        await assert.rejects(breaker.execute(async () => 'second'), { code: 'CIRCUIT_OPEN' });
+
+        release('ok');
+        assert.equal(await trial, 'ok');
+        assert.equal(breaker.state, 'closed');
+        assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+    });
+
+    it('re-opens when the trial call fails', async () => {
+        const { breaker, clock } = breakerWithClock({ failureThreshold: 1, recoveryTimeoutMs: 1000 });
+        await fail(breaker, unavailable());
+
+        clock.now = 1500;
+        await fail(breaker, unavailable());
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.availableIn(), 1000);
+        clock.now = 2000;
+        assert.equal(breaker.availableIn(), 500);
+    });
+
+    it('does not count calls the client abandoned', async () => {
+        const { breaker, clock } = breakerWithClock({ failureThreshold: 1, recoveryTimeoutMs: 1000 });
+
+        await fail(breaker, UpstreamError.clientClosed('openai'));
+        assert.equal(breaker.state, 'closed');
+
+        await fail(breaker, unavailable());
+        clock.now = 1000;
+        await fail(breaker, UpstreamError.clientClosed('openai'));
+        assert.equal(breaker.state, 'half-open');
+        // The abandoned trial frees the slot for the next one
+        assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+        assert.equal(breaker.state, 'closed');
+    });
+});
+
+describe('UpstreamClient client disconnects', () => {
+    it('reports a stream the caller aborted as CLIENT_CLOSED_REQUEST, not a timeout', async () => {
+        // Accepts requests and never answers
+        const server = http.createServer(() => {});
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const client = new UpstreamClient('openai', { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, timeoutMs: 5000 });
+        const breaker = new CircuitBreaker('openai-primary', { failureThreshold: 1 });
+
+        try {
+            const controller = new AbortController();
+            const call = breaker.execute(() => client.streamChatCompletion({ model: 'gpt-4', messages: [] }, { signal: controller.signal }));
+            setTimeout(() => controller.abort(), 50);
+
+            await assert.rejects(call, { code: 'CLIENT_CLOSED_REQUEST' });
+            assert.equal(breaker.state, 'closed');
+            assert.equal(breaker.failures, 0);
+        } finally {
+            server.closeAllConnections();
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,189 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ContentSafetyClassifier = require('../../scripts/gateway/content-safety');
+const contentSafetyRules = require('../../scripts/gateway/policies/content-safety');
+const { PolicyViolationError } = require('../../scripts/gateway/errors');
+const config = require('../../config/gateway.json');
+
+const POLICY = config.policies['content-safety'];
+const RULES = ['block-harmful-medical-advice', 'filter-inappropriate-content'];
+
+const audited = [];
+const rules = contentSafetyRules({
+    messageText: message => message.content,
+    auditTrail: { record: (type, details) => audited.push({ type, ...details }) }
+});
+
+function contextFor({ messages = [], service = {} } = {}) {
+    const headers = {};
+    audited.length = 0;
+    return {
+        serviceName: 'openai',
+        service,
+        body: { messages },
+        req: { id: 'req_1', user: { id: 'key_1' } },
+        res: { set: (name, value) => { headers[name] = value; } },
+        state: {},
+        streamed: false,
+        headers
+    };
+}
+
+async function runStage(stage, context) {
+    for (const rule of RULES) {
+        await rules[rule][stage](context, POLICY);
+    }
+}
+
+async function streamChunk(context, chunk) {
+    for (const rule of RULES) {
+        chunk = await rules[rule].stream(chunk, context, POLICY);
+        if (chunk === null) {
+            return null;
+        }
+    }
+    return chunk;
+}
+
+const delta = (content, index = 0) => ({ choices: [{ index, delta: { content }, finish_reason: null }] });
+
+describe('ContentSafetyClassifier', () => {
+    const classifier = new ContentSafetyClassifier(POLICY.categories);
+
+    it('matches whole words and requires context terms where configured', () => {
+        assert.deepEqual(classifier.classify('Is it unsuicidal?', 'filter-inappropriate-content'), []);
+        assert.equal(classifier.classify('I feel suicidal', 'filter-inappropriate-content')[0].category, 'self-harm');
+
+        const delay = 'There is no need to see a dermatologist about it';
+        assert.deepEqual(classifier.classify(delay, 'block-harmful-medical-advice'), []);
+        assert.equal(classifier.classify(`${delay}, the mole is fine`, 'block-harmful-medical-advice')[0].category, 'delayed-care');
+    });
+
+    it('blocks at the block severity and flags below it', () => {
+        const settings = { block: true, blockSeverity: 'high' };
+        const low = classifier.classify('this shit rash', 'filter-inappropriate-content');
+        const high = classifier.classify('take isotretinoin 40 mg daily', 'block-harmful-medical-advice');
+
+        assert.equal(ContentSafetyClassifier.verdict([], settings).verdict, 'allow');
+        assert.equal(ContentSafetyClassifier.verdict(low, settings).verdict, 'flag');
+        assert.equal(ContentSafetyClassifier.verdict(high, settings).verdict, 'block');
+        assert.equal(ContentSafetyClassifier.verdict(high, { block: false, blockSeverity: 'high' }).verdict, 'flag');
+    });
+});
+
+describe('content safety rules', () => {
+    it('rejects a harmful prompt with its categories and severity', async () => {
+        const context = contextFor({ messages: [{ role: 'user', content: 'How much accutane 80 mg can I take?' }] });
+
+        await assert.rejects(runStage('inbound', context), error => {
+            assert.ok(error instanceof PolicyViolationError);
+            assert.equal(error.status, 400);
+            assert.equal(error.code, 'CONTENT_BLOCKED');
+            assert.deepEqual(error.details.categories, [
+                { category: 'prescription-dosage', severity: 'high', rule: 'block-harmful-medical-advice' }
+            ]);
+            return true;
+        });
+        assert.equal(context.headers['X-Content-Safety'], 'block');
+
+        await runStage('onError', context);
+        assert.deepEqual(audited, [{
+            type: 'content-safety',
+            requestId: 'req_1',
+            caller: 'key_1',
+            service: 'openai',
+            rule: 'block-harmful-medical-advice',
+            streamed: false,
+            prompt: {
+                verdict: 'block',
+                severity: 'high',
+                categories: [{ category: 'prescription-dosage', severity: 'high', rule: 'block-harmful-medical-advice' }]
+            }
+        }]);
+    });
+
+    it('flags a prompt below the block severity and lets it through', async () => {
+        const context = contextFor({ messages: [{ role: 'user', content: 'This shit rash will not go away' }] });
+
+        await runStage('inbound', context);
+
+        assert.equal(context.headers['X-Content-Safety'], 'flag');
+    });
+
+    it('does not audit a call that nothing matched', async () => {
+        const context = contextFor({ messages: [{ role: 'user', content: 'What helps with dry skin?' }] });
+        await runStage('inbound', context);
+        context.response = { choices: [{ index: 0, message: { role: 'assistant', content: 'A ceramide cream' }, finish_reason: 'stop' }] };
+
+        await runStage('outbound', context);
+
+        assert.equal(context.response.content_safety.completion.verdict, 'allow');
+        assert.deepEqual(audited, []);
+    });
+
+    it('empties a blocked choice and annotates the completion', async () => {
+        const context = contextFor({ messages: [{ role: 'user', content: 'What helps with a mole?' }] });
+        await runStage('inbound', context);
+        context.response = {
+            choices: [
+                { index: 0, message: { role: 'assistant', content: 'Use black salve to remove it' }, finish_reason: 'stop' },
+                { index: 1, message: { role: 'assistant', content: 'Have a dermatologist look at it' }, finish_reason: 'stop' }
+            ]
+        };
+
+        await runStage('outbound', context);
+
+        assert.deepEqual(context.response.choices[0], {
+            index: 0,
+            message: { role: 'assistant', content: '' },
+            finish_reason: 'content_filter'
+        });
+        assert.equal(context.response.choices[1].message.content, 'Have a dermatologist look at it');
+        assert.equal(context.response.content_safety.prompt.verdict, 'allow');
+        assert.equal(context.response.content_safety.completion.verdict, 'block');
+    });
+
+    it('reports flagged matches of a stream on its final usage event, each category once', async () => {
+        const context = contextFor({ messages: [{ role: 'user', content: 'Why is my skin so dry?' }] });
+        await runStage('inbound', context);
+        context.streamed = true;
+
+        const sent = [];
+        for (const content of ['Dry ', 'shit', ' happens; ', 'more shit ', 'later']) {
+            sent.push(await streamChunk(context, delta(content)));
+        }
+        const usageEvent = await streamChunk(context, { choices: [], usage: { total_tokens: 12 } });
+
+        assert.equal(sent.map(chunk => chunk.choices[0].delta.content).join(''), 'Dry shit happens; more shit later');
+        assert.deepEqual(usageEvent.content_safety.completion, {
+            verdict: 'flag',
+            severity: 'low',
+            categories: [{ category: 'abusive-language', severity: 'low', rule: 'filter-inappropriate-content' }]
+        });
+        assert.equal(usageEvent.content_safety.prompt.verdict, 'allow');
+        assert.equal(usageEvent.usage.total_tokens, 12);
+
+        // Outbound runs once the stream has ended
+        await runStage('outbound', context);
+        assert.equal(audited.length, 1);
+        assert.equal(audited[0].rule, 'filter-inappropriate-content');
+        assert.equal(audited[0].streamed, true);
+        assert.deepEqual(audited[0].completion, usageEvent.content_safety.completion);
+    });
+
+    it('cuts off a streamed choice once it turns harmful and reports the block', async () => {
+        const context = contextFor();
+        await runStage('inbound', context);
+        context.streamed = true;
+
+        assert.equal((await streamChunk(context, delta('Apply black'))).choices[0].delta.content, 'Apply black');
+        assert.deepEqual((await streamChunk(context, delta(' salve daily'))).choices, [
+            { index: 0, delta: {}, finish_reason: 'content_filter' }
+        ]);
+        assert.equal(await streamChunk(context, delta(' for a week')), null);
+
+        const usageEvent = await streamChunk(context, { choices: [], usage: { total_tokens: 9 } });
+        assert.equal(usageEvent.content_safety.completion.verdict, 'block');
+        assert.equal(usageEvent.content_safety.completion.categories[0].category, 'dangerous-remedies');
+    });
+});
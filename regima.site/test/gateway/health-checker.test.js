@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const HealthChecker = require('../../scripts/gateway/health-checker');
+const { startGateway } = require('../helpers/gateway');
+
+function configWith(services, health = {}) {
+    return {
+        monitoring: { health: { 'unhealthy-threshold': 2, timeout: '200ms', ...health } },
+        services,
+        integration: { skintwin: { enabled: false } }
+    };
+}
+
+function backend(name, { breaker = 'closed', throttledUntil = 0 } = {}) {
+    return {
+        name,
+        breaker: { state: breaker, availableIn: () => 30000 },
+        throttledUntil,
+        client: { healthCheck: () => ({ url: null }) }
+    };
+}
+
+describe('HealthChecker', () => {
+    let server;
+    let url;
+    let answer = 200;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (answer === 'hang') {
+                return;
+            }
+            res.statusCode = answer;
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/health`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    const checkerFor = () => new HealthChecker().configure(configWith({
+        tools: { scanner: { handler: { type: 'tool', implementation: 'image-analysis' }, health: { url } } }
+    }), {});
+
+    it('turns degraded after a failed check and unhealthy after the threshold', async () => {
+        const checker = checkerFor();
+        const target = checker.targets.get('scanner');
+        assert.equal(checker.stateOf('scanner').status, 'unknown');
+
+        answer = 200;
+        await checker.check(target);
+        assert.equal(checker.stateOf('scanner').status, 'healthy');
+
+        answer = 500;
+        await checker.check(target);
+        assert.deepEqual([checker.stateOf('scanner').status, checker.stateOf('scanner').reason], ['degraded', 'answered 500']);
+        await checker.check(target);
+        assert.deepEqual([checker.stateOf('scanner').status, checker.stateOf('scanner').reason], ['unhealthy', 'answered 500 (2 checks in a row)']);
+
+        answer = 200;
+        await checker.check(target);
+        assert.equal(checker.stateOf('scanner').status, 'healthy');
+    });
+
+    it('treats throttling as degraded and a hung check as a failure', async () => {
+        const checker = checkerFor();
+        const target = checker.targets.get('scanner');
+
+        answer = 429;
+        await checker.check(target);
+        assert.equal(checker.stateOf('scanner').reason, 'answered 429, throttled');
+        assert.ok(checker.stateOf('scanner').lastSuccess);
+
+        answer = 'hang';
+        await checker.check(target);
+        assert.equal(checker.stateOf('scanner').reason, 'no answer within 200ms');
+        answer = 200;
+    });
+
+    it('combines backend checks with circuit breakers and throttling', () => {
+        const now = Date.now();
+        const pool = backends => ({ backends, now: () => now });
+        const services = { 'ai-models': { chat: { handler: { type: 'proxy' } } } };
+
+        const partly = new HealthChecker().configure(configWith(services), {
+            chat: pool([backend('primary', { breaker: 'open' }), backend('secondary', { throttledUntil: now + 1000 })])
+        });
+        const health = partly.serviceHealth('chat', services['ai-models'].chat);
+        assert.equal(health.status, 'degraded');
+        assert.equal(health.reason, '2 of 2 backends are not healthy');
+        assert.match(health.backends.primary.reason, /^circuit breaker is open, next trial in 30s/);
+        assert.equal(health.backends.secondary.status, 'degraded');
+
+        const down = new HealthChecker().configure(configWith(services), { chat: pool([backend('primary', { breaker: 'open' })]) });
+        assert.deepEqual(down.report()['ai-models'].status, 'unhealthy');
+        assert.equal(HealthChecker.overall(down.report()), 'unhealthy');
+    });
+
+    it('reports a service without a check URL by what it depends on', () => {
+        const services = {
+            'ai-models': { chat: { handler: { type: 'proxy' } } },
+            'ai-agents': { explainer: { handler: { type: 'agent', modelService: 'chat' } } }
+        };
+        const checker = new HealthChecker().configure(configWith(services), {});
+
+        assert.deepEqual(checker.serviceHealth('explainer', services['ai-agents'].explainer), {
+            status: 'unhealthy',
+            reason: 'depends on chat: no upstream is configured',
+            dependsOn: 'chat'
+        });
+    });
+});
+
+describe('health probes', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway();
+    });
+
+    after(() => gateway.close());
+
+    it('answers liveness always and readiness from the checks and breakers', async () => {
+        const live = await gateway.request('/health/live');
+        assert.equal(live.status, 200);
+        assert.equal(live.body.checks.config.status, 'healthy');
+
+        await gateway.gateway.healthChecker.start();
+        const ready = await gateway.request('/health/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.checks['ai-models'].services.openai.status, 'healthy');
+
+        // Other model services still answer, so the gateway stays ready
+        for (const { breaker } of gateway.gateway.backendPools.openai.backends) {
+            while (breaker.state !== 'open') {
+                breaker.onFailure(new Error('upstream down'));
+            }
+        }
+        const degraded = await gateway.request('/health/ready');
+        assert.equal(degraded.status, 200);
+        assert.equal(degraded.body.status, 'degraded');
+        assert.match(degraded.body.reasons.join('\n'), /^openai is unhealthy: no backend is usable$/m);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaValidator = require('../../scripts/gateway/json-schema');
+
+const SCHEMA = {
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, pattern: '^[a-z-]+$' },
+        size: { type: 'integer', minimum: 1, maximum: 10 },
+        tags: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: ['a', 'b'] } },
+        limits: { type: 'object', additionalProperties: { $ref: '#/$defs/rate' } },
+        kind: { const: 'service' },
+        target: { oneOf: [{ type: 'string' }, { type: 'integer' }] }
+    },
+    $defs: {
+        rate: { type: 'string', format: 'rate' }
+    }
+};
+
+const validator = new SchemaValidator(SCHEMA, {
+    formats: {
+        rate: value => {
+            if (!/^\d+\/(second|minute)$/.test(value)) {
+                throw new Error('must be a rate such as 10/minute');
+            }
+        }
+    }
+});
+
+describe('SchemaValidator', () => {
+    it('accepts a value that matches', () => {
+        assert.deepEqual(validator.validate({ name: 'vector-store', size: 3, tags: ['a'], limits: { default: '10/minute' }, kind: 'service' }), []);
+    });
+
+    it('reports every problem with its path', () => {
+        assert.deepEqual(validator.validate({ name: 'Vector Store', size: 11, tags: ['a', 'a', 'c'], extra: true }), [
+            { path: 'name', message: 'must match ^[a-z-]+$' },
+            { path: 'size', message: 'must be at most 10' },
+            { path: 'tags', message: 'must not repeat "a"' },
+            { path: 'tags[2]', message: 'must be one of "a", "b"' },
+            { path: 'extra', message: 'is not a recognised field' }
+        ]);
+        assert.deepEqual(validator.validate({ tags: [] }), [
+            { path: 'name', message: 'is required' },
+            { path: 'tags', message: 'must have at least 1 item' }
+        ]);
+    });
+
+    it('checks types, constants, formats and references', () => {
+        assert.deepEqual(validator.validate('vector-store'), [{ path: '$', message: 'must be object, not string' }]);
+        assert.deepEqual(validator.validate({ name: 'x', tags: ['b'], size: 2.5, kind: 'tool', limits: { burst: 'often' } }), [
+            { path: 'size', message: 'must be integer, not number' },
+            { path: 'kind', message: 'must be "service"' },
+            { path: 'limits.burst', message: 'must be a rate such as 10/minute' }
+        ]);
+    });
+
+    it('requires a oneOf value to match exactly one form', () => {
+        assert.deepEqual(validator.validate({ name: 'x', tags: ['a'], target: 'gateway' }), []);
+        assert.deepEqual(validator.validate({ name: 'x', tags: ['a'], target: true }), [
+            { path: 'target', message: 'must match exactly one of 2 allowed forms' },
+            { path: 'target', message: 'must be string, not boolean' }
+        ]);
+    });
+
+    it('only follows local references', () => {
+        const remote = new SchemaValidator({ $ref: 'https://example.com/schema.json' });
+        assert.throws(() => remote.validate({}), /Only local schema references are supported/);
+    });
+});
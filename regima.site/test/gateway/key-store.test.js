@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../../scripts/gateway/key-store');
+
+describe('ApiKeyStore', () => {
+    let dir;
+    let clock;
+    let store;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'regimai-keys-'));
+        clock = { now: Date.parse('2026-01-01T00:00:00Z') };
+        store = await new ApiKeyStore(path.join(dir, 'keys.json'), { now: () => clock.now }).load();
+    });
+
+    after(() => fs.remove(dir));
+
+    it('stores only a hash and authenticates the key it returned once', async () => {
+        const { key, record } = await store.create({ owner: 'Clinic A', role: 'clinician', quotas: { requests: '10/minute' } });
+
+        assert.match(key, /^regima_/);
+        assert.equal(record.hash, undefined);
+        assert.equal(store.authenticate(key).record.id, record.id);
+        assert.deepEqual(store.authenticate('regima_unknown'), { reason: 'unknown' });
+
+        const saved = await fs.readJson(path.join(dir, 'keys.json'));
+        assert.equal(JSON.stringify(saved).includes(key), false);
+    });
+
+    it('rejects invalid requests with 400 INVALID_KEY_REQUEST', async () => {
+        const invalid = { status: 400, code: 'INVALID_KEY_REQUEST' };
+
+        await assert.rejects(store.create({ owner: 'Clinic A', quotas: null }), invalid);
+        await assert.rejects(store.create({ owner: 'Clinic A', quotas: [] }), invalid);
+        await assert.rejects(store.create({ owner: 'Clinic A', quotas: { requests: 'lots' } }), invalid);
+        await assert.rejects(store.create({ owner: 'Clinic A', quotas: { tokensPerMinute: 0 } }), invalid);
+        await assert.rejects(store.create({ owner: ' ' }), invalid);
+        await assert.rejects(store.create({ owner: 'Clinic A', role: 'root' }), invalid);
+        await assert.rejects(store.create({ owner: 'Clinic A', services: [] }), invalid);
+        await assert.rejects(store.create({ owner: 'Clinic A', expiresAt: 'someday' }), invalid);
+    });
+
+    it('refuses expired, revoked and rotated keys', async () => {
+        const expiring = await store.create({ owner: 'Clinic B', expiresIn: '1h' });
+        clock.now += 60 * 60 * 1000;
+        assert.deepEqual(store.authenticate(expiring.key), { reason: 'expired' });
+
+        const original = await store.create({ owner: 'Clinic C', services: ['openai'] });
+        const rotated = await store.rotate(original.record.id);
+        assert.deepEqual(store.authenticate(original.key), { reason: 'revoked' });
+        assert.equal(store.authenticate(rotated.key).record.rotatedFrom, original.record.id);
+        assert.deepEqual(rotated.record.services, ['openai']);
+
+        await store.revoke(rotated.record.id);
+        assert.deepEqual(store.authenticate(rotated.key), { reason: 'revoked' });
+        await assert.rejects(store.rotate(rotated.record.id), { status: 409, code: 'KEY_REVOKED' });
+    });
+});
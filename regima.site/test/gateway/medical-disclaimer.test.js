@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const medicalDisclaimerRules = require('../../scripts/gateway/policies/medical-disclaimer');
+const config = require('../../config/gateway.json');
+
+const DISCLAIMERS = config.policies['medical-disclaimer'].disclaimers;
+
+function setup({ chatMode, disclaimer } = {}) {
+    const recorded = [];
+    const policies = {
+        ...config.policies,
+        'medical-disclaimer': { ...config.policies['medical-disclaimer'], ...(chatMode ? { 'chat-mode': chatMode } : {}) }
+    };
+    const gateway = {
+        config: { policies },
+        auditTrail: { record: (type, details) => recorded.push({ type, ...details }) }
+    };
+    const rule = medicalDisclaimerRules(gateway)['require-medical-disclaimers'];
+
+    const contextFor = ({ language, body = {}, streamed = false } = {}) => {
+        const headers = {};
+        return {
+            serviceName: 'skincare-consultant',
+            service: { disclaimer },
+            body,
+            req: {
+                user: { id: 'key_1' },
+                acceptsLanguages: (...locales) => locales.find(locale => locale === language) || false
+            },
+            res: { headersSent: false, set: (name, value) => { headers[name] = value; } },
+            state: {},
+            streamed,
+            headers
+        };
+    };
+    return { rule, recorded, contextFor };
+}
+
+const finished = (content = '') => ({ choices: [{ index: 0, delta: { content }, finish_reason: 'stop' }] });
+
+describe('require-medical-disclaimers', () => {
+    it('adds the disclaimer of the service to an agent response and records it', () => {
+        const { rule, recorded, contextFor } = setup({ disclaimer: 'consultation' });
+        const context = contextFor({ language: 'fr' });
+
+        rule.inbound(context);
+        context.response = { recommendations: [] };
+        rule.outbound(context);
+
+        assert.equal(context.response.disclaimer, DISCLAIMERS.consultation.fr);
+        assert.equal(context.response.disclaimerVersion, '2026.1');
+        assert.equal(context.headers['X-Disclaimer-Version'], '2026.1/consultation/fr');
+        assert.equal(context.headers['Content-Language'], 'fr');
+        assert.deepEqual(recorded, [{
+            type: 'disclaimer-shown',
+            service: 'skincare-consultant',
+            kind: 'consultation',
+            version: '2026.1',
+            locale: 'fr',
+            caller: 'key_1'
+        }]);
+    });
+
+    it('falls back to the default locale', () => {
+        const { rule, contextFor } = setup();
+        const context = contextFor({ language: 'de' });
+
+        rule.inbound(context);
+        context.response = { ok: true };
+        rule.outbound(context);
+
+        assert.equal(context.response.disclaimer, DISCLAIMERS.general.en);
+    });
+
+    it('puts the disclaimer on each chat choice, as a field or a suffix', () => {
+        for (const chatMode of ['field', 'suffix']) {
+            const { rule, contextFor } = setup({ chatMode });
+            const context = contextFor();
+            rule.inbound(context);
+            context.response = { choices: [{ index: 0, message: { role: 'assistant', content: 'Use sunscreen.' } }] };
+
+            rule.outbound(context);
+
+            const message = context.response.choices[0].message;
+            if (chatMode === 'field') {
+                assert.equal(message.content, 'Use sunscreen.');
+                assert.equal(message.disclaimer, DISCLAIMERS.general.en);
+            } else {
+                assert.equal(message.content, `Use sunscreen.\n\n---\n${DISCLAIMERS.general.en}`);
+            }
+            assert.equal(context.response.disclaimer_version, '2026.1');
+        }
+    });
+
+    it('sends a streamed disclaimer with the finishing chunk and records it once the stream ends', () => {
+        const { rule, recorded, contextFor } = setup();
+        const context = contextFor({ body: { stream: true }, streamed: true });
+        rule.inbound(context);
+        assert.equal(context.headers['X-Disclaimer-Version'], '2026.1/general/en');
+
+        const partial = { choices: [{ index: 0, delta: { content: 'Use' }, finish_reason: null }] };
+        assert.equal(rule.stream(partial, context), partial);
+        assert.deepEqual(recorded, []);
+
+        assert.equal(rule.stream(finished(' sunscreen.'), context).choices[0].delta.disclaimer, DISCLAIMERS.general.en);
+        assert.deepEqual(recorded, []);
+
+        context.response = { choices: [] };
+        rule.outbound(context);
+        assert.equal(recorded.length, 1);
+        assert.equal(context.response.disclaimer_version, undefined);
+    });
+
+    it('does not record a disclaimer for a stream that ended before it was sent', () => {
+        const { rule, recorded, contextFor } = setup();
+        const context = contextFor({ body: { stream: true }, streamed: true });
+        rule.inbound(context);
+
+        rule.stream({ choices: [{ index: 0, delta: { content: 'Use' }, finish_reason: null }] }, context);
+        rule.onError(context);
+
+        assert.deepEqual(recorded, []);
+    });
+});
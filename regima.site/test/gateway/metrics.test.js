@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../../scripts/gateway/metrics');
+const { startGateway } = require('../helpers/gateway');
+
+describe('MetricsRegistry', () => {
+    it('writes counters and histograms in the Prometheus text format', () => {
+        const registry = new MetricsRegistry();
+        const requests = registry.counter('requests_total', 'Requests\nserved', ['route']);
+        const latency = registry.histogram('latency_seconds', 'Latency', ['route'], [0.5, 0.1]);
+
+        requests.inc({ route: '/say "hi"' });
+        requests.inc({ route: '/say "hi"' }, 2);
+        latency.observe({ route: '/a' }, 0.2);
+
+        assert.equal(registry.toPrometheus(), [
+            '# HELP requests_total Requests\\nserved',
+            '# TYPE requests_total counter',
+            'requests_total{route="/say \\"hi\\""} 3',
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{route="/a",le="0.1"} 0',
+            'latency_seconds_bucket{route="/a",le="0.5"} 1',
+            'latency_seconds_bucket{route="/a",le="+Inf"} 1',
+            'latency_seconds_sum{route="/a"} 0.2',
+            'latency_seconds_count{route="/a"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('rejects labels a metric does not declare and counters that go down', () => {
+        const registry = new MetricsRegistry();
+        const requests = registry.counter('requests_total', 'Requests', ['route']);
+
+        assert.throws(() => requests.inc({ status: '200' }), /requests_total has no label status/);
+        assert.throws(() => requests.inc({}, -1), /can only increase/);
+        assert.throws(() => registry.counter('requests_total', 'Again'), /already registered/);
+    });
+
+    it('fills collected metrics in at scrape time', () => {
+        const registry = new MetricsRegistry();
+        let open = 1;
+        registry.gauge('open_breakers', 'Open circuit breakers', [], { collect: gauge => gauge.set({}, open) });
+
+        assert.match(registry.toPrometheus(), /^open_breakers 1$/m);
+        open = 0;
+        assert.match(registry.toPrometheus(), /^open_breakers 0$/m);
+    });
+});
+
+describe('gateway metrics', () => {
+    let gateway;
+    let key;
+
+    before(async () => {
+        gateway = await startGateway();
+        key = await gateway.createKey({ role: 'admin' });
+    });
+
+    after(() => gateway.close());
+
+    it('counts requests by route pattern, service and status', async () => {
+        await gateway.request('/agents/skincare-consultant', { method: 'POST', body: { skinType: 'dry', concerns: ['dryness'] }, key });
+
+        const response = await gateway.request('/metrics', { key });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(response.body, /^regimai_http_requests_total\{method="POST",route="\/agents\/skincare-consultant",service="skincare-consultant",status="200",[^}]*\} 1$/m);
+    });
+
+    it('reports only what the gateway knows in the cognitive status', async () => {
+        const response = await gateway.request('/cognitive/status');
+        assert.equal(response.status, 200);
+        assert.deepEqual(Object.keys(response.body), ['skintwin']);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOpenApiDocument, listOperations, GATEWAY_ROUTES } = require('../../scripts/gateway/openapi');
+const { resolveAllRoutes } = require('../../scripts/gateway/service-routes');
+const { startGateway } = require('../helpers/gateway');
+const config = require('../../config/gateway.json');
+
+const ROUTES = resolveAllRoutes(config);
+
+function collectRefs(value, refs = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectRefs(item, refs));
+    } else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            if (key === '$ref') {
+                refs.push(item);
+            } else {
+                collectRefs(item, refs);
+            }
+        }
+    }
+    return refs;
+}
+
+describe('buildOpenApiDocument', () => {
+    const document = buildOpenApiDocument(config, ROUTES, { serverUrl: 'http://gateway.test' });
+    const operation = (method, path) => document.paths[path]?.[method];
+
+    it('describes every service route and gateway route once, with unique operation IDs', () => {
+        const operations = listOperations(document);
+        assert.equal(operations.length, ROUTES.length + GATEWAY_ROUTES.length);
+        for (const route of ROUTES) {
+            assert.ok(operation(route.method, route.path), `${route.method} ${route.path}`);
+        }
+        const ids = operations.map(({ operation: described }) => described.operationId);
+        assert.equal(new Set(ids).size, ids.length);
+        assert.deepEqual(document.servers, [{ url: 'http://gateway.test' }]);
+    });
+
+    it('only refers to schemas and responses it defines', () => {
+        for (const ref of collectRefs(document.paths)) {
+            const [, section, name] = /^#\/components\/(schemas|responses)\/(.+)$/.exec(ref) || [];
+            assert.ok(section && document.components[section][name], ref);
+        }
+    });
+
+    it('takes GET requests as query parameters and offers the capabilities of a service', () => {
+        const search = operation('get', '/data/vectors/search');
+        assert.equal(search.requestBody, undefined);
+        const query = search.parameters.find(parameter => parameter.name === 'query');
+        assert.equal(query.in, 'query');
+        assert.equal(query.required, true);
+        assert.deepEqual(search.parameters.find(parameter => parameter.name === 'capability').schema, {
+            enum: ['similarity-search', 'knowledge-retrieval']
+        });
+
+        const consultation = operation('post', '/agents/skincare-consultant');
+        assert.equal(consultation.requestBody.content['application/json'].schema.$ref, '#/components/schemas/SkincareConsultationRequest');
+        assert.equal(consultation['x-regimai-service'], 'skincare-consultant');
+    });
+
+    it('documents streaming, upstream errors and credentials where they apply', () => {
+        const chat = operation('post', '/v1/openai/chat/completions');
+        assert.ok(chat.responses['200'].content['text/event-stream']);
+        assert.ok(chat.responses['502']);
+        assert.ok(chat.responses['401']);
+        assert.equal(operation('get', '/health').security, undefined);
+        assert.match(operation('post', '/admin/keys').description, /admin role/);
+
+        assert.deepEqual(Object.keys(document.components.securitySchemes), ['ApiKeyHeader', 'ApiKeyQuery', 'BearerAuth']);
+        const headerOnly = buildOpenApiDocument(config, ROUTES, { queryApiKeys: false, bearerTokens: false });
+        assert.deepEqual(Object.keys(headerOnly.components.securitySchemes), ['ApiKeyHeader']);
+        assert.deepEqual(headerOnly.paths['/v1/services'].get.security, [{ ApiKeyHeader: [] }]);
+    });
+});
+
+describe('GET /openapi.json', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway();
+    });
+
+    after(() => gateway.close());
+
+    it('serves the document of the routes currently served, without credentials', async () => {
+        const response = await gateway.request('/openapi.json');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.openapi, '3.1.0');
+        assert.deepEqual(response.body.servers, [{ url: gateway.url }]);
+        assert.ok(response.body.paths['/agents/product-advisor'].post);
+
+        const docs = await gateway.request('/docs');
+        assert.equal(docs.body.endpoints.length, listOperations(response.body).length);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PiiRedactor = require('../../scripts/gateway/pii-redactor');
+
+describe('PiiRedactor', () => {
+    it('replaces each kind of personal data with numbered placeholders', () => {
+        const redactor = new PiiRedactor();
+        const text = redactor.redactText(
+            'My name is Thandi Mokoena, DOB: 1990-04-12, email thandi@example.com, call +27 82 555 1234, patient ID: MRN-448812.');
+
+        assert.equal(text,
+            'My name is [NAME_1], DOB: [DOB_1], email [EMAIL_1], call [PHONE_1], patient ID: [ID_1].');
+        assert.deepEqual(redactor.getFindings(), { email: 1, 'date-of-birth': 1, 'id-number': 1, phone: 1, name: 1 });
+    });
+
+    it('reuses the placeholder of a value it has seen before', () => {
+        const redactor = new PiiRedactor();
+        const text = redactor.redactText('a@example.com, b@example.com and a@example.com again');
+
+        assert.equal(text, '[EMAIL_1], [EMAIL_2] and [EMAIL_1] again');
+    });
+
+    it('leaves dates, numbers and words without a cue alone', () => {
+        const redactor = new PiiRedactor();
+        const text = 'Rosacea flared in 2023-01-05 after using 2 products; Vitamin C at 15%.';
+
+        assert.equal(redactor.redactText(text), text);
+        assert.equal(redactor.redacted, false);
+    });
+
+    it('only looks for the configured entities', () => {
+        const redactor = new PiiRedactor({ entities: ['email'] });
+
+        assert.equal(redactor.redactText('I am Lerato, lerato@example.com'), 'I am Lerato, [EMAIL_1]');
+        assert.throws(() => new PiiRedactor({ entities: ['email', 'shoe-size'] }), /Unknown PII entities: shoe-size/);
+    });
+
+    it('redacts every string of a request body except skipped fields', () => {
+        const redactor = new PiiRedactor({ skipFields: ['model'] });
+        const body = redactor.redact({
+            model: 'ana@example.com',
+            temperature: 0.2,
+            messages: [{ role: 'user', content: 'Reach me at ana@example.com' }]
+        });
+
+        assert.deepEqual(body, {
+            model: 'ana@example.com',
+            temperature: 0.2,
+            messages: [{ role: 'user', content: 'Reach me at [EMAIL_1]' }]
+        });
+    });
+
+    it('restores placeholders in a response, leaving unknown ones as they are', () => {
+        const redactor = new PiiRedactor();
+        redactor.redact({ content: 'My name is Ana Silva and my email is ana@example.com' });
+
+        const restored = redactor.restore({
+            choices: [{ message: { content: 'Hello [NAME_1], we wrote to [EMAIL_1] and [EMAIL_7].' } }]
+        });
+        assert.equal(restored.choices[0].message.content, 'Hello Ana Silva, we wrote to ana@example.com and [EMAIL_7].');
+    });
+
+    it('holds back a placeholder split across streamed chunks', () => {
+        const redactor = new PiiRedactor();
+        redactor.redactText('mail ana@example.com');
+
+        let state = redactor.restoreStreamText('', 'Sent to [EMA');
+        assert.deepEqual(state, { text: 'Sent to ', pending: '[EMA' });
+        state = redactor.restoreStreamText(state.pending, 'IL_1] today');
+        assert.deepEqual(state, { text: 'ana@example.com today', pending: '' });
+
+        // The last chunk flushes whatever is held back
+        assert.deepEqual(redactor.restoreStreamText('', 'cut [EM', true), { text: 'cut [EM', pending: '' });
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PolicyEngine = require('../../scripts/gateway/policy-engine');
+const { GatewayError, PolicyViolationError } = require('../../scripts/gateway/errors');
+
+const POLICIES = {
+    first: { rules: ['log-a', 'shared'] },
+    second: { rules: ['shared', 'log-b', 'not-implemented'] },
+    guard: { rules: ['block'], message: 'blocked by guard' }
+};
+
+function recordingEngine() {
+    const calls = [];
+    const recorder = name => ({
+        inbound: (context, policy) => calls.push(`inbound:${name}`),
+        outbound: (context, policy) => calls.push(`outbound:${name}`),
+        onError: (context, policy) => calls.push(`on-error:${name}`)
+    });
+    const engine = new PolicyEngine(POLICIES).registerAll({
+        'log-a': recorder('log-a'),
+        'log-b': recorder('log-b'),
+        shared: recorder('shared'),
+        block: {
+            inbound(context, policy) {
+                throw new PolicyViolationError('block', policy.message, { code: 'BLOCKED' });
+            }
+        }
+    });
+    return { engine, calls };
+}
+
+const contextFor = engine => engine.createContext({ serviceName: 'openai', service: {}, req: { body: { messages: [] } }, res: {} });
+
+describe('PolicyEngine', () => {
+    it('runs the rules of each stage in policy order, each rule once', async () => {
+        const { engine, calls } = recordingEngine();
+        const context = contextFor(engine);
+
+        await engine.run('inbound', ['first', 'second'], context);
+        await engine.run('outbound', ['first', 'second'], context);
+        await engine.run('on-error', ['second'], context);
+
+        assert.deepEqual(calls, [
+            'inbound:log-a', 'inbound:shared', 'inbound:log-b',
+            'outbound:log-a', 'outbound:shared', 'outbound:log-b',
+            'on-error:shared', 'on-error:log-b'
+        ]);
+        assert.deepEqual(context.applied.slice(0, 3), [
+            { policy: 'first', rule: 'log-a', stage: 'inbound' },
+            { policy: 'first', rule: 'shared', stage: 'inbound' },
+            { policy: 'second', rule: 'log-b', stage: 'inbound' }
+        ]);
+    });
+
+    it('stops at a rejecting rule and tags the violation with where it happened', async () => {
+        const { engine, calls } = recordingEngine();
+
+        await assert.rejects(engine.run('inbound', ['guard', 'first'], contextFor(engine)), error => {
+            assert.ok(error instanceof PolicyViolationError);
+            assert.equal(error.code, 'BLOCKED');
+            assert.equal(error.message, 'blocked by guard');
+            assert.deepEqual(error.details, { rule: 'block', policy: 'guard', stage: 'inbound' });
+            return true;
+        });
+        assert.deepEqual(calls, []);
+        assert.deepEqual(engine.stats.rejections, { block: 1 });
+    });
+
+    it('passes gateway errors through and turns other failures into POLICY_ERROR', async () => {
+        const engine = new PolicyEngine({ p: { rules: ['quota', 'broken'] } }).registerAll({
+            quota: { inbound: context => { if (context.state.quota) throw new GatewayError(429, 'TOKEN_QUOTA_EXCEEDED', 'over'); } },
+            broken: { inbound: () => { throw new TypeError('oops'); } }
+        });
+
+        const quota = contextFor(engine);
+        quota.state.quota = true;
+        await assert.rejects(engine.run('inbound', ['p'], quota), { code: 'TOKEN_QUOTA_EXCEEDED', status: 429 });
+        await assert.rejects(engine.run('inbound', ['p'], contextFor(engine)), { code: 'POLICY_ERROR', status: 500 });
+    });
+
+    it('lets inbound rules rewrite the body and outbound rules the response', async () => {
+        const engine = new PolicyEngine({ p: { rules: ['rewrite'] } }).register('rewrite', {
+            inbound: context => { context.body = { ...context.body, rewritten: true }; },
+            outbound: context => { context.response = { ...context.response, annotated: true }; }
+        });
+        const context = contextFor(engine);
+        context.response = { id: 'c1' };
+
+        await engine.run('inbound', ['p'], context);
+        await engine.run('outbound', ['p'], context);
+        assert.equal(context.body.rewritten, true);
+        assert.deepEqual(context.response, { id: 'c1', annotated: true });
+    });
+
+    it('transforms stream chunks in order and drops a chunk a rule returns null for', async () => {
+        const engine = new PolicyEngine({ p: { rules: ['upper', 'drop-empty'] } }).registerAll({
+            upper: { stream: chunk => ({ ...chunk, text: chunk.text.toUpperCase() }) },
+            'drop-empty': { stream: chunk => (chunk.text ? chunk : null) }
+        });
+        const context = contextFor(engine);
+
+        assert.deepEqual(await engine.transformChunk(['p'], context, { text: 'hi' }), { text: 'HI' });
+        assert.equal(await engine.transformChunk(['p'], context, { text: '' }), null);
+    });
+
+    it('rejects rules without stages and unknown stages', async () => {
+        const { engine } = recordingEngine();
+        assert.throws(() => engine.register('empty', {}), /does not implement any stage/);
+        await assert.rejects(engine.run('stream', ['first'], contextFor(engine)), /Unknown policy stage/);
+    });
+
+    it('lists configured rules without an implementation as inactive', () => {
+        const { engine } = recordingEngine();
+        const { active, inactive } = engine.getActiveRules();
+
+        assert.deepEqual(inactive, { second: ['not-implemented'] });
+        assert.deepEqual(active.guard, [{ rule: 'block', stages: ['inbound'] }]);
+    });
+});
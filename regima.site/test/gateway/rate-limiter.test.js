@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../../scripts/gateway/rate-limiter');
+
+const MINUTE = 60 * 1000;
+const subject = (user, extra = {}) => ({ user, service: 'openai', ...extra });
+
+describe('RateLimiter request windows', () => {
+    it('allows requests up to the limit and rejects the next one until the window slides', () => {
+        const limiter = new RateLimiter({ 'per-user': '3/minute' });
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal(limiter.consumeRequest(subject('ana'), 0).allowed, true);
+        }
+        const rejected = limiter.consumeRequest(subject('ana'), 1000);
+        assert.equal(rejected.allowed, false);
+        assert.equal(rejected.scope, 'per-user');
+        assert.equal(rejected.limit, 3);
+        assert.ok(rejected.retryAfterMs > 0);
+
+        // Halfway through the next window only half of the previous one counts
+        assert.equal(limiter.consumeRequest(subject('ana'), MINUTE + MINUTE / 2).allowed, true);
+        // Two windows later nothing is left of it
+        assert.equal(limiter.consumeRequest(subject('ana'), 3 * MINUTE).remaining, 2);
+    });
+
+    it('counts a request against no limit when any limit rejects it', () => {
+        const limiter = new RateLimiter({ global: '6/minute', 'per-user': '5/minute' });
+
+        for (let i = 0; i < 5; i++) {
+            limiter.consumeRequest(subject('ana'), 0);
+        }
+        assert.equal(limiter.consumeRequest(subject('ana'), 0).scope, 'per-user');
+
+        const last = limiter.consumeRequest(subject('ben'), 0);
+        assert.equal(last.allowed, true);
+        assert.equal(last.scope, 'global');
+        assert.equal(last.remaining, 0);
+        assert.equal(limiter.consumeRequest(subject('cy'), 0).allowed, false);
+    });
+
+    it('keeps separate windows per user and per service', () => {
+        const limiter = new RateLimiter({ 'per-user': '1/minute', 'per-service': '2/minute' });
+
+        assert.equal(limiter.consumeRequest(subject('ana'), 0).allowed, true);
+        assert.equal(limiter.consumeRequest(subject('ben'), 0).allowed, true);
+        assert.equal(limiter.consumeRequest(subject('cy'), 0).scope, 'per-service');
+        assert.equal(limiter.consumeRequest({ user: 'cy', service: 'azure-openai' }, 0).allowed, true);
+    });
+
+    it('enforces the quota of an API key as the per-key scope', () => {
+        const limiter = new RateLimiter({});
+        const keyed = subject('key-1', { quotas: { requests: '2/minute' } });
+
+        limiter.consumeRequest(keyed, 0);
+        limiter.consumeRequest(keyed, 0);
+        const rejected = limiter.consumeRequest(keyed, 0);
+        assert.equal(rejected.allowed, false);
+        assert.equal(rejected.scope, 'per-key');
+    });
+
+    it('suggests a retry time after which the request fits', () => {
+        const limiter = new RateLimiter({ global: '2/second' });
+        limiter.consumeRequest(subject('ana'), 0);
+        limiter.consumeRequest(subject('ana'), 0);
+
+        const { retryAfterMs } = limiter.consumeRequest(subject('ana'), 200);
+        assert.equal(limiter.consumeRequest(subject('ana'), 200 + retryAfterMs - 50).allowed, false);
+        assert.equal(limiter.consumeRequest(subject('ana'), 200 + retryAfterMs).allowed, true);
+    });
+});
+
+describe('RateLimiter token quotas', () => {
+    it('checks estimates without counting them and records actual usage', () => {
+        const limiter = new RateLimiter({ 'tokens-per-minute': { 'per-user': 100 } });
+
+        assert.equal(limiter.checkTokens(subject('ana'), 60, 0).allowed, true);
+        assert.equal(limiter.checkTokens(subject('ana'), 60, 0).remaining, 100);
+
+        limiter.recordTokens(subject('ana'), 80, 0);
+        const rejected = limiter.checkTokens(subject('ana'), 30, 0);
+        assert.equal(rejected.allowed, false);
+        assert.equal(rejected.scope, 'per-user');
+        assert.ok(rejected.retryAfterMs > 0);
+        assert.equal(limiter.checkTokens(subject('ana'), 20, 0).allowed, true);
+        assert.equal(limiter.checkTokens(subject('ben'), 100, 0).allowed, true);
+    });
+
+    it('enforces tokensPerMinute of an API key', () => {
+        const limiter = new RateLimiter({});
+        const keyed = subject('key-1', { quotas: { tokensPerMinute: 50 } });
+
+        limiter.recordTokens(keyed, 50, 0);
+        assert.equal(limiter.checkTokens(keyed, 1, 0).scope, 'per-key');
+    });
+});
+
+describe('RateLimiter reload', () => {
+    it('carries counts over for limits whose rate did not change', () => {
+        const previous = new RateLimiter({ global: '2/minute', 'per-user': '2/minute' });
+        previous.consumeRequest(subject('ana'), 0);
+        previous.consumeRequest(subject('ana'), 0);
+
+        const unchanged = new RateLimiter({ global: '2/minute', 'per-user': '5/minute' }).carryOver(previous);
+        assert.equal(unchanged.consumeRequest(subject('ben'), 0).scope, 'global');
+
+        const raised = new RateLimiter({ global: '3/minute', 'per-user': '2/minute' }).carryOver(previous);
+        assert.equal(raised.consumeRequest(subject('ana'), 0).scope, 'per-user');
+        assert.equal(raised.consumeRequest(subject('ben'), 0).allowed, true);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestValidator = require('../../scripts/gateway/request-validator');
+const { startGateway } = require('../helpers/gateway');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]).toString('base64');
+
+const CONSULTATION = { method: 'post', path: '/agents/skincare-consultant', operation: 'skincare-consultant' };
+const IMAGE_ANALYSIS = { method: 'post', path: '/tools/image-analysis', operation: 'image-analysis' };
+const VECTOR_SEARCH = { method: 'get', path: '/data/vectors/search', operation: 'vector-search' };
+const CHAT = { method: 'post', path: '/v1/openai/chat/completions', operation: 'chat-completions' };
+
+function rejects(action) {
+    let rejection;
+    assert.throws(action, error => {
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'INVALID_REQUEST');
+        rejection = error;
+        return true;
+    });
+    return rejection.details;
+}
+
+describe('RequestValidator', () => {
+    const validator = new RequestValidator();
+
+    it('checks a body against the request schema of its route', () => {
+        validator.validateRequest(CONSULTATION, { body: { skinType: 'oily', concerns: ['acne'] } });
+
+        const details = rejects(() => validator.validateRequest(CONSULTATION, { body: { skinType: 'purple', concerns: ['acne'], mood: 'happy' } }));
+        assert.equal(details.schema, '#/components/schemas/SkincareConsultationRequest');
+        assert.deepEqual(details.errors.map(error => error.path), ['body.skinType', 'body.mood']);
+    });
+
+    it('converts the query string of a GET route before checking it', () => {
+        assert.deepEqual(validator.validateRequest(VECTOR_SEARCH, { query: { query: 'niacinamide', limit: '5' } }), {
+            query: 'niacinamide',
+            limit: 5
+        });
+        const details = rejects(() => validator.validateRequest(VECTOR_SEARCH, { query: { query: 'niacinamide', limit: 'five' } }));
+        assert.deepEqual(details.errors, [{ path: 'query.limit', message: 'must be integer, not string' }]);
+    });
+
+    it('accepts only base64 PNG, JPEG or WebP images', () => {
+        validator.validateRequest(IMAGE_ANALYSIS, { body: { imageData: PNG } });
+        validator.validateRequest(IMAGE_ANALYSIS, { body: { imageData: `data:image/jpeg;base64,${JPEG}` } });
+
+        const problem = imageData => rejects(() => validator.validateRequest(IMAGE_ANALYSIS, { body: { imageData } })).errors[0].message;
+        assert.equal(problem(5), 'must be string, not integer');
+        assert.equal(problem('not base64!'), 'must be base64-encoded image data');
+        assert.equal(problem(Buffer.from('GIF89a-image').toString('base64')), 'must be a PNG, JPEG or WebP image');
+        assert.equal(problem(`data:image/png;base64,${JPEG}`), 'is labelled image/png but contains a JPEG image');
+    });
+
+    it('leaves chat completions to the model API and only reports response mismatches', () => {
+        assert.equal(validator.validateRequest(CHAT, { body: { messages: 'not an array' } }), undefined);
+        assert.deepEqual(validator.checkResponse(IMAGE_ANALYSIS, { id: 42 }), [{ path: 'response.id', message: 'must be string, not integer' }]);
+    });
+});
+
+describe('request validation on service routes', () => {
+    let gateway;
+    let key;
+
+    before(async () => {
+        gateway = await startGateway();
+        key = await gateway.createKey();
+    });
+
+    after(() => gateway.close());
+
+    it('rejects an invalid request on the path that serves it', async () => {
+        const consultation = await gateway.request('/agents/skincare-consultant', { method: 'POST', body: { skinType: 'purple', concerns: ['acne'] }, key });
+        assert.equal(consultation.status, 400);
+        assert.equal(consultation.body.error.code, 'INVALID_REQUEST');
+
+        const analysis = await gateway.request('/tools/image-analysis', { method: 'POST', body: { imageData: 5 }, key });
+        assert.equal(analysis.status, 400);
+        assert.equal(analysis.body.error.details.errors[0].path, 'body.imageData');
+    });
+
+    it('does not let a differently spelled path skip validation', async () => {
+        const trailingSlash = await gateway.request('/agents/skincare-consultant/', { method: 'POST', body: { skinType: 'purple' }, key });
+        assert.equal(trailingSlash.status, 404);
+        assert.equal(trailingSlash.body.error.code, 'ROUTE_NOT_FOUND');
+
+        const capitalised = await gateway.request('/Tools/image-analysis', { method: 'POST', body: { imageData: 5 }, key });
+        assert.equal(capitalised.status, 404);
+        assert.equal(capitalised.body.error.code, 'ROUTE_NOT_FOUND');
+    });
+
+    it('checks the query string of GET routes', async () => {
+        const practitioner = await gateway.createKey({ role: 'practitioner' });
+        const response = await gateway.request('/data/vectors/search?query=retinol&limit=500', { key: practitioner });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.error.details.errors, [{ path: 'query.limit', message: 'must be at most 100' }]);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withRetry, retryDelay, parseRetryAfter } = require('../../scripts/gateway/retry');
+const { UpstreamError } = require('../../scripts/gateway/errors');
+
+const status = (upstreamStatus, retryAfter) =>
+    new UpstreamError(502, 'UPSTREAM_ERROR', `answered ${upstreamStatus}`, { upstreamStatus, retryAfter });
+const options = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000, retryOn: [429, 500, 502, 503, 504] };
+
+describe('withRetry', () => {
+    it('retries retryable failures until an attempt succeeds', async () => {
+        const attempts = [];
+        const retries = [];
+        const result = await withRetry(async attempt => {
+            attempts.push(attempt);
+            if (attempt < 3) {
+                throw status(503);
+            }
+            return 'ok';
+        }, { ...options, baseDelayMs: 1, onRetry: (error, attempt) => retries.push(attempt) });
+
+        assert.equal(result, 'ok');
+        assert.deepEqual(attempts, [1, 2, 3]);
+        assert.deepEqual(retries, [1, 2]);
+    });
+
+    it('gives up after maxAttempts with the last error', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw status(500);
+        }, { ...options, baseDelayMs: 1 }), { upstreamStatus: 500 });
+        assert.equal(calls, 3);
+    });
+
+    it('does not retry errors that are not retryable', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw status(400);
+        }, options), { upstreamStatus: 400 });
+        assert.equal(calls, 1);
+
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw UpstreamError.clientClosed('openai');
+        }, options), { code: 'CLIENT_CLOSED_REQUEST' });
+        assert.equal(calls, 2);
+    });
+
+    it('ignores undefined options instead of overriding the defaults', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw status(502);
+        }, { maxAttempts: undefined, baseDelayMs: 1 }));
+        assert.equal(calls, 3);
+    });
+});
+
+describe('retryDelay', () => {
+    it('backs off exponentially with full jitter, capped at maxDelayMs', () => {
+        mock.method(Math, 'random', () => 0.999999);
+        try {
+            assert.equal(retryDelay(status(503), 1, options), 100);
+            assert.equal(retryDelay(status(503), 2, options), 200);
+            assert.equal(retryDelay(status(503), 3, options), 400);
+            assert.equal(retryDelay(status(503), 10, options), 1000);
+        } finally {
+            mock.restoreAll();
+        }
+
+        mock.method(Math, 'random', () => 0);
+        try {
+            assert.equal(retryDelay(status(503), 3, options), 0);
+        } finally {
+            mock.restoreAll();
+        }
+    });
+
+    it('waits at least the Retry-After, and not at all when it exceeds maxDelayMs', () => {
+        mock.method(Math, 'random', () => 0);
+        try {
+            assert.equal(retryDelay(status(429, '0.5'), 1, options), 500);
+            assert.equal(retryDelay(status(429, '5'), 1, options), null);
+        } finally {
+            mock.restoreAll();
+        }
+    });
+
+    it('retries connection failures but not timeouts', () => {
+        assert.notEqual(retryDelay(UpstreamError.unavailable('openai', new Error('ECONNRESET')), 1, options), null);
+        assert.equal(retryDelay(UpstreamError.timeout('openai', 10), 1, options), null);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+        assert.equal(parseRetryAfter('2'), 2000);
+        assert.equal(parseRetryAfter(undefined), null);
+        assert.equal(parseRetryAfter('soon'), null);
+
+        const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+        const delay = parseRetryAfter(inTenSeconds);
+        assert.ok(delay > 8000 && delay <= 10000, `got ${delay}`);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRoutes, resolveAllRoutes } = require('../../scripts/gateway/service-routes');
+const { validateGatewayConfig } = require('../../scripts/gateway/config-validator');
+const { startGateway } = require('../helpers/gateway');
+const config = require('../../config/gateway.json');
+
+const summary = routes => routes.map(route => `${route.method.toUpperCase()} ${route.path} ${route.operation} ${route.action}`);
+
+const withService = (category, name, service) => ({
+    ...config,
+    services: { ...config.services, [category]: { ...config.services[category], [name]: service } }
+});
+
+const INGREDIENT_EXPLAINER = {
+    endpoint: '/agents/ingredient-explainer',
+    description: 'Explains what skincare ingredients do',
+    policies: ['content-safety'],
+    handler: { type: 'agent', modelService: 'openai', instructions: 'You explain skincare ingredients.' }
+};
+
+describe('resolveRoutes', () => {
+    it('turns each handler type into the routes below its endpoint', () => {
+        assert.deepEqual(summary(resolveRoutes('cognitive', {
+            endpoint: '/v1/cognitive',
+            handler: { type: 'proxy', operations: ['chat-completions', 'analyze'] }
+        })), [
+            'POST /v1/cognitive/chat/completions chat-completions proxyChatCompletion',
+            'POST /v1/cognitive/analyze analyze handleCognitiveAnalysis'
+        ]);
+        assert.deepEqual(summary(resolveRoutes('explainer', INGREDIENT_EXPLAINER)), [
+            'POST /agents/ingredient-explainer model-agent handleModelAgent'
+        ]);
+        assert.deepEqual(summary(resolveRoutes('vectors', {
+            endpoint: '/data/vectors',
+            handler: { type: 'data', implementation: 'vector-search', method: 'get', path: '/search' }
+        })), [
+            'GET /data/vectors/search vector-search handleVectorSearch'
+        ]);
+    });
+
+    it('names what is available when a handler does not exist', () => {
+        assert.throws(() => resolveRoutes('openai', { endpoint: '/v1/openai', handler: { type: 'proxy', operations: ['embeddings'] } }),
+            /unknown proxy operation "embeddings"/);
+        assert.throws(() => resolveRoutes('helper', { endpoint: '/agents/helper', handler: { type: 'agent' } }),
+            /needs an implementation \(available: skincare-consultant, dermatology-assistant, product-advisor\) or a modelService/);
+        assert.throws(() => resolveRoutes('scanner', { endpoint: '/tools/scanner', handler: { type: 'tool', implementation: 'scanner' } }),
+            /no built-in tool named "scanner"/);
+    });
+
+    it('lists every route of gateway.json in config order', () => {
+        const routes = resolveAllRoutes(config);
+        assert.equal(routes[0].serviceName, 'openai');
+        assert.ok(summary(routes).includes('POST /data/knowledge/query knowledge-query handleKnowledgeQuery'));
+    });
+});
+
+describe('service route validation', () => {
+    it('rejects routes that are taken or served by the gateway itself', () => {
+        const reserved = validateGatewayConfig(withService('tools', 'lister', {
+            endpoint: '/tools/available',
+            description: 'Lists tools',
+            policies: [],
+            handler: { type: 'tool', implementation: 'image-analysis' }
+        }));
+        assert.deepEqual(reserved, [{ path: 'services.tools.lister.handler', message: '/tools/available is served by the gateway itself' }]);
+
+        const taken = validateGatewayConfig(withService('data-services', 'vectors-again', {
+            endpoint: '/data/vectors',
+            description: 'Searches vectors again',
+            policies: [],
+            handler: { type: 'data', implementation: 'vector-search', method: 'get', path: '/search' }
+        }));
+        assert.ok(taken.some(error => error.message === 'GET /data/vectors/search is already served by vector-store'));
+    });
+});
+
+describe('service routes from gateway.json', () => {
+    let gateway;
+    let key;
+
+    before(async () => {
+        gateway = await startGateway({ config: withService('ai-agents', 'ingredient-explainer', INGREDIENT_EXPLAINER) });
+        key = await gateway.createKey({ role: 'admin' });
+    });
+
+    after(() => gateway.close());
+
+    it('serves an agent defined only in config and drops it on reload', async () => {
+        const answered = await gateway.request('/agents/ingredient-explainer', {
+            method: 'POST',
+            body: { message: 'What does niacinamide do?' },
+            key
+        });
+        assert.equal(answered.status, 200);
+        assert.equal(answered.body.agent, 'ingredient-explainer');
+        assert.equal(typeof answered.body.reply, 'string');
+
+        await gateway.writeConfig(config);
+        await gateway.gateway.reloadConfig('test');
+
+        const removed = await gateway.request('/agents/ingredient-explainer', {
+            method: 'POST',
+            body: { message: 'What does niacinamide do?' },
+            key
+        });
+        assert.equal(removed.status, 404);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TokenVerifier = require('../../scripts/gateway/token-verifier');
+
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+const SECONDS = Math.floor(NOW / 1000);
+
+const encode = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+function hmacToken(header, payload, secret = 'test-secret') {
+    const data = `${encode(header)}.${encode(payload)}`;
+    return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+const claims = overrides => ({ iss: 'regimai-gateway', aud: 'regimai-gateway', sub: 'svc-reports', exp: SECONDS + 600, ...overrides });
+const rejectsWith = (verifier, token, code = 'INVALID_TOKEN') =>
+    assert.throws(() => verifier.verify(token), error => error.status === 401 && error.code === code);
+
+describe('TokenVerifier', () => {
+    let dir;
+    let verifier;
+    let idpKey;
+
+    before(async () => {
+        process.env.TEST_JWT_SECRET = 'test-secret';
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'regimai-jwks-'));
+
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        idpKey = privateKey;
+        await fs.writeJson(path.join(dir, 'jwks.json'), {
+            keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-1', use: 'sig', alg: 'ES256' }]
+        });
+
+        verifier = await new TokenVerifier({
+            audience: 'regimai-gateway',
+            'clock-tolerance': '60s',
+            issuers: [
+                { name: 'gateway', issuer: 'regimai-gateway', 'secret-env': 'TEST_JWT_SECRET' },
+                { name: 'idp', issuer: 'https://idp.example.com', 'jwks-file': 'jwks.json' },
+                { name: 'missing', issuer: 'https://missing.example.com', 'secret-env': 'TEST_JWT_UNSET' }
+            ]
+        }, { baseDir: dir, now: () => NOW }).load();
+    });
+
+    after(async () => {
+        delete process.env.TEST_JWT_SECRET;
+        await fs.remove(dir);
+    });
+
+    it('skips issuers whose keys are missing', () => {
+        assert.equal(verifier.enabled, true);
+        assert.deepEqual(verifier.skipped, ['missing (TEST_JWT_UNSET is not set)']);
+    });
+
+    it('accepts tokens it signed and tokens from a JWKS issuer', () => {
+        const { claims: verified, issuer } = verifier.verify(verifier.sign({ sub: 'svc-reports', role: 'clinician' }));
+        assert.equal(verified.sub, 'svc-reports');
+        assert.equal(verified.role, 'clinician');
+        assert.equal(issuer.name, 'gateway');
+
+        const data = `${encode({ alg: 'ES256', kid: 'idp-1' })}.${encode(claims({ iss: 'https://idp.example.com' }))}`;
+        const signature = crypto.sign('sha256', Buffer.from(data), { key: idpKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+        assert.equal(verifier.verify(`${data}.${signature}`).issuer.name, 'idp');
+        rejectsWith(verifier, `${data.replace(encode({ alg: 'ES256', kid: 'idp-1' }), encode({ alg: 'ES256', kid: 'idp-2' }))}.${signature}`);
+    });
+
+    it('rejects a bad signature and algorithms the issuer does not use', () => {
+        const token = hmacToken({ alg: 'HS256' }, claims());
+        rejectsWith(verifier, `${token.slice(0, -4)}AAAA`);
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims(), 'other-secret'));
+        rejectsWith(verifier, `${encode({ alg: 'none' })}.${encode(claims())}.`);
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims({ iss: 'https://idp.example.com' })));
+        rejectsWith(verifier, hmacToken({ alg: 'constructor' }, claims()));
+    });
+
+    it('checks expiry with clock tolerance, not-before, audience and subject', () => {
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims({ exp: SECONDS - 61 })), 'TOKEN_EXPIRED');
+        assert.ok(verifier.verify(hmacToken({ alg: 'HS256' }, claims({ exp: SECONDS - 30 }))));
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims({ exp: undefined })));
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims({ nbf: SECONDS + 120 })));
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims({ aud: 'someone-else' })));
+        assert.ok(verifier.verify(hmacToken({ alg: 'HS256' }, claims({ aud: ['someone-else', 'regimai-gateway'] }))));
+        rejectsWith(verifier, hmacToken({ alg: 'HS256' }, claims({ sub: '' })));
+    });
+
+    it('rejects malformed tokens with INVALID_TOKEN instead of failing', () => {
+        const header = encode({ alg: 'HS256' });
+        for (const token of [
+            'not-a-jwt',
+            `${header}.${encode(claims())}`,
+            `${header}.not-json.sig`,
+            `${header}.${encode('null')}.sig`,
+            `${header}.${encode('[]')}.sig`,
+            `${header}.${encode('"regimai-gateway"')}.sig`,
+            `${header}.${encode('42')}.sig`,
+            `${encode('null')}.${encode(claims())}.sig`
+        ]) {
+            rejectsWith(verifier, token);
+        }
+    });
+
+    it('never echoes an untrusted issuer into errors or the WWW-Authenticate challenge', () => {
+        for (const iss of ['x", foo="bar', 'line\r\nX-Injected: 1', 'issuer ☃', { nested: true }, 42]) {
+            let rejection;
+            assert.throws(() => verifier.verify(hmacToken({ alg: 'HS256' }, claims({ iss }))), error => {
+                rejection = error;
+                return error.code === 'INVALID_TOKEN';
+            });
+            if (typeof iss === 'string') {
+                assert.equal(rejection.message.includes(iss), false);
+            }
+
+            const challenge = TokenVerifier.challenge(rejection);
+            assert.equal(challenge, 'Bearer error="invalid_token", error_description="The bearer token is not valid"');
+            assert.doesNotThrow(() => http.validateHeaderValue('WWW-Authenticate', challenge));
+        }
+    });
+
+    it('describes an expired token in the challenge', () => {
+        assert.throws(() => verifier.verify(hmacToken({ alg: 'HS256' }, claims({ exp: SECONDS - 3600 }))), error => {
+            assert.equal(TokenVerifier.challenge(error), 'Bearer error="invalid_token", error_description="The bearer token has expired"');
+            return true;
+        });
+    });
+});
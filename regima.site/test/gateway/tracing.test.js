@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Tracer, SPAN_KIND } = require('../../scripts/gateway/tracing');
+const { createTraceProcessor, BatchSpanProcessor, FileExporter } = require('../../scripts/gateway/trace-exporters');
+const { startGateway } = require('../helpers/gateway');
+const config = require('../../config/gateway.json');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const TRACEPARENT = `00-${TRACE_ID}-00f067aa0ba902b7-01`;
+
+function recordingTracer(sampleRatio = 1) {
+    const ended = [];
+    const tracer = new Tracer();
+    tracer.configure({ processor: { onEnd: span => ended.push(span), shutdown: async () => {} }, sampleRatio });
+    return { tracer, ended };
+}
+
+describe('Tracer', () => {
+    it('continues the trace of a valid traceparent and ignores a malformed one', () => {
+        const { tracer } = recordingTracer();
+        const parent = tracer.extract({ traceparent: TRACEPARENT, tracestate: 'vendor=1' });
+        assert.deepEqual(parent, { traceId: TRACE_ID, spanId: '00f067aa0ba902b7', traceFlags: 1, traceState: 'vendor=1' });
+
+        const span = tracer.startSpan('POST', { parent, kind: SPAN_KIND.SERVER });
+        assert.equal(span.traceId, TRACE_ID);
+        assert.equal(span.parentSpanId, '00f067aa0ba902b7');
+        assert.deepEqual(tracer.inject(span), { traceparent: `00-${TRACE_ID}-${span.spanId}-01`, tracestate: 'vendor=1' });
+
+        assert.equal(tracer.extract({ traceparent: `00-${'0'.repeat(32)}-00f067aa0ba902b7-01` }), null);
+        assert.equal(tracer.extract({ traceparent: 'not-a-traceparent' }), null);
+    });
+
+    it('nests spans through async calls and records failures', async () => {
+        const { tracer, ended } = recordingTracer();
+
+        await assert.rejects(tracer.trace('outer', {}, async () => {
+            await tracer.trace('inner', {}, async () => {});
+            throw new Error('upstream down');
+        }), /upstream down/);
+
+        const [inner, outer] = ended;
+        assert.equal(inner.parentSpanId, outer.spanId);
+        assert.equal(outer.status.code, 2);
+        assert.equal(outer.events[0].attributes['exception.message'], 'upstream down');
+    });
+
+    it('exports only sampled traces, keeping the sampling decision of the caller', () => {
+        const { tracer, ended } = recordingTracer(0);
+        tracer.startSpan('unsampled root').end();
+        tracer.startSpan('sampled by caller', { parent: tracer.extract({ traceparent: TRACEPARENT }) }).end();
+
+        assert.deepEqual(ended.map(span => span.name), ['sampled by caller']);
+    });
+});
+
+describe('trace exporters', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'regimai-traces-'));
+    });
+
+    after(() => fs.remove(dir));
+
+    it('picks the exporter from the config, overridden by the environment', () => {
+        const tracing = config.monitoring.tracing;
+        assert.equal(createTraceProcessor(tracing, { config, env: {} }), null);
+
+        const otlp = createTraceProcessor({ ...tracing, enabled: true }, { config, env: { OTEL_EXPORTER_OTLP_ENDPOINT: 'http://collector:4318/' } });
+        assert.deepEqual(otlp.exporter.describe(), { exporter: 'otlp', endpoint: 'http://collector:4318/v1/traces' });
+        otlp.shutdown();
+
+        const file = createTraceProcessor(tracing, { config, env: { OTEL_TRACES_EXPORTER: 'file' }, baseDir: dir });
+        assert.deepEqual(file.exporter.describe(), { exporter: 'file', file: path.join(dir, 'logs/traces.jsonl') });
+        file.shutdown();
+
+        assert.throws(() => createTraceProcessor(tracing, { config, env: { OTEL_TRACES_EXPORTER: 'zipkin' } }), /Unknown trace exporter "zipkin"/);
+    });
+
+    it('writes finished spans as OTLP JSON in batches', async () => {
+        const filePath = path.join(dir, 'traces.jsonl');
+        const processor = new BatchSpanProcessor(new FileExporter({ filePath }), { resource: { 'service.name': 'regimai-gateway' } });
+        const { tracer } = recordingTracer();
+        tracer.configure({ processor });
+
+        tracer.startSpan('GET', { parent: tracer.extract({ traceparent: TRACEPARENT }), attributes: { 'http.route': '/health' } }).end();
+        await tracer.shutdown();
+
+        const [request] = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        const { resource, scopeSpans } = request.resourceSpans[0];
+        assert.deepEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'regimai-gateway' } }]);
+        assert.equal(scopeSpans[0].spans[0].traceId, TRACE_ID);
+        assert.equal(scopeSpans[0].spans[0].name, 'GET');
+    });
+});
+
+describe('tracing settings on reload', () => {
+    let gateway;
+
+    before(async () => {
+        gateway = await startGateway();
+    });
+
+    after(() => gateway.close());
+
+    it('leaves the configuration untouched when the new exporter cannot be built', async () => {
+        const before = gateway.gateway.getConfigStatus();
+        const tracing = { ...config.monitoring.tracing, enabled: true, 'sample-ratio': 0.5 };
+        await gateway.writeConfig({ ...config, monitoring: { ...config.monitoring, tracing } });
+
+        process.env.OTEL_TRACES_EXPORTER = 'zipkin';
+        try {
+            await assert.rejects(gateway.gateway.reloadConfig('test'), error => {
+                assert.equal(error.code, 'CONFIG_INVALID');
+                assert.match(error.details.errors[0].message, /Unknown trace exporter "zipkin"/);
+                return true;
+            });
+        } finally {
+            delete process.env.OTEL_TRACES_EXPORTER;
+        }
+
+        assert.equal(gateway.gateway.getConfigStatus().fingerprint, before.fingerprint);
+        assert.equal(gateway.gateway.config.monitoring.tracing.enabled, false);
+
+        process.env.TRACES_FILE_PATH = path.join(gateway.dir, 'traces.jsonl');
+        try {
+            await gateway.writeConfig({ ...config, monitoring: { ...config.monitoring, tracing: { ...tracing, exporter: 'file' } } });
+            await gateway.gateway.reloadConfig('test');
+        } finally {
+            delete process.env.TRACES_FILE_PATH;
+        }
+        assert.notEqual(gateway.gateway.getConfigStatus().fingerprint, before.fingerprint);
+    });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const RegimAIGateway = require('../../scripts/gateway-server');
+const MockUpstreamServer = require('../../scripts/mock-upstream');
+
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'gateway.json');
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * A gateway on a free port, with config/gateway.json (or `config`), the
+ * mock upstream behind its model services and its own key store, audit
+ * log and config file in a temporary directory.
+ *
+ * request(path, { key, method, body, headers }) answers with the status,
+ * headers and parsed body; createKey(options) returns a new API key.
+ * writeConfig(config) replaces the config file, for reloads.
+ */
+async function startGateway({ config = fs.readJsonSync(CONFIG_PATH) } = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'regimai-gateway-'));
+    const mockServer = await listen(new MockUpstreamServer().app);
+    const upstream = `http://127.0.0.1:${mockServer.address().port}`;
+
+    Object.assign(process.env, {
+        API_KEY_STORE: path.join(dir, 'api-keys.json'),
+        AUDIT_LOG_PATH: path.join(dir, 'audit.jsonl'),
+        OPENAI_BASE_URL: `${upstream}/v1`,
+        AZURE_OPENAI_ENDPOINT: upstream,
+        AZURE_OPENAI_ENDPOINT_SWEDENCENTRAL: upstream,
+        AZURE_OPENAI_ENDPOINT_WESTUS: upstream,
+        AZURE_OPENAI_API_KEY: 'mock',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+    });
+
+    const configPath = path.join(dir, 'gateway.json');
+    await fs.writeJson(configPath, config);
+    const gateway = new RegimAIGateway({ configPath });
+    await gateway.ready;
+    const server = await listen(gateway.app);
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        gateway,
+        url,
+        dir,
+
+        writeConfig(changed) {
+            return fs.writeJson(configPath, changed);
+        },
+
+        async createKey({ owner = 'Test Clinic', role = 'consumer', ...options } = {}) {
+            const { key } = await gateway.keyStore.create({ owner, role, ...options });
+            return key;
+        },
+
+        async request(requestPath, { key, method = 'GET', body, headers = {} } = {}) {
+            const response = await fetch(`${url}${requestPath}`, {
+                method,
+                headers: {
+                    ...(key ? { 'X-API-Key': key } : {}),
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+            const text = await response.text();
+            let parsed = text;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                // Left as text, such as Express's own 404 page
+            }
+            return { status: response.status, headers: response.headers, body: parsed };
+        },
+
+        async close() {
+            gateway.healthChecker.stop();
+            fs.unwatchFile(gateway.configPath);
+            fs.unwatchFile(gateway.keyStore.filePath);
+            await gateway.auditTrail.queue;
+            for (const listening of [server, mockServer]) {
+                listening.closeAllConnections();
+                await new Promise(resolve => listening.close(resolve));
+            }
+            await fs.remove(dir);
+        }
+    };
+}
+
+module.exports = { startGateway };